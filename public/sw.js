@@ -0,0 +1,53 @@
+// sw.js
+// Offline support for the register: the app shell is served from cache when the
+// network is down, and the menu endpoints fall back to their last good response.
+// Orders are not handled here; the page queues those in IndexedDB.
+const CACHE_NAME = 'pos-shell-v1';
+const SHELL_URLS = ['/', '/index.html', 'https://cdn.tailwindcss.com'];
+const CACHED_API_PATHS = ['/api/items', '/api/events/active'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      // Tailwind is cross-origin; cache it as an opaque response
+      .then((cache) => Promise.all(SHELL_URLS.map((url) =>
+        cache.add(new Request(url, { mode: url.startsWith('http') ? 'no-cors' : 'same-origin' }))
+          .catch((err) => console.warn('Failed to cache', url, err))
+      )))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE_NAME).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, refreshing the cache on success and falling back to it on failure
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' || url.href.startsWith('https://cdn.tailwindcss.com')) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin && CACHED_API_PATHS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -0,0 +1,217 @@
+// catalog.js
+// Menu catalogs: an event's tabs, categories and items in a portable form, for
+// copying a menu between events or installs (GET /api/admin/export/catalog.json
+// or .csv) and loading one back (POST /api/admin/import/catalog). Items are
+// matched by dataName and bundles name their components by dataName, so ids
+// never leave the server.
+import { csvRow, parseCsv, fromCsvValue } from "./csv.js";
+import { ValidationError, validateItemFields } from "./domain.js";
+
+export const CATALOG_FORMAT = 'tournament-pos-catalog';
+export const CATALOG_VERSION = 1;
+// merge adds and updates items; replace also deletes the ones the catalog leaves out
+export const CATALOG_MODES = ['merge', 'replace'];
+
+// Fields compared when deciding whether an item changed. stockQty is only used
+// for new items: stock on hand is counted, not imported (see adjustStock).
+const COMPARED_FIELDS = [
+  'tab', 'category', 'name', 'price', 'color', 'orderIndex', 'active', 'lowStockThreshold', 'ticketCount', 'imageUrl',
+  'components', 'modifiers',
+];
+const CSV_COLUMNS = ['dataName', 'stockQty', ...COMPARED_FIELDS];
+
+const count = (v) => (v == null || v === '' ? null : Number(v));
+
+// An item in catalog form, from a stored item or an imported one
+function portableItem(item, dataNameOf = (c) => c.dataName) {
+  return {
+    tab: item.tab,
+    category: item.category.trim(),
+    name: item.name.trim(),
+    dataName: item.dataName.trim(),
+    price: Number(item.price || 0),
+    color: item.color || 'gray-600',
+    orderIndex: Number(item.orderIndex || 0),
+    active: item.active !== false,
+    stockQty: count(item.stockQty),
+    lowStockThreshold: count(item.lowStockThreshold),
+    ticketCount: count(item.ticketCount) || null,
+    imageUrl: item.imageUrl || null,
+    components: (item.components || []).map((c) => ({ dataName: dataNameOf(c), qty: Number(c.qty) })),
+    modifiers: (item.modifiers || []).map((m) => ({ group: m.group.trim(), name: m.name.trim(), priceDelta: Number(m.priceDelta ?? 0) })),
+  };
+}
+
+// A portable version of an event's menu (tabs come from getTabs, items from getItems)
+export function buildCatalog({ event, tabs, items }) {
+  const byId = new Map(items.map((i) => [i.id, i]));
+  return {
+    format: CATALOG_FORMAT,
+    version: CATALOG_VERSION,
+    exportedAt: new Date().toISOString(),
+    event: event ? { id: event.id, name: event.name } : null,
+    tabs: tabs.map((t) => ({ slug: t.slug, label: t.label, fulfillment: t.fulfillment, categories: t.categories.map((c) => c.name) })),
+    items: items.map((i) => portableItem(i, (c) => byId.get(c.itemId)?.dataName)),
+  };
+}
+
+// One row per item. Components and modifiers are JSON in their cells; tabs
+// aren't included, so an import creates missing ones labelled with their slug.
+export function catalogToCsv(catalog) {
+  let out = csvRow(CSV_COLUMNS);
+  for (const item of catalog.items) {
+    out += csvRow(CSV_COLUMNS.map((col) => {
+      if (col === 'components' || col === 'modifiers') return item[col].length ? JSON.stringify(item[col]) : '';
+      return item[col];
+    }));
+  }
+  return out;
+}
+
+// Catalog items from CSV text, keyed by the header row
+function csvItems(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((h) => h.trim());
+  if (!columns.includes('dataName')) {
+    throw new ValidationError([{ code: 'invalid_catalog', message: "The CSV needs a header row with at least a 'dataName' column" }]);
+  }
+  const errs = [];
+  const items = rows
+    .filter((row) => row.some((v) => v.trim()))
+    .map((row, index) => {
+      const item = {};
+      columns.forEach((col, i) => {
+        const value = fromCsvValue((row[i] ?? '').trim());
+        if (col === 'components' || col === 'modifiers') {
+          try {
+            item[col] = value ? JSON.parse(value) : [];
+          } catch {
+            errs.push({ code: 'invalid_catalog', index, message: `Row ${index + 2}: '${col}' must be JSON` });
+          }
+        } else if (col === 'active') {
+          item.active = value === '' ? undefined : value.toLowerCase() === 'true' || value === '1' ? true : value.toLowerCase() === 'false' || value === '0' ? false : value;
+        } else if (CSV_COLUMNS.includes(col)) {
+          item[col] = value === '' ? null : value;
+        }
+      });
+      return item;
+    });
+  if (errs.length) throw new ValidationError(errs);
+  return items;
+}
+
+/**
+ * Read an uploaded catalog: CSV text or the JSON that buildCatalog produces (a
+ * bare list of items also works). Returns { tabs, items } in catalog form, or
+ * throws a ValidationError naming the items that can't be used.
+ */
+export function parseCatalog(body) {
+  let tabs = [];
+  let items;
+  if (typeof body === 'string') {
+    items = csvItems(body);
+  } else if (Array.isArray(body)) {
+    items = body;
+  } else if (body && Array.isArray(body.items)) {
+    if (body.format != null && (body.format !== CATALOG_FORMAT || Number(body.version) > CATALOG_VERSION)) {
+      throw new ValidationError([{ code: 'invalid_catalog', message: `Not a catalog this server can read (expected ${CATALOG_FORMAT} version ${CATALOG_VERSION})` }]);
+    }
+    tabs = Array.isArray(body.tabs) ? body.tabs : [];
+    items = body.items;
+  } else {
+    throw new ValidationError([{ code: 'invalid_catalog', message: "Send a catalog with an 'items' list, or CSV" }]);
+  }
+
+  const errs = [];
+  const seen = new Set();
+  items.forEach((item, index) => {
+    const label = `Item ${index + 1}${item && item.dataName ? ` ('${item.dataName}')` : ''}`;
+    const itemErrs = validateItemFields(item);
+    if (!itemErrs.length && (item.components || []).some((c) => !c || typeof c.dataName !== 'string')) {
+      itemErrs.push("Components must name their item by 'dataName'");
+    }
+    for (const message of itemErrs) errs.push({ code: 'invalid_item', index, message: `${label}: ${message}` });
+    if (item && item.dataName && seen.has(item.dataName.trim())) {
+      errs.push({ code: 'duplicate_data_name', index, message: `${label}: another item has the same dataName` });
+    }
+    if (item && item.dataName) seen.add(item.dataName.trim());
+  });
+  tabs.forEach((t, index) => {
+    if (!t || typeof t.slug !== 'string' || (t.categories != null && !Array.isArray(t.categories))) {
+      errs.push({ code: 'invalid_tab', index, message: `Tab ${index + 1}: needs a 'slug' and a list of 'categories'` });
+    }
+  });
+  if (errs.length) throw new ValidationError(errs);
+  return { tabs, items: items.map((i) => portableItem(i)) };
+}
+
+/**
+ * What loading a catalog into an event's menu would change. `current` is the
+ * menu as it stands ({ tabs, items } from getTabs and getItems). Returns the
+ * bulkUpdateItems batch and a diff to show before applying it: tabs and
+ * categories to add, dataNames created and deleted, and per updated item the
+ * fields that change ({ from, to }).
+ */
+export function planCatalogImport(current, incoming, { mode = 'merge' } = {}) {
+  const byId = new Map(current.items.map((i) => [i.id, i]));
+  const existing = new Map(current.items.map((i) => [i.dataName, portableItem(i, (c) => byId.get(c.itemId)?.dataName)]));
+  const ids = new Map(current.items.map((i) => [i.dataName, i.id]));
+
+  // Tabs and categories the items need, labelled from the catalog when it has them
+  const tabs = [];
+  const categories = [];
+  const knownTabs = new Set(current.tabs.map((t) => t.slug));
+  const knownCategories = new Set(current.tabs.flatMap((t) => t.categories.map((c) => `${t.slug}\u0000${c.name}`)));
+  const addTab = (slug) => {
+    if (knownTabs.has(slug)) return;
+    knownTabs.add(slug);
+    const t = incoming.tabs.find((x) => x.slug === slug) || {};
+    tabs.push({ slug, label: t.label || slug, fulfillment: t.fulfillment === true });
+  };
+  const addCategory = (tab, name) => {
+    addTab(tab);
+    if (knownCategories.has(`${tab}\u0000${name}`)) return;
+    knownCategories.add(`${tab}\u0000${name}`);
+    categories.push({ tab, name });
+  };
+  for (const t of incoming.tabs) for (const name of t.categories || []) addCategory(t.slug, String(name).trim());
+  for (const item of incoming.items) addCategory(item.tab, item.category);
+
+  // Plain items go first so the bundles after them can name them
+  const diff = { tabs: tabs.map((t) => t.slug), categories, created: [], updated: [], deleted: [], unchanged: 0 };
+  const plain = [];
+  const bundles = [];
+  for (const item of incoming.items) {
+    const before = existing.get(item.dataName);
+    const ops = item.components.length ? bundles : plain;
+    if (!before) {
+      ops.push({ op: 'create', item });
+      diff.created.push(item.dataName);
+      continue;
+    }
+    const changes = {};
+    for (const field of COMPARED_FIELDS) {
+      if (JSON.stringify(before[field]) !== JSON.stringify(item[field])) changes[field] = { from: before[field], to: item[field] };
+    }
+    if (!Object.keys(changes).length) {
+      diff.unchanged++;
+      continue;
+    }
+    const { stockQty: _, ...fields } = item;
+    ops.push({ op: 'update', id: ids.get(item.dataName), item: fields });
+    diff.updated.push({ dataName: item.dataName, changes });
+  }
+
+  // Bundles are deleted before the items in them
+  const deletes = [];
+  if (mode === 'replace') {
+    const keep = new Set(incoming.items.map((i) => i.dataName));
+    for (const item of current.items) {
+      if (keep.has(item.dataName)) continue;
+      deletes[item.components.length ? 'unshift' : 'push']({ op: 'delete', id: item.id });
+      diff.deleted.push(item.dataName);
+    }
+  }
+
+  return { batch: { tabs, categories, operations: [...plain, ...bundles, ...deletes] }, diff };
+}
@@ -0,0 +1,65 @@
+// csv.js
+// Small RFC 4180 helpers used by the export and catalog import endpoints.
+
+// Spreadsheets run a cell starting with one of these as a formula; numbers
+// like -3.00 are left alone
+const FORMULA_RE = /^[=+\-@\t\r]/;
+const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+// Quote a single value when it contains a delimiter, quote or newline. Text a
+// spreadsheet would run as a formula (a cashier name or note starting with
+// '=') gets a leading single quote so it is shown as text instead.
+export function csvValue(value) {
+  if (value == null) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_RE.test(str) && !NUMBER_RE.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+// A value read back from a CSV this module wrote, without the formula guard
+export function fromCsvValue(str) {
+  return /^'[=+\-@\t\r]/.test(str) && !NUMBER_RE.test(str.slice(1)) ? str.slice(1) : str;
+}
+
+// Format one CSV line (including the trailing CRLF)
+export function csvRow(values) {
+  return values.map(csvValue).join(',') + '\r\n';
+}
+
+// Split CSV text into rows of string values. Quoted values may hold commas,
+// doubled quotes and line breaks; a leading byte order mark is dropped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        value += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(value);
+      value = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += c;
+    }
+  }
+  if (value || row.length) rows.push([...row, value]);
+  return rows;
+}
@@ -0,0 +1,1898 @@
+// docstore.js
+// The storage interface built on a plain document store, shared by the
+// Firestore and in-memory backends. A store adapter provides:
+//
+//   name                     shown by the health check
+//   runTransaction(fn)       calls fn(raw) atomically (Firestore may retry it)
+//     raw.get(col, id)       -> doc or null
+//     raw.find(col, where, { orderBy, direction, startAfter, limit })
+//                            -> [{ id, data }]; where is field equality, and with
+//                            orderBy the docs come sorted by that field ('asc' or
+//                            'desc'), starting after the startAfter value
+//     raw.set(col, id, doc) / raw.delete(col, id)
+//   ping()                   -> health details
+//   close()
+//   maxWrites                (optional) writes allowed in one transaction
+//
+// Collections mirror the MariaDB tables. Dates are stored as ISO strings and
+// ids come from per-collection counters, so rows look the same to callers.
+import { Readable } from "stream";
+import { log } from "./log.js";
+import {
+  ValidationError, toCents, fromCents, validateOrderFields, validateReplayFields, priceOrderLines, formatOrderId,
+  NO_ACTIVE_EVENT, checkStock, allocateTickets, mergeTicketRanges, auditFields, orderVoidError, validateRefundRequest,
+  planRefund, validatePaymentChange, correctedPayments, optionalCount, validateStockChange, applyStockChange, SEED_ITEMS,
+  parseOrderFilters, buildSalesSummary, validateImportOrders, validateDrawerOpen, validateDrawerClose, pickTicket,
+  validateDrawRequest, NO_ELIGIBLE_TICKETS, ORDER_STATUSES, hashPassword, verifyPassword, validateUserFields,
+  duplicateUsernameError, LAST_ADMIN, WRONG_PASSWORD, SESSION_TTL_SECONDS, SESSION_TOUCH_SECONDS, newSessionToken,
+  hashToken, MAX_LOGIN_ATTEMPTS, ATTEMPT_WINDOW_SECONDS, LOCK_SECONDS, initialFulfillment, validateFulfillmentStatus,
+  noFulfillmentError, DEFAULT_SETTINGS, validateSettings, planPayments, legacyPayments, cashNetCents,
+  SEED_PAYMENT_METHODS, validatePaymentMethodFields, duplicatePaymentMethodError, LAST_PAYMENT_METHOD, stockNeeds,
+  itemRefErrors, normalizeComponents, normalizeModifiers, componentInUseError, SEED_TABS, validateTabFields,
+  validateCategoryFields, duplicateTabError, duplicateCategoryError, unknownTabError, LAST_TAB, CATEGORY_IN_USE,
+  resolveComponents, validateItemBatch, menuOrderErrors, notOnMenuError, operationError, encodeOrderCursor, MAX_ORDER_PAGE_SIZE,
+  summarizeOrderTotals, validateDiscountFields, discountFields, duplicateDiscountError, applyDiscounts, summarizeDiscounts, pricingTime,
+  ORDER_LINE_TYPES,
+} from "./domain.js";
+
+// Field equality as Firestore applies it: a missing field never matches, so
+// documents always store every field (null rather than undefined)
+export function matchesWhere(doc, where = {}) {
+  return Object.entries(where).every(([field, value]) => doc[field] === value);
+}
+
+// Whether a doc comes after a find's startAfter value in its orderBy order
+export function pastCursor(doc, { orderBy, direction = 'asc', startAfter } = {}) {
+  if (!orderBy || startAfter == null) return true;
+  return direction === 'desc' ? doc[orderBy] < startAfter : doc[orderBy] > startAfter;
+}
+
+// Sorts docs in a find's orderBy order
+export const compareForFind = ({ orderBy, direction = 'asc' }) => (a, b) =>
+  (a[orderBy] < b[orderBy] ? -1 : a[orderBy] > b[orderBy] ? 1 : 0) * (direction === 'desc' ? -1 : 1);
+
+const clone = (v) => (v == null ? null : structuredClone(v));
+const now = () => new Date().toISOString();
+const secondsFromNow = (s) => new Date(Date.now() + s * 1000).toISOString();
+const byId = (a, b) => a.id - b.id;
+const writeKey = (col, id) => `${col}\u0000${id}`;
+
+// Buffers writes until the transaction body has finished (Firestore needs every
+// read before the first write) while letting the body read its own writes.
+class Transaction {
+  constructor(raw) {
+    this.raw = raw;
+    this.writes = new Map();
+  }
+
+  async get(col, id) {
+    const pending = this.writes.get(writeKey(col, id));
+    if (pending) return clone(pending.doc);
+    return this.raw.get(col, String(id));
+  }
+
+  async find(col, where = {}, options = {}) {
+    const docs = [];
+    for (const { id, data } of await this.raw.find(col, where, options)) {
+      if (!this.writes.has(writeKey(col, id))) docs.push(data);
+    }
+    for (const w of this.writes.values()) {
+      if (w.col === col && w.doc && matchesWhere(w.doc, where) && pastCursor(w.doc, options)) docs.push(clone(w.doc));
+    }
+    if (options.orderBy) docs.sort(compareForFind(options));
+    return options.limit ? docs.slice(0, options.limit) : docs;
+  }
+
+  set(col, id, doc) {
+    this.writes.set(writeKey(col, id), { col, id: String(id), doc: clone(doc) });
+  }
+
+  async update(col, id, changes) {
+    const doc = await this.get(col, id);
+    if (doc) this.set(col, id, { ...doc, ...changes });
+    return doc ? { ...doc, ...changes } : null;
+  }
+
+  delete(col, id) {
+    this.writes.set(writeKey(col, id), { col, id: String(id), doc: null });
+  }
+
+  // Auto-increment ids, one counter document per collection
+  async nextId(col) {
+    const counter = await this.get('counters', col);
+    const value = (counter ? counter.value : 0) + 1;
+    this.set('counters', col, { value });
+    return value;
+  }
+
+  // Drop every buffered write, so nothing is saved
+  discard() {
+    this.writes.clear();
+  }
+
+  flush() {
+    for (const { col, id, doc } of this.writes.values()) {
+      if (doc) this.raw.set(col, id, doc);
+      else this.raw.delete(col, id);
+    }
+  }
+}
+
+// Run fn(tx) in one store transaction. Never call run() from inside fn: the
+// in-memory store serializes transactions and would wait on itself.
+async function run(store, fn) {
+  return store.runTransaction(async (raw) => {
+    const tx = new Transaction(raw);
+    const result = await fn(tx);
+    tx.flush();
+    return result;
+  });
+}
+
+// ----------------------
+// Lifecycle
+// ----------------------
+// Seed a fresh store the way db.js seeds a fresh database: a default event
+// with the starter menu, plus the ADMIN_PASSWORD account when one is set
+async function initialize(store) {
+  await run(store, async (tx) => {
+    if (!(await tx.find('events', {}, { limit: 1 })).length) {
+      await insertEvent(tx, { name: 'Default Event', startDate: now().slice(0, 10), active: true });
+      log.info('Created default event');
+    }
+    if (!(await tx.find('items', {}, { limit: 1 })).length) {
+      const event = await activeEvent(tx);
+      for (const [tab, category, name, dataName, price, color, orderIndex, ticketCount] of SEED_ITEMS) {
+        await insertItem(tx, { eventId: event ? event.id : null, tab, category, name, dataName, price, color, orderIndex, ticketCount });
+      }
+      log.info('Seeded items');
+    }
+    if (!(await tx.find('payment_methods', {}, { limit: 1 })).length) {
+      for (const m of SEED_PAYMENT_METHODS) await insertPaymentMethod(tx, m);
+      log.info('Seeded payment methods');
+    }
+    if (!(await tx.find('menu_tabs', {}, { limit: 1 })).length) {
+      for (const t of SEED_TABS) await insertTab(tx, t);
+      log.info('Seeded menu tabs');
+    }
+    // Every category the items use exists, in the order it first appears
+    const categories = await tx.find('menu_categories');
+    let added = 0;
+    for (const item of (await tx.find('items')).sort(byId)) {
+      if (categories.some((c) => c.tab === item.tab && c.name === item.category)) continue;
+      categories.push(await insertCategory(tx, { tab: item.tab, name: item.category, sortOrder: item.id }));
+      added++;
+    }
+    if (added) log.info('Added menu categories from items', { count: added });
+
+    const adminUsername = (process.env.ADMIN_USERNAME || 'admin').toLowerCase();
+    if (process.env.ADMIN_PASSWORD && !(await tx.get('usernames', adminUsername))) {
+      const { hash, salt } = process.env.ADMIN_SALT
+        ? hashPassword(process.env.ADMIN_PASSWORD, process.env.ADMIN_SALT)
+        : hashPassword(process.env.ADMIN_PASSWORD);
+      await insertUser(tx, { username: adminUsername, displayName: 'Admin', role: 'admin', hash, salt });
+      log.info('Admin user created from environment', { username: adminUsername });
+    }
+  });
+  log.info('Storage initialized', { storage: store.name });
+}
+
+function checkHealth(store) {
+  return store.ping();
+}
+
+function close(store) {
+  return store.close();
+}
+
+// Document stores manage their own connections; there is no pool to report
+function getPoolStats() {
+  return null;
+}
+
+// ----------------------
+// Orders
+// ----------------------
+async function activeEvent(tx) {
+  const events = await tx.find('events', { active: true });
+  return events.sort(byId).pop() || null;
+}
+
+/**
+ * Record an order. With an idempotencyKey, a retry of an order that was already
+ * stored returns the stored order (flagged `replayed`) instead of a duplicate.
+ * createdAt lets a queued offline order keep the time it was rung up.
+ */
+async function submitOrder(store, orderData, { idempotencyKey, createdAt, cashierId } = {}) {
+  const shapeErrors = [...validateOrderFields(orderData), ...validateReplayFields({ idempotencyKey, createdAt })];
+  if (shapeErrors.length) throw new ValidationError(shapeErrors);
+
+  const result = await run(store, async (tx) => {
+    // The idempotency key document is read in the transaction, so two retries can't both get through
+    if (idempotencyKey) {
+      const claimed = await tx.get('idempotency_keys', idempotencyKey);
+      if (claimed) return { replayOf: claimed.orderId };
+    }
+
+    // Reading the active event makes it part of the transaction; its counter numbers this order
+    const event = await activeEvent(tx);
+    if (!event) throw new ValidationError([NO_ACTIVE_EVENT]);
+
+    // Price every line from the event's menu (never trust the browser's prices),
+    // then take off its discounts. The whole menu is the catalog so bundles find
+    // their components.
+    const catalog = menuCatalog(await tx.find('items', { eventId: event.id }));
+    const { lines, totalCents: subtotalCents, errors } = priceOrderLines(orderData.items, catalog);
+    if (errors.length) throw new ValidationError(errors);
+    const { wanted, errors: stockErrors } = checkStock(lines, catalog);
+    if (stockErrors.length) throw new ValidationError(stockErrors);
+    const { lines: discountLines, discountCents, errors: discountErrors } = applyDiscounts(
+      lines, orderData.discounts, await discountsById(tx), catalog, pricingTime({ idempotencyKey, createdAt }), (await readSettings(tx)).timeZone
+    );
+    if (discountErrors.length) throw new ValidationError(discountErrors);
+    const totalCents = subtotalCents - discountCents;
+    const totalAmount = fromCents(totalCents);
+    const { payments, status, paymentType, errors: paymentErrors } = planPayments(orderData, totalCents, await paymentMethodsByName(tx));
+    if (paymentErrors.length) throw new ValidationError(paymentErrors);
+
+    const orderCounter = event.orderCounter + 1;
+    const orderId = formatOrderId(event.id, orderCounter);
+    const drawer = await tx.get('meta', 'drawer');
+    const standTabs = new Set((await tx.find('menu_tabs', { fulfillment: true })).map((t) => t.slug));
+    const fulfillmentStatus = initialFulfillment(lines, catalog, standTabs);
+    tx.set('orders', orderId, {
+      orderId,
+      seq: await tx.nextId('orders'),
+      eventId: event.id,
+      drawerSessionId: drawer ? drawer.openSessionId : null,
+      cashierId: cashierId || null,
+      totalAmount,
+      refundedAmount: 0,
+      paymentType,
+      payments,
+      status,
+      statusNote: null,
+      statusUpdatedAt: null,
+      fulfillmentStatus,
+      fulfillmentUpdatedAt: fulfillmentStatus ? now() : null,
+      idempotencyKey: idempotencyKey || null,
+      timestamp: createdAt ? new Date(createdAt).toISOString() : now(),
+    });
+    if (idempotencyKey) tx.set('idempotency_keys', idempotencyKey, { orderId });
+
+    const transactionIds = [];
+    for (const line of lines) {
+      transactionIds.push(await insertLine(tx, {
+        orderId, eventId: event.id, item: line.name, quantity: line.qty, total: line.total,
+        modifiers: line.modifiers.length ? line.modifiers : null,
+      }));
+    }
+    // Discounts and comps are lines of their own, against the line they reduce
+    for (const d of discountLines) {
+      await insertLine(tx, {
+        orderId, eventId: event.id, item: lines[d.lineIndex].name, quantity: 0, total: -d.amount, type: d.type,
+        discountId: d.discountId, label: d.label, appliesTo: transactionIds[d.lineIndex], reason: d.reason,
+      });
+    }
+
+    // Decrement tracked stock (bundle components included) and log the movement
+    for (const [dataName, qty] of wanted) {
+      const row = catalog.get(dataName);
+      if (row.stockQty == null) continue;
+      tx.set('items', row.id, { ...row, stockQty: row.stockQty - qty });
+      await insertMovement(tx, { itemId: row.id, delta: -qty, balanceAfter: row.stockQty - qty, reason: 'sale', orderId });
+    }
+
+    // Number the raffle tickets sold
+    const { counter, packages, tickets } = allocateTickets(event.ticketCounter, lines, catalog);
+    for (const p of packages) {
+      const id = await tx.nextId('raffle_tickets');
+      tx.set('raffle_tickets', id, {
+        id, eventId: event.id, orderId, transactionId: transactionIds[p.lineIndex], item: p.item,
+        firstTicket: p.firstTicket, lastTicket: p.lastTicket, voided: false,
+      });
+    }
+    tx.set('events', event.id, { ...event, orderCounter, ticketCounter: counter });
+
+    return { order: {
+      orderId, eventId: event.id, paymentType, payments, status, fulfillmentStatus, subtotal: fromCents(subtotalCents),
+      discounts: summarizeDiscounts(discountLines.map((d) => ({ ...d, total: -d.amount }))), totalAmount, items: lines, tickets,
+    } };
+  });
+
+  if (result.replayOf) return { ...(await getOrder(store, result.replayOf)), replayed: true };
+  return result.order;
+}
+
+async function insertLine(tx, {
+  orderId, eventId, item, quantity, total, modifiers = null, type = 'sale', refundOf = null, reason = null, createdBy = null,
+  discountId = null, label = null, appliesTo = null,
+}) {
+  const id = await tx.nextId('transactions');
+  tx.set('transactions', id, {
+    id, orderId, eventId, item, quantity, total, modifiers, type, refundOf, reason, createdBy, discountId, label, appliesTo, createdAt: now(),
+  });
+  return id;
+}
+
+// An event's items by dataName
+const menuCatalog = (menu) => new Map(menu.map((r) => [r.dataName, r]));
+
+// A single order in the shape submitOrder returns (sale lines, with the
+// discount lines rolled up)
+async function orderView(tx, o) {
+  const orderLines = (await tx.find('transactions', { orderId: o.orderId })).sort(byId);
+  const lines = orderLines.filter((t) => t.type === 'sale');
+  const ticketRows = (await tx.find('raffle_tickets', { orderId: o.orderId })).sort((a, b) => a.firstTicket - b.firstTicket);
+  const tickets = mergeTicketRanges(ticketRows).get(o.orderId) || [];
+  const cashier = o.cashierId ? await tx.get('users', o.cashierId) : null;
+  return {
+    orderId: o.orderId,
+    eventId: o.eventId,
+    paymentType: o.paymentType,
+    payments: paymentsOf(o),
+    status: o.status,
+    fulfillmentStatus: o.fulfillmentStatus,
+    fulfillmentUpdatedAt: o.fulfillmentUpdatedAt,
+    totalAmount: o.totalAmount,
+    refundedAmount: o.refundedAmount,
+    netAmount: fromCents(toCents(o.totalAmount) - toCents(o.refundedAmount)),
+    subtotal: fromCents(lines.reduce((c, r) => c + toCents(r.total), 0)),
+    discounts: summarizeDiscounts(orderLines.filter((t) => t.type === 'discount' || t.type === 'comp')),
+    timestamp: o.timestamp,
+    cashierId: o.cashierId,
+    cashierName: cashier ? cashier.displayName : null,
+    items: lines.map((r) => ({
+      name: r.item,
+      qty: r.quantity,
+      price: r.quantity ? fromCents(Math.round(toCents(r.total) / r.quantity)) : 0,
+      total: r.total,
+      modifiers: r.modifiers || [],
+    })),
+    tickets: tickets.map(({ item, firstTicket, lastTicket, voided }) => ({ item, firstTicket, lastTicket, voided })),
+  };
+}
+
+function getOrder(store, orderId) {
+  return run(store, async (tx) => {
+    const o = await tx.get('orders', orderId);
+    return o ? orderView(tx, o) : null;
+  });
+}
+
+// Imported and pre-split-tender orders have no payments of their own
+const paymentsOf = (o) => o.payments || legacyPayments(o);
+
+// Orders matching equality filters and an optional [fromDate, toDate) range, oldest first.
+// paymentType matches any of an order's payments.
+async function findOrders(tx, { eventId, paymentType, status, cashierId, fromDate, toDate } = {}) {
+  const where = {};
+  if (eventId) where.eventId = Number(eventId);
+  if (cashierId) where.cashierId = Number(cashierId);
+  if (status) where.status = status;
+  return (await tx.find('orders', where))
+    .filter((o) => (!fromDate || new Date(o.timestamp) >= fromDate) && (!toDate || new Date(o.timestamp) < toDate))
+    .filter((o) => !paymentType || paymentsOf(o).some((p) => p.method === paymentType))
+    .sort((a, b) => a.seq - b.seq);
+}
+
+// Lines, tickets or other per-order rows for a set of orders, grouped by orderId
+async function rowsByOrder(tx, col, eventId, orderIds) {
+  const rows = await tx.find(col, eventId ? { eventId: Number(eventId) } : {});
+  const grouped = new Map();
+  for (const r of rows) {
+    if (!orderIds.has(r.orderId)) continue;
+    if (!grouped.has(r.orderId)) grouped.set(r.orderId, []);
+    grouped.get(r.orderId).push(r);
+  }
+  return grouped;
+}
+
+async function userNames(tx) {
+  return new Map((await tx.find('users')).map((u) => [u.id, u.displayName]));
+}
+
+// The order list filters (see parseOrderQuery) the store applies itself, as
+// field equality; orderMatcher checks the rest
+function orderWhere({ eventId, cashierId, statuses, fulfillmentStatuses }) {
+  const where = {};
+  if (eventId) where.eventId = Number(eventId);
+  if (cashierId) where.cashierId = Number(cashierId);
+  if (statuses && statuses.length === 1) where.status = statuses[0];
+  if (fulfillmentStatuses && fulfillmentStatuses.length === 1) where.fulfillmentStatus = fulfillmentStatuses[0];
+  return where;
+}
+
+async function orderMatcher(tx, { paymentType, statuses, fulfillmentStatuses, fromDate, toDate, item, search } = {}) {
+  const sold = item && new Set((await tx.find('transactions', { item, type: 'sale' })).map((t) => t.orderId));
+  return (o) => (!statuses || !statuses.length || statuses.includes(o.status))
+    && (!fulfillmentStatuses || !fulfillmentStatuses.length || fulfillmentStatuses.includes(o.fulfillmentStatus))
+    && (!paymentType || paymentsOf(o).some((p) => p.method === paymentType))
+    && (!fromDate || new Date(o.timestamp) >= fromDate) && (!toDate || new Date(o.timestamp) < toDate)
+    && (!search || (search.includes('-') ? o.orderId === search : o.orderId.endsWith(`-${search}`)))
+    && (!sold || sold.has(o.orderId));
+}
+
+// Orders matching the order list filters, newest first
+async function matchingOrders(tx, filters = {}) {
+  const matches = await orderMatcher(tx, filters);
+  return (await tx.find('orders', orderWhere(filters), { orderBy: 'seq', direction: 'desc' })).filter(matches);
+}
+
+async function getOrders(store, filters = {}) {
+  return run(store, async (tx) => orderViews(tx, await matchingOrders(tx, filters), filters.eventId));
+}
+
+/**
+ * One page of the order list (see mariadb.js); the cursor holds an order's
+ * seq. Orders are read newest first from the cursor in batches of a page, so
+ * only filters the store can't apply read past it. The totals need every
+ * matching order, so only the first page has them.
+ */
+async function getOrderPage(store, { limit, after, ...filters }) {
+  return run(store, async (tx) => {
+    const where = orderWhere(filters);
+    const matches = await orderMatcher(tx, filters);
+    const found = [];
+    let startAfter = after;
+    while (found.length <= limit) {
+      const batch = await tx.find('orders', where, { orderBy: 'seq', direction: 'desc', startAfter, limit: limit + 1 });
+      found.push(...batch.filter(matches));
+      if (batch.length <= limit) break;
+      startAfter = batch[batch.length - 1].seq;
+    }
+    const page = found.slice(0, limit);
+
+    let totals = null;
+    if (!after) {
+      const byStatus = new Map();
+      for (const o of (await tx.find('orders', where)).filter(matches)) {
+        const row = byStatus.get(o.status) || { status: o.status, orders: 0, totalCents: 0, refundedCents: 0 };
+        row.orders++;
+        row.totalCents += toCents(o.totalAmount);
+        row.refundedCents += toCents(o.refundedAmount);
+        byStatus.set(o.status, row);
+      }
+      totals = summarizeOrderTotals([...byStatus.values()].map((r) => ({
+        status: r.status, orders: r.orders, totalAmount: fromCents(r.totalCents), refundedAmount: fromCents(r.refundedCents),
+      })));
+    }
+    return {
+      orders: await orderViews(tx, page, filters.eventId),
+      nextCursor: found.length > limit ? encodeOrderCursor(page[page.length - 1].seq) : null,
+      totals,
+    };
+  });
+}
+
+// Lines or tickets of the given orders, grouped by orderId: a page of orders is
+// read order by order, more than that as the event's whole collection
+async function orderRows(tx, col, eventId, orders) {
+  if (orders.length > MAX_ORDER_PAGE_SIZE) return rowsByOrder(tx, col, eventId, new Set(orders.map((o) => o.orderId)));
+  return new Map(await Promise.all(orders.map(async (o) => [o.orderId, await tx.find(col, { orderId: o.orderId })])));
+}
+
+// Stored orders as the API returns them, with lines, payments and tickets
+async function orderViews(tx, orders, eventId) {
+  const lines = await orderRows(tx, 'transactions', eventId, orders);
+  const ticketRows = [...(await orderRows(tx, 'raffle_tickets', eventId, orders)).values()].flat();
+  const tickets = mergeTicketRanges(ticketRows.sort((a, b) => a.firstTicket - b.firstTicket));
+  const names = await userNames(tx);
+
+  return orders.map((o) => {
+    const orderLines = (lines.get(o.orderId) || []).sort(byId);
+    return {
+      orderId: o.orderId,
+      eventId: o.eventId,
+      totalAmount: o.totalAmount,
+      refundedAmount: o.refundedAmount,
+      netAmount: fromCents(toCents(o.totalAmount) - toCents(o.refundedAmount)),
+      paymentType: o.paymentType,
+      payments: paymentsOf(o),
+      status: o.status,
+      statusNote: o.statusNote,
+      statusUpdatedAt: o.statusUpdatedAt,
+      fulfillmentStatus: o.fulfillmentStatus,
+      fulfillmentUpdatedAt: o.fulfillmentUpdatedAt,
+      timestamp: o.timestamp,
+      cashierId: o.cashierId,
+      cashierName: names.get(o.cashierId) ?? null,
+      // Refund lines carry a negative qty/total and point at the sale line they
+      // reverse; discount and comp lines (qty 0) at the one they reduce
+      items: orderLines.map((t) => ({
+        id: t.id,
+        type: t.type,
+        refundOf: t.refundOf,
+        appliesTo: t.appliesTo ?? null,
+        discountId: t.discountId ?? null,
+        label: t.label ?? null,
+        reason: t.reason,
+        name: t.item,
+        qty: t.quantity,
+        total: t.total,
+        modifiers: t.modifiers || [],
+      })),
+      discounts: summarizeDiscounts(orderLines.filter((t) => t.type === 'discount' || t.type === 'comp')),
+      tickets: tickets.get(o.orderId) || [],
+    };
+  });
+}
+
+// ----------------------
+// Payment status (Venmo reconciliation)
+// ----------------------
+async function logStatus(tx, orderId, fromStatus, toStatus, note, changedBy) {
+  const id = await tx.nextId('order_status_log');
+  tx.set('order_status_log', id, { id, orderId, fromStatus, toStatus, note, changedBy, changedAt: now() });
+}
+
+const statusFields = (o) => ({ orderId: o.orderId, status: o.status, statusNote: o.statusNote, statusUpdatedAt: o.statusUpdatedAt });
+
+// Change an order's payment status and log the change. Returns null when the
+// order does not exist. Voiding goes through voidOrder and is final.
+async function setOrderStatus(store, orderId, status, note, changedBy) {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new ValidationError([{ code: 'invalid_status', message: `'status' must be one of ${ORDER_STATUSES.join(', ')}` }]);
+  }
+  if (status === 'void') return voidOrder(store, orderId, { reason: note, by: changedBy });
+  const cleanNote = note ? String(note).trim().slice(0, 255) : null;
+  const actor = changedBy ? String(changedBy).trim().slice(0, 100) : null;
+
+  return run(store, async (tx) => {
+    const order = await tx.get('orders', orderId);
+    if (!order) return null;
+    if (order.status === 'void') throw new ValidationError([{ code: 'order_void', message: `Order ${orderId} is void and can't be changed` }]);
+    await logStatus(tx, orderId, order.status, status, cleanNote, actor);
+    return statusFields(await tx.update('orders', orderId, { status, statusNote: cleanNote, statusUpdatedAt: now() }));
+  });
+}
+
+function getOrderStatusHistory(store, orderId) {
+  return run(store, async (tx) => (await tx.find('order_status_log', { orderId }))
+    .sort(byId)
+    .map(({ fromStatus, toStatus, note, changedBy, changedAt }) => ({ fromStatus, toStatus, note, changedBy, changedAt })));
+}
+
+// ----------------------
+// Fulfillment (stand tickets)
+// ----------------------
+async function setFulfillmentStatus(store, orderId, status) {
+  validateFulfillmentStatus(status);
+  return run(store, async (tx) => {
+    const order = await tx.get('orders', orderId);
+    if (!order) return null;
+    if (order.status === 'void') throw orderVoidError(orderId);
+    if (!order.fulfillmentStatus) throw noFulfillmentError(orderId);
+    const o = await tx.update('orders', orderId, { fulfillmentStatus: status, fulfillmentUpdatedAt: now() });
+    return { orderId: o.orderId, fulfillmentStatus: o.fulfillmentStatus, fulfillmentUpdatedAt: o.fulfillmentUpdatedAt };
+  });
+}
+
+// ----------------------
+// Voids, refunds and edits
+// ----------------------
+async function insertAudit(tx, orderId, action, amount, reason, actor, details) {
+  const id = await tx.nextId('order_audit');
+  tx.set('order_audit', id, { id, orderId, action, amount, reason, actor, details: details || null, createdAt: now() });
+}
+
+async function insertMovement(tx, { itemId, delta, balanceAfter, reason, note = null, orderId = null }) {
+  const id = await tx.nextId('stock_movements');
+  tx.set('stock_movements', id, { id, itemId, delta, balanceAfter, reason, note, orderId, createdAt: now() });
+}
+
+// Put quantities ({ item, qty }) back into tracked stock for the order's event.
+// Bundles return their components as the bundle is made up now.
+async function restockLines(tx, eventId, orderId, lines, reason) {
+  const catalog = menuCatalog(await tx.find('items', { eventId }));
+  const needs = stockNeeds(lines.map(({ item, qty }) => ({ name: item, qty })), catalog);
+  for (const [dataName, qty] of needs) {
+    const row = catalog.get(dataName);
+    if (row.stockQty == null) continue;
+    row.stockQty += qty;
+    tx.set('items', row.id, row);
+    await insertMovement(tx, { itemId: row.id, delta: qty, balanceAfter: row.stockQty, reason, orderId });
+  }
+}
+
+// Load an order for a post-checkout change; null when it doesn't exist
+async function orderForEdit(tx, orderId) {
+  const order = await tx.get('orders', orderId);
+  if (order && order.status === 'void') throw orderVoidError(orderId);
+  return order;
+}
+
+/**
+ * Void a whole order. Whatever hasn't already been refunded goes back into
+ * tracked stock, its raffle tickets are voided, and the void is written to the
+ * status log and audit trail.
+ * Voids are final. Returns the updated order, or null when it doesn't exist.
+ */
+async function voidOrder(store, orderId, { reason, by } = {}) {
+  const fields = auditFields({ reason, by });
+  if (fields.errs.length) throw new ValidationError(fields.errs);
+
+  return run(store, async (tx) => {
+    const order = await orderForEdit(tx, orderId);
+    if (!order) return null;
+
+    // Net quantity still sold per item (refund lines are negative)
+    const net = new Map();
+    for (const t of await tx.find('transactions', { orderId })) net.set(t.item, (net.get(t.item) || 0) + t.quantity);
+    const netLines = [...net].filter(([, qty]) => qty > 0).map(([item, qty]) => ({ item, qty }));
+    await restockLines(tx, order.eventId, orderId, netLines, 'void');
+    // Its raffle tickets leave the pool, and any prize it won must be redrawn
+    for (const t of await tx.find('raffle_tickets', { orderId })) tx.set('raffle_tickets', t.id, { ...t, voided: true });
+    for (const d of await tx.find('raffle_draws', { orderId })) tx.set('raffle_draws', d.id, { ...d, voided: true });
+
+    await logStatus(tx, orderId, order.status, 'void', fields.reason, fields.actor);
+    const amount = fromCents(toCents(order.totalAmount) - toCents(order.refundedAmount));
+    await insertAudit(tx, orderId, 'void', amount, fields.reason, fields.actor, { fromStatus: order.status });
+    return statusFields(await tx.update('orders', orderId, { status: 'void', statusNote: fields.reason, statusUpdatedAt: now() }));
+  });
+}
+
+/**
+ * Refund part of an order. lines is [{ transactionId, qty }] against the
+ * order's sale lines; each refund is stored as a negative 'refund' line so the
+ * original sale stays in the books. With restock the refunded quantities go
+ * back into tracked stock. Returns { amount, lines, order } or null when the
+ * order doesn't exist.
+ */
+async function refundOrderLines(store, orderId, { lines, reason, by, restock = false } = {}) {
+  const { fields, requested } = validateRefundRequest({ lines, reason, by });
+
+  const result = await run(store, async (tx) => {
+    const order = await orderForEdit(tx, orderId);
+    if (!order) return null;
+
+    const orderLines = await tx.find('transactions', { orderId });
+    const sales = new Map();
+    for (const t of orderLines.filter((l) => l.type === 'sale')) {
+      const refunds = orderLines.filter((r) => r.refundOf === t.id);
+      // What was paid for the line: its total less the discounts against it
+      const discountCents = orderLines.filter((d) => d.appliesTo === t.id).reduce((c, d) => c + toCents(d.total), 0);
+      sales.set(t.id, {
+        ...t,
+        total: fromCents(toCents(t.total) + discountCents),
+        refundedQty: -refunds.reduce((n, r) => n + r.quantity, 0),
+        refundedTotal: fromCents(-refunds.reduce((c, r) => c + toCents(r.total), 0)),
+      });
+    }
+    const refunds = planRefund(orderId, requested, sales);
+
+    for (const r of refunds) {
+      await insertLine(tx, {
+        orderId, eventId: order.eventId, item: r.item, quantity: -r.qty, total: -r.amount,
+        type: 'refund', refundOf: r.transactionId, reason: fields.reason, createdBy: fields.actor,
+      });
+    }
+    const refundCents = refunds.reduce((c, r) => c + r.cents, 0);
+    await tx.update('orders', orderId, { refundedAmount: fromCents(toCents(order.refundedAmount) + refundCents) });
+    if (restock) await restockLines(tx, order.eventId, orderId, refunds, 'refund');
+    // Refunded raffle packages lose their tickets (the last ones issued on the line)
+    const tickets = await tx.find('raffle_tickets', { orderId });
+    for (const r of refunds) {
+      tickets
+        .filter((t) => t.transactionId === r.transactionId && !t.voided)
+        .sort((a, b) => b.firstTicket - a.firstTicket)
+        .slice(0, r.qty)
+        .forEach((t) => tx.set('raffle_tickets', t.id, { ...t, voided: true }));
+    }
+
+    const details = refunds.map(({ cents, ...r }) => r);
+    await insertAudit(tx, orderId, 'refund', fromCents(refundCents), fields.reason, fields.actor, { lines: details, restock: !!restock });
+    return { amount: fromCents(refundCents), lines: details };
+  });
+
+  return result && { ...result, order: await getOrder(store, orderId) };
+}
+
+/**
+ * Correct a mis-tapped payment type: the whole order is re-recorded as paid
+ * with one method (see correctedPayments). Methods that don't settle
+ * immediately mark it unpaid until the balance is reconciled; the others, or
+ * nothing left to pay, mark it paid.
+ * Returns the updated order, or null when it doesn't exist.
+ */
+async function updateOrderPayment(store, orderId, { paymentType, reason, by } = {}) {
+  const fields = validatePaymentChange({ paymentType, reason, by });
+
+  const found = await run(store, async (tx) => {
+    const order = await orderForEdit(tx, orderId);
+    if (!order) return false;
+    const method = (await paymentMethodsByName(tx)).get(paymentType);
+    if (!method || !method.enabled) {
+      throw new ValidationError([{ code: 'unknown_payment_method', field: 'paymentType', message: `'${paymentType}' is not an available payment method` }]);
+    }
+    if (paymentsOf(order).every((p) => p.method === paymentType)) {
+      throw new ValidationError([{ code: 'no_change', message: `Order ${orderId} is already ${paymentType}` }]);
+    }
+
+    const { payments, status } = correctedPayments(order, method);
+    const changes = { paymentType, payments };
+    if (status !== order.status) {
+      await logStatus(tx, orderId, order.status, status, fields.reason, fields.actor);
+      Object.assign(changes, { status, statusNote: fields.reason, statusUpdatedAt: now() });
+    }
+    await tx.update('orders', orderId, changes);
+    await insertAudit(tx, orderId, 'payment_type', null, fields.reason, fields.actor, { from: order.paymentType, to: paymentType });
+    return true;
+  });
+  return found ? getOrder(store, orderId) : null;
+}
+
+function getOrderAudit(store, orderId) {
+  return run(store, async (tx) => (await tx.find('order_audit', { orderId }))
+    .sort(byId)
+    .map(({ action, amount, reason, actor, details, createdAt }) => ({ action, amount, reason, actor, details, createdAt })));
+}
+
+// ----------------------
+// Items (CRUD)
+// ----------------------
+const ITEM_FIELDS = ['id', 'eventId', 'tab', 'category', 'name', 'dataName', 'price', 'color', 'orderIndex', 'active', 'stockQty', 'lowStockThreshold', 'ticketCount', 'imageUrl'];
+const pick = (doc, fields) => Object.fromEntries(fields.map((f) => [f, doc[f] ?? null]));
+const compareText = (a, b) => String(a ?? '').localeCompare(String(b ?? ''));
+// Items stored before bundles and modifiers have neither
+const itemView = (doc) => ({ ...pick(doc, ITEM_FIELDS), components: doc.components || [], modifiers: doc.modifiers || [] });
+
+async function insertItem(tx, {
+  eventId, tab, category, name, dataName, price, color, orderIndex, active = true, stockQty = null, lowStockThreshold = null,
+  ticketCount = null, imageUrl = null, components = [], modifiers = [],
+}) {
+  const id = await tx.nextId('items');
+  const item = {
+    id, eventId, tab, category, name, dataName, price: Number(price || 0), color: color || 'gray-600',
+    orderIndex: orderIndex || 0, active, stockQty, lowStockThreshold, ticketCount, imageUrl, components, modifiers,
+  };
+  tx.set('items', id, item);
+  return item;
+}
+
+// Check an item's tab, category and components against the event's menu (see
+// itemRefErrors). Returns the item with its components referenced by id.
+async function checkItemRefs(tx, eventId, item, id = null) {
+  const menu = (await tx.find('items', { eventId })).map(itemView);
+  const errs = itemRefErrors(item, {
+    tabs: await tx.find('menu_tabs'),
+    categories: await tx.find('menu_categories'),
+    menu,
+    id,
+  });
+  if (errs.length) throw new ValidationError(errs);
+  return item.components ? { ...item, components: resolveComponents(item.components, menu) } : item;
+}
+
+// Components and modifiers to store from an item payload (undefined keeps the current ones)
+const itemDetails = ({ components, modifiers }) => ({
+  ...(components !== undefined && { components: normalizeComponents(components || []) }),
+  ...(modifiers !== undefined && { modifiers: normalizeModifiers(modifiers || []) }),
+});
+
+// Items belong to an event; without an eventId the active event's menu is returned.
+// By default only active items are returned (the POS menu); the admin panel
+// passes includeInactive so retired items can be edited and re-enabled.
+function getItems(store, { includeInactive = false, eventId } = {}) {
+  return run(store, async (tx) => {
+    const scopeEventId = eventId ? Number(eventId) : (await activeEvent(tx))?.id;
+    if (!scopeEventId) return [];
+    return (await tx.find('items', { eventId: scopeEventId }))
+      .filter((r) => includeInactive || r.active)
+      .sort((a, b) => compareText(a.tab, b.tab) || compareText(a.category, b.category) || a.orderIndex - b.orderIndex)
+      .map(itemView);
+  });
+}
+
+// Add an item from a request payload to an event's menu
+async function addItem(tx, eventId, item) {
+  item = await checkItemRefs(tx, eventId, item);
+  const created = await insertItem(tx, {
+    ...item,
+    eventId,
+    active: item.active !== false,
+    stockQty: optionalCount(item.stockQty),
+    lowStockThreshold: optionalCount(item.lowStockThreshold),
+    ticketCount: optionalCount(item.ticketCount) || null,
+    imageUrl: item.imageUrl || null,
+    components: [],
+    modifiers: [],
+    ...itemDetails(item),
+  });
+  if (created.stockQty != null) {
+    await insertMovement(tx, { itemId: created.id, delta: created.stockQty, balanceAfter: created.stockQty, reason: 'initial' });
+  }
+  return created;
+}
+
+// Rewrite a stored item from a request payload
+async function rewriteItem(tx, current, item) {
+  item = await checkItemRefs(tx, current.eventId, item, current.id);
+  const { tab, category, name, dataName, price, color, orderIndex } = item;
+  return tx.update('items', current.id, {
+    tab, category, name, dataName, price: Number(price || 0), color: color || 'gray-600', orderIndex: orderIndex || 0,
+    active: item.active !== false,
+    lowStockThreshold: optionalCount(item.lowStockThreshold),
+    ticketCount: optionalCount(item.ticketCount) || null,
+    imageUrl: item.imageUrl || null,
+    ...itemDetails(item),
+  });
+}
+
+// Items that are part of a bundle can't be deleted until the bundle drops them
+async function removeItem(tx, item) {
+  const bundles = (await tx.find('items', { eventId: item.eventId }))
+    .filter((r) => (r.components || []).some((c) => c.itemId === item.id));
+  if (bundles.length) throw componentInUseError(bundles.map((b) => `'${b.name}'`));
+  tx.delete('items', item.id);
+}
+
+// New items go into the given event's menu, or the active event's when none is given.
+// A stockQty starts stock tracking (logged as the 'initial' movement).
+function createItem(store, item) {
+  return run(store, async (tx) => {
+    const eventId = item.eventId ? Number(item.eventId) : (await activeEvent(tx))?.id;
+    if (!eventId) throw new ValidationError([{ code: 'no_active_event', message: 'No event is open to add the item to' }]);
+    return itemView(await addItem(tx, eventId, item));
+  });
+}
+
+// Stock levels are not edited here; use adjustStock so every change is logged.
+// Components and modifiers are replaced when given. Returns null when the item doesn't exist.
+function updateItem(store, id, item) {
+  return run(store, async (tx) => {
+    const current = await tx.get('items', Number(id));
+    if (!current) return null;
+    return itemView(await rewriteItem(tx, current, item));
+  });
+}
+
+/**
+ * Change one event's menu in a single transaction (see mariadb.js). On
+ * Firestore the whole batch has to fit in one transaction's writes.
+ */
+function bulkUpdateItems(store, { eventId, tabs = [], categories = [], operations = [], order, dryRun = false } = {}) {
+  const errs = validateItemBatch({ tabs, categories, operations, order });
+  if (errs.length) throw new ValidationError(errs);
+
+  return run(store, async (tx) => {
+    const scopeEventId = eventId ? Number(eventId) : (await activeEvent(tx))?.id;
+    if (!scopeEventId) throw new ValidationError([{ code: 'no_active_event', message: 'No event is open to change the menu of' }]);
+    if (!(await tx.get('events', scopeEventId))) {
+      throw new ValidationError([{ code: 'unknown_event', message: `Event ${scopeEventId} does not exist` }]);
+    }
+    const result = { eventId: scopeEventId, tabs: [], categories: [], created: [], updated: [], deleted: [] };
+
+    for (const t of tabs) {
+      const existing = await tx.find('menu_tabs');
+      if (existing.some((r) => r.slug === t.slug)) continue;
+      await insertTab(tx, {
+        slug: t.slug, label: t.label.trim(), fulfillment: t.fulfillment ?? false,
+        sortOrder: Math.max(-1, ...existing.map((r) => r.sortOrder)) + 1,
+      });
+      result.tabs.push(t.slug);
+    }
+    for (const c of categories) {
+      const name = c.name.trim();
+      if (!(await tx.find('menu_tabs', { slug: c.tab }, { limit: 1 })).length) throw unknownTabError(c.tab);
+      const existing = await tx.find('menu_categories', { tab: c.tab });
+      if (existing.some((r) => r.name === name)) continue;
+      await insertCategory(tx, { tab: c.tab, name, sortOrder: Math.max(-1, ...existing.map((r) => r.sortOrder)) + 1 });
+      result.categories.push({ tab: c.tab, name });
+    }
+
+    for (const [index, o] of operations.entries()) {
+      try {
+        if (o.op === 'create') {
+          result.created.push((await addItem(tx, scopeEventId, o.item)).id);
+          continue;
+        }
+        const current = await tx.get('items', Number(o.id));
+        if (!current || current.eventId !== scopeEventId) throw notOnMenuError(o.id);
+        if (o.op === 'update') {
+          await rewriteItem(tx, current, o.item);
+          result.updated.push(current.id);
+        } else {
+          await removeItem(tx, current);
+          result.deleted.push(current.id);
+        }
+      } catch (err) {
+        throw err instanceof ValidationError ? operationError(err, index) : err;
+      }
+    }
+
+    if (order) {
+      const menu = await tx.find('items', { eventId: scopeEventId });
+      const orderErrs = menuOrderErrors(order, menu.map((r) => r.id));
+      if (orderErrs.length) throw new ValidationError(orderErrs);
+      for (const [position, id] of order.entries()) await tx.update('items', id, { orderIndex: position + 1 });
+    }
+    if (store.maxWrites && tx.writes.size > store.maxWrites) {
+      throw new ValidationError([{ code: 'batch_too_large', message: `These changes need more than ${store.maxWrites} writes; send them in smaller batches` }]);
+    }
+    if (dryRun) {
+      tx.discard();
+      return { ...result, dryRun };
+    }
+    return {
+      ...result,
+      dryRun,
+      items: (await tx.find('items', { eventId: scopeEventId }))
+        .sort((a, b) => compareText(a.tab, b.tab) || compareText(a.category, b.category) || a.orderIndex - b.orderIndex)
+        .map(itemView),
+    };
+  });
+}
+
+// ----------------------
+// Inventory
+// ----------------------
+/**
+ * Change an item's stock and log the movement (see mariadb.js for the actions).
+ * Returns the updated { id, stockQty, lowStockThreshold } or null when the item doesn't exist.
+ */
+function adjustStock(store, itemId, { action, quantity, reason }) {
+  const { qty, note } = validateStockChange({ action, quantity, reason });
+
+  return run(store, async (tx) => {
+    const item = await tx.get('items', Number(itemId));
+    if (!item) return null;
+    const { next, delta } = applyStockChange(action, item.stockQty, qty);
+    tx.set('items', item.id, { ...item, stockQty: next });
+    await insertMovement(tx, { itemId: item.id, delta, balanceAfter: next, reason: action, note: note || null });
+    return { id: item.id, stockQty: next, lowStockThreshold: item.lowStockThreshold };
+  });
+}
+
+function getStockMovements(store, itemId, { limit = 50 } = {}) {
+  return run(store, async (tx) => (await tx.find('stock_movements', { itemId: Number(itemId) }))
+    .sort((a, b) => b.id - a.id)
+    .slice(0, limit)
+    .map(({ itemId: _, ...m }) => m));
+}
+
+async function deleteItem(store, id) {
+  await run(store, async (tx) => {
+    const item = await tx.get('items', Number(id));
+    if (item) await removeItem(tx, item);
+  });
+  return { id };
+}
+
+// ----------------------
+// Reports
+// ----------------------
+/**
+ * End-of-day sales summary. Figures are net of refunds (refund lines are
+ * negative). Void orders are excluded from sales figures but still appear in
+ * the payment breakdown (by status) so they can be accounted for.
+ * Range is [from, to); eventId null means all events.
+ */
+async function getSalesSummary(store, { from, to, eventId } = {}) {
+  const { fromDate, toDate } = parseOrderFilters({ from, to });
+
+  return run(store, async (tx) => {
+    const orders = await findOrders(tx, { eventId, fromDate, toDate });
+    const live = new Map(orders.filter((o) => o.status !== 'void').map((o) => [o.orderId, o]));
+    const lines = await rowsByOrder(tx, 'transactions', eventId, new Set(live.keys()));
+    const menu = new Map((await tx.find('items', eventId ? { eventId: Number(eventId) } : {})).map((i) => [`${i.eventId}\u0000${i.dataName}`, i]));
+
+    // Units and revenue per item; friendly name/tab/category come from the order's event menu
+    const itemsMap = new Map();
+    for (const [orderId, orderLines] of lines) {
+      const eventOf = live.get(orderId).eventId;
+      for (const t of orderLines) {
+        const row = itemsMap.get(t.item) || { dataName: t.item, units: 0, revenueCents: 0 };
+        const info = menu.get(`${eventOf}\u0000${t.item}`);
+        if (info && !row.name) Object.assign(row, { name: info.name, tab: info.tab, category: info.category });
+        row.units += t.quantity;
+        row.revenueCents += toCents(t.total);
+        itemsMap.set(t.item, row);
+      }
+    }
+    const items = [...itemsMap.values()]
+      .map((r) => ({
+        dataName: r.dataName,
+        name: r.name || r.dataName,
+        tab: r.tab || 'other',
+        category: r.category || 'Uncategorized',
+        units: r.units,
+        revenue: fromCents(r.revenueCents),
+      }))
+      .sort((a, b) => b.revenue - a.revenue);
+
+    // Net sales per cashier (orders from before user accounts have no cashier)
+    const names = await userNames(tx);
+    const cashiersMap = new Map();
+    for (const o of live.values()) {
+      const row = cashiersMap.get(o.cashierId) || { cashierId: o.cashierId, orders: 0, totalCents: 0 };
+      row.orders++;
+      row.totalCents += toCents(o.totalAmount) - toCents(o.refundedAmount);
+      cashiersMap.set(o.cashierId, row);
+    }
+    const cashiers = [...cashiersMap.values()]
+      .sort((a, b) => b.totalCents - a.totalCents)
+      .map(({ cashierId, orders: count, totalCents }) => ({
+        cashierId,
+        name: names.get(cashierId) || (cashierId ? `User ${cashierId}` : 'Unknown'),
+        orders: count,
+        total: fromCents(totalCents),
+      }));
+
+    // What each discount and comp took off
+    const discountsMap = new Map();
+    for (const orderLines of lines.values()) {
+      for (const t of orderLines.filter((l) => l.type === 'discount' || l.type === 'comp')) {
+        const key = `${t.discountId}\u0000${t.type}`;
+        const row = discountsMap.get(key) || { discountId: t.discountId, name: t.label, type: t.type, orders: new Set(), amountCents: 0 };
+        row.orders.add(t.orderId);
+        row.amountCents -= toCents(t.total);
+        discountsMap.set(key, row);
+      }
+    }
+    const discounts = [...discountsMap.values()].map((r) => ({
+      discountId: r.discountId, name: r.name, type: r.type, orders: r.orders.size, amount: fromCents(r.amountCents),
+    }));
+
+    return buildSalesSummary({
+      fromDate, toDate, eventId, items, cashiers, discounts,
+      orders: orders.map((o) => ({ status: o.status, totalAmount: o.totalAmount, refundedAmount: o.refundedAmount, payments: paymentsOf(o) })),
+    });
+  });
+}
+
+// ----------------------
+// Export / import
+// ----------------------
+/**
+ * Stream order lines for export in the same row shape as the MariaDB backend:
+ * one row per line with the order fields repeated, ordered by order then line.
+ */
+function streamOrderLines(store, { eventId, paymentType, from, to } = {}) {
+  const { fromDate, toDate } = parseOrderFilters({ from, to });
+
+  async function* rows() {
+    const loaded = await run(store, async (tx) => {
+      const orders = await findOrders(tx, { eventId, paymentType, fromDate, toDate });
+      const lines = await rowsByOrder(tx, 'transactions', eventId, new Set(orders.map((o) => o.orderId)));
+      const events = new Map((await tx.find('events')).map((e) => [e.id, e.name]));
+      const menu = new Map((await tx.find('items')).map((i) => [`${i.eventId}\u0000${i.dataName}`, i.name]));
+      return { orders, lines, events, menu, names: await userNames(tx) };
+    });
+
+    for (const o of loaded.orders) {
+      const order = {
+        orderId: o.orderId, eventId: o.eventId, eventName: loaded.events.get(o.eventId) ?? null,
+        timestamp: new Date(o.timestamp), paymentType: o.paymentType, status: o.status, statusNote: o.statusNote,
+        totalAmount: o.totalAmount, refundedAmount: o.refundedAmount, cashierName: loaded.names.get(o.cashierId) ?? null,
+        payments: o.payments,
+      };
+      const orderLines = (loaded.lines.get(o.orderId) || []).sort(byId);
+      if (!orderLines.length) {
+        yield { ...order, item: null, itemName: null, quantity: null, lineTotal: null, lineType: null, discountName: null, lineReason: null };
+      }
+      for (const t of orderLines) {
+        yield {
+          ...order, item: t.item, itemName: loaded.menu.get(`${o.eventId}\u0000${t.item}`) ?? null,
+          quantity: t.quantity, lineTotal: t.total, lineType: t.type, discountName: t.label ?? null, lineReason: t.reason,
+        };
+      }
+    }
+  }
+
+  return Readable.from(rows());
+}
+
+/**
+ * Merge previously recorded orders (JSON export shape) into an event. Totals
+ * are kept as recorded and existing order ids are skipped, as in mariadb.js.
+ * Stores with a per-transaction write limit (Firestore) commit in batches, so a
+ * failed import can leave earlier batches in place; re-running it is safe.
+ */
+async function importOrders(store, orders, { eventId, idPrefix = '', dryRun = false } = {}) {
+  const errs = validateImportOrders(orders, idPrefix);
+  if (errs.length) throw new ValidationError(errs);
+  eventId = Number(eventId);
+
+  const event = await run(store, (tx) => tx.get('events', eventId));
+  if (!event) throw new ValidationError([{ code: 'unknown_event', message: `Event ${eventId} does not exist` }]);
+
+  // An order costs one write plus one per line (counters are rewritten in place)
+  const batches = [[]];
+  let writes = 0;
+  for (const o of orders) {
+    const cost = 1 + o.items.length;
+    if (batches[batches.length - 1].length && writes + cost > (store.maxWrites || Infinity) - 10) {
+      batches.push([]);
+      writes = 0;
+    }
+    batches[batches.length - 1].push(o);
+    writes += cost;
+  }
+
+  const skipped = [];
+  let imported = 0;
+  for (const batch of batches) {
+    await run(store, async (tx) => {
+      const methods = await paymentMethodsByName(tx);
+      const isCash = (name) => methods.has(name) ? methods.get(name).isCash : name === 'Cash';
+      for (const o of batch) {
+        const orderId = idPrefix + String(o.orderId);
+        if (await tx.get('orders', orderId)) {
+          skipped.push(orderId);
+          continue;
+        }
+        imported++;
+        if (dryRun) continue;
+        tx.set('orders', orderId, {
+          orderId, seq: await tx.nextId('orders'), eventId, drawerSessionId: null, cashierId: null,
+          totalAmount: Number(o.totalAmount), refundedAmount: Number(o.refundedAmount || 0),
+          paymentType: o.paymentType,
+          payments: (o.payments || legacyPayments(o)).map((p) => ({
+            method: p.method, amount: Number(p.amount), isCash: isCash(p.method),
+            tendered: p.tendered != null ? Number(p.tendered) : null, changeDue: p.changeDue != null ? Number(p.changeDue) : null,
+          })),
+          status: o.status, statusNote: o.statusNote || null, statusUpdatedAt: null,
+          fulfillmentStatus: null, fulfillmentUpdatedAt: null, idempotencyKey: null, timestamp: new Date(o.timestamp).toISOString(),
+        });
+        for (const line of o.items) {
+          await insertLine(tx, {
+            orderId, eventId, item: line.name, quantity: Number(line.qty), total: Number(line.total),
+            type: ORDER_LINE_TYPES.includes(line.type) ? line.type : 'sale', label: line.discount || null, reason: line.reason || null,
+          });
+        }
+      }
+    });
+  }
+  return { imported, skipped, dryRun };
+}
+
+// ----------------------
+// Cash drawer sessions
+// ----------------------
+// Expected cash is the float plus the cash share of the session's non-void
+// orders, with refunds taken from the cash share first
+async function drawerView(tx, s) {
+  const cash = (await tx.find('orders', { drawerSessionId: s.id }))
+    .filter((o) => o.status !== 'void' && paymentsOf(o).some((p) => p.isCash));
+  const openingFloatCents = toCents(s.openingFloat);
+  const cashSalesCents = cash.reduce((c, o) => c + cashNetCents(paymentsOf(o), o.refundedAmount), 0);
+  return {
+    id: s.id,
+    eventId: s.eventId,
+    openedBy: s.openedBy,
+    openedAt: s.openedAt,
+    openingFloat: fromCents(openingFloatCents),
+    closedBy: s.closedBy,
+    closedAt: s.closedAt,
+    notes: s.notes,
+    cashOrders: cash.length,
+    cashSales: fromCents(cashSalesCents),
+    // Closed sessions report the figures frozen at close; open ones are live
+    expectedCash: s.expectedCash != null ? s.expectedCash : fromCents(openingFloatCents + cashSalesCents),
+    countedAmount: s.countedAmount,
+    denominations: s.denominations,
+    overShort: s.overShort,
+    open: !s.closedAt,
+  };
+}
+
+function getDrawerSession(store, id) {
+  return run(store, async (tx) => {
+    const s = await tx.get('drawer_sessions', Number(id));
+    return s ? drawerView(tx, s) : null;
+  });
+}
+
+// The open session is recorded on one 'meta/drawer' document, which also keeps
+// two tablets from opening sessions at the same time
+function getOpenDrawerSession(store) {
+  return run(store, async (tx) => {
+    const drawer = await tx.get('meta', 'drawer');
+    const s = drawer && drawer.openSessionId ? await tx.get('drawer_sessions', drawer.openSessionId) : null;
+    return s ? drawerView(tx, s) : null;
+  });
+}
+
+// Past and current sessions, newest first
+function getDrawerSessions(store, { limit = 50 } = {}) {
+  return run(store, async (tx) => {
+    const sessions = (await tx.find('drawer_sessions')).sort((a, b) => b.id - a.id).slice(0, limit);
+    const views = [];
+    for (const s of sessions) views.push(await drawerView(tx, s));
+    return views;
+  });
+}
+
+async function openDrawerSession(store, { openingFloat, openedBy, notes } = {}) {
+  validateDrawerOpen({ openingFloat, openedBy });
+
+  const id = await run(store, async (tx) => {
+    const drawer = await tx.get('meta', 'drawer');
+    if (drawer && drawer.openSessionId) {
+      throw new ValidationError([{ code: 'drawer_already_open', message: `Drawer session #${drawer.openSessionId} is still open; close it first` }]);
+    }
+    const event = await activeEvent(tx);
+    const sessionId = await tx.nextId('drawer_sessions');
+    tx.set('drawer_sessions', sessionId, {
+      id: sessionId, eventId: event ? event.id : null, openedBy: openedBy.trim().slice(0, 100),
+      openingFloat: fromCents(toCents(openingFloat)), openedAt: now(), closedBy: null, closedAt: null,
+      countedAmount: null, denominations: null, expectedCash: null, overShort: null,
+      notes: notes ? String(notes).slice(0, 255) : null,
+    });
+    tx.set('meta', 'drawer', { openSessionId: sessionId });
+    return sessionId;
+  });
+  return getDrawerSession(store, id);
+}
+
+/**
+ * Close a session with a counted amount, either given directly or as a
+ * denomination breakdown. Expected cash and over/short are frozen on the session.
+ * Returns null when the session does not exist.
+ */
+async function closeDrawerSession(store, id, { countedAmount, denominations, closedBy, notes } = {}) {
+  const countedCents = validateDrawerClose({ countedAmount, denominations, closedBy });
+
+  const found = await run(store, async (tx) => {
+    const s = await tx.get('drawer_sessions', Number(id));
+    if (!s) return false;
+    if (s.closedAt) throw new ValidationError([{ code: 'drawer_closed', message: `Drawer session #${id} is already closed` }]);
+
+    const { expectedCash } = await drawerView(tx, s);
+    const expectedCents = toCents(expectedCash);
+    tx.set('drawer_sessions', s.id, {
+      ...s,
+      closedAt: now(),
+      closedBy: closedBy.trim().slice(0, 100),
+      countedAmount: fromCents(countedCents),
+      denominations: denominations || null,
+      expectedCash: fromCents(expectedCents),
+      overShort: fromCents(countedCents - expectedCents),
+      notes: [s.notes, notes].filter(Boolean).join(' | ').slice(0, 255) || null,
+    });
+    const drawer = await tx.get('meta', 'drawer');
+    if (drawer && drawer.openSessionId === s.id) tx.set('meta', 'drawer', { openSessionId: null });
+    return true;
+  });
+  return found ? getDrawerSession(store, id) : null;
+}
+
+// ----------------------
+// Raffle drawing
+// ----------------------
+/**
+ * Draw a winner for an event. Eligible tickets belong to paid orders, aren't
+ * voided, and aren't on an order that has already won (one prize per order).
+ */
+function drawRaffleWinner(store, eventId, { prize, seed, by } = {}) {
+  const draw = validateDrawRequest({ prize, seed });
+  eventId = Number(eventId);
+
+  return run(store, async (tx) => {
+    // Writing the event's draw counter keeps two draws from getting the same number or winner
+    const event = await tx.get('events', eventId);
+    if (!event) throw new ValidationError([{ code: 'unknown_event', message: `Event ${eventId} does not exist` }]);
+    const drawNumber = (event.drawCounter || 0) + 1;
+
+    const paid = new Set((await tx.find('orders', { eventId, status: 'paid' })).map((o) => o.orderId));
+    const won = new Set((await tx.find('raffle_draws', { eventId, voided: false })).map((d) => d.orderId));
+    const ranges = (await tx.find('raffle_tickets', { eventId, voided: false }))
+      .filter((t) => paid.has(t.orderId) && !won.has(t.orderId))
+      .sort((a, b) => a.firstTicket - b.firstTicket);
+
+    const winner = pickTicket(ranges, draw.seed, eventId, drawNumber);
+    if (!winner) throw new ValidationError([NO_ELIGIBLE_TICKETS]);
+
+    const id = await tx.nextId('raffle_draws');
+    const row = {
+      id, eventId, drawNumber, prize: draw.prize, seed: draw.seed, poolSize: winner.poolSize,
+      ticketNumber: winner.ticketNumber, orderId: winner.orderId,
+      drawnBy: by ? String(by).trim().slice(0, 100) : null, voided: false, createdAt: now(),
+    };
+    tx.set('raffle_draws', id, row);
+    tx.set('events', eventId, { ...event, drawCounter: drawNumber });
+    return row;
+  });
+}
+
+// Tickets issued and draws made for an event (draws newest first)
+function getRaffleSummary(store, eventId) {
+  return run(store, async (tx) => {
+    const tickets = await tx.find('raffle_tickets', { eventId: Number(eventId) });
+    const size = (t) => t.lastTicket - t.firstTicket + 1;
+    const draws = (await tx.find('raffle_draws', { eventId: Number(eventId) })).sort((a, b) => b.drawNumber - a.drawNumber);
+    return {
+      eventId,
+      ticketsIssued: tickets.reduce((n, t) => n + size(t), 0),
+      ticketsVoided: tickets.filter((t) => t.voided).reduce((n, t) => n + size(t), 0),
+      draws: draws.map(({ eventId: _, ...d }) => d),
+    };
+  });
+}
+
+// ----------------------
+// Events
+// ----------------------
+const EVENT_FIELDS = ['id', 'name', 'startDate', 'endDate', 'active', 'orderCounter', 'createdAt', 'closedAt'];
+
+async function insertEvent(tx, { name, startDate, endDate, active = false }) {
+  const id = await tx.nextId('events');
+  const event = {
+    id, name, startDate: startDate || null, endDate: endDate || null, active,
+    orderCounter: 0, ticketCounter: 0, drawCounter: 0, createdAt: now(), closedAt: null,
+  };
+  tx.set('events', id, event);
+  return event;
+}
+
+function getActiveEvent(store) {
+  return run(store, async (tx) => {
+    const event = await activeEvent(tx);
+    return event && pick(event, EVENT_FIELDS);
+  });
+}
+
+function getEvent(store, id) {
+  return run(store, async (tx) => {
+    const event = await tx.get('events', Number(id));
+    return event && pick(event, EVENT_FIELDS);
+  });
+}
+
+// All events, newest first, with order counts and non-void net sales totals
+function getEvents(store) {
+  return run(store, async (tx) => {
+    const orders = await tx.find('orders');
+    return (await tx.find('events')).sort((a, b) => b.id - a.id).map((e) => {
+      const eventOrders = orders.filter((o) => o.eventId === e.id);
+      const salesCents = eventOrders
+        .filter((o) => o.status !== 'void')
+        .reduce((c, o) => c + toCents(o.totalAmount) - toCents(o.refundedAmount), 0);
+      return { ...pick(e, EVENT_FIELDS), orderCount: eventOrders.length, totalSales: fromCents(salesCents) };
+    });
+  });
+}
+
+// Create an event. Pass copyItemsFrom (an event id) to start from another event's menu.
+// Stock counts are not copied; the new menu starts untracked.
+async function createEvent(store, { name, startDate, endDate, copyItemsFrom }) {
+  const id = await run(store, async (tx) => {
+    const event = await insertEvent(tx, { name: name.trim(), startDate, endDate });
+    if (copyItemsFrom) {
+      // Bundles point at the copies of their components
+      const copies = new Map();
+      const bundles = [];
+      for (const item of (await tx.find('items', { eventId: Number(copyItemsFrom) })).sort(byId)) {
+        const copy = await insertItem(tx, { ...itemView(item), eventId: event.id, stockQty: null });
+        copies.set(item.id, copy.id);
+        if (copy.components.length) bundles.push(copy);
+      }
+      for (const bundle of bundles) {
+        const components = bundle.components.map((c) => ({ ...c, itemId: copies.get(c.itemId) })).filter((c) => c.itemId);
+        tx.set('items', bundle.id, { ...bundle, components });
+      }
+    }
+    return event.id;
+  });
+  return getEvent(store, id);
+}
+
+async function updateEvent(store, id, { name, startDate, endDate }) {
+  await run(store, (tx) => tx.update('events', Number(id), { name: name.trim(), startDate: startDate || null, endDate: endDate || null }));
+  return getEvent(store, id);
+}
+
+// Make an event the one the POS sells into. Any other open event is closed.
+async function openEvent(store, id) {
+  const found = await run(store, async (tx) => {
+    const event = await tx.get('events', Number(id));
+    if (!event) return false;
+    for (const other of await tx.find('events', { active: true })) {
+      if (other.id !== event.id) tx.set('events', other.id, { ...other, active: false, closedAt: now() });
+    }
+    tx.set('events', event.id, { ...event, active: true, closedAt: null });
+    return true;
+  });
+  return found ? getEvent(store, id) : null;
+}
+
+async function closeEvent(store, id) {
+  await run(store, async (tx) => {
+    const event = await tx.get('events', Number(id));
+    if (event) tx.set('events', event.id, { ...event, active: false, closedAt: event.closedAt || now() });
+  });
+  return getEvent(store, id);
+}
+
+// ----------------------
+// Users and sessions
+// ----------------------
+// Usernames are unique through a 'usernames/<username>' document per user
+const USER_FIELDS = ['id', 'username', 'displayName', 'role', 'active', 'createdAt', 'lastLoginAt'];
+
+async function insertUser(tx, { username, displayName, role, hash, salt }) {
+  const id = await tx.nextId('users');
+  tx.set('users', id, {
+    id, username, displayName, role, active: true, passwordHash: hash, passwordSalt: salt, createdAt: now(), lastLoginAt: null,
+  });
+  tx.set('usernames', username, { userId: id });
+  return id;
+}
+
+async function countUsers(store) {
+  return run(store, async (tx) => (await tx.find('users')).length);
+}
+
+function getUsers(store) {
+  return run(store, async (tx) => (await tx.find('users'))
+    .sort((a, b) => Number(b.active) - Number(a.active) || compareText(a.username, b.username))
+    .map((u) => pick(u, USER_FIELDS)));
+}
+
+function getUser(store, id) {
+  return run(store, async (tx) => {
+    const user = await tx.get('users', Number(id));
+    return user && pick(user, USER_FIELDS);
+  });
+}
+
+async function createUser(store, user) {
+  const errs = validateUserFields(user, { isNew: true });
+  if (errs.length) throw new ValidationError(errs);
+  const { hash, salt } = hashPassword(String(user.password));
+  const id = await run(store, async (tx) => {
+    if (await tx.get('usernames', user.username)) throw duplicateUsernameError(user.username);
+    return insertUser(tx, { username: user.username, displayName: String(user.displayName).trim().slice(0, 100), role: user.role, hash, salt });
+  });
+  return getUser(store, id);
+}
+
+/**
+ * Update a user's name, role, active flag or password. Deactivating a user or
+ * changing their role/password signs them out everywhere. The last active
+ * admin can't be demoted or deactivated. Returns null when the user doesn't exist.
+ */
+async function updateUser(store, id, changes) {
+  const errs = validateUserFields(changes);
+  if (errs.length) throw new ValidationError(errs);
+
+  const found = await run(store, async (tx) => {
+    const current = await tx.get('users', Number(id));
+    if (!current) return false;
+    const losesAdmin = current.role === 'admin' && current.active
+      && ((changes.role !== undefined && changes.role !== 'admin') || changes.active === false);
+    if (losesAdmin && (await tx.find('users', { role: 'admin', active: true })).length <= 1) {
+      throw new ValidationError([LAST_ADMIN]);
+    }
+
+    const next = { ...current };
+    if (changes.displayName !== undefined) next.displayName = String(changes.displayName).trim().slice(0, 100);
+    if (changes.role !== undefined) next.role = changes.role;
+    if (changes.active !== undefined) next.active = changes.active;
+    if (changes.password !== undefined) {
+      const { hash, salt } = hashPassword(String(changes.password));
+      Object.assign(next, { passwordHash: hash, passwordSalt: salt });
+    }
+    tx.set('users', current.id, next);
+    return true;
+  });
+  if (!found) return null;
+
+  if (changes.active === false || changes.role !== undefined || changes.password !== undefined) await revokeUserSessions(store, id);
+  return getUser(store, id);
+}
+
+// Check a username/password pair; returns the user (and records the login) or null
+function authenticateUser(store, username, password) {
+  return run(store, async (tx) => {
+    const entry = await tx.get('usernames', String(username || '').trim().toLowerCase());
+    const user = entry && await tx.get('users', entry.userId);
+    if (!user || !user.active) return null;
+    if (!verifyPassword(String(password), user.passwordSalt, user.passwordHash)) return null;
+    tx.set('users', user.id, { ...user, lastLoginAt: now() });
+    return pick(user, USER_FIELDS);
+  });
+}
+
+async function changeOwnPassword(store, id, currentPassword, newPassword) {
+  await run(store, async (tx) => {
+    const user = await tx.get('users', Number(id));
+    if (!user || !verifyPassword(String(currentPassword || ''), user.passwordSalt, user.passwordHash)) {
+      throw new ValidationError([WRONG_PASSWORD]);
+    }
+    const errs = validateUserFields({ password: newPassword });
+    if (errs.length) throw new ValidationError(errs);
+    const { hash, salt } = hashPassword(String(newPassword));
+    tx.set('users', user.id, { ...user, passwordHash: hash, passwordSalt: salt });
+  });
+}
+
+// Sessions are keyed by the SHA-256 of the cookie token and carry a numeric id
+// for the admin session list
+
+async function createSession(store, userId, { ip, userAgent } = {}) {
+  const token = newSessionToken();
+  const tokenHash = hashToken(token);
+  await run(store, async (tx) => {
+    const id = await tx.nextId('user_sessions');
+    tx.set('user_sessions', tokenHash, {
+      id, tokenHash, userId, ip: ip ? String(ip).slice(0, 45) : null, userAgent: userAgent ? String(userAgent).slice(0, 255) : null,
+      createdAt: now(), lastSeenAt: now(), expiresAt: secondsFromNow(SESSION_TTL_SECONDS),
+    });
+  });
+  return token;
+}
+
+// The signed-in (active) user for a token, with the session's id as sessionId, or null
+function getSessionUser(store, token) {
+  if (!token) return Promise.resolve(null);
+  return run(store, async (tx) => {
+    const session = await tx.get('user_sessions', hashToken(token));
+    if (!session || session.expiresAt <= now()) return null;
+    const user = await tx.get('users', session.userId);
+    if (!user || !user.active) return null;
+    // extend TTL on use
+    if ((Date.now() - Date.parse(session.lastSeenAt)) / 1000 >= SESSION_TOUCH_SECONDS) {
+      tx.set('user_sessions', session.tokenHash, { ...session, lastSeenAt: now(), expiresAt: secondsFromNow(SESSION_TTL_SECONDS) });
+    }
+    return { sessionId: session.id, ...pick(user, USER_FIELDS) };
+  });
+}
+
+// Delete the sessions matching `where` (and the filter); returns how many were ended
+function deleteSessions(store, where, filter = () => true) {
+  return run(store, async (tx) => {
+    const sessions = (await tx.find('user_sessions', where)).filter(filter);
+    sessions.forEach((s) => tx.delete('user_sessions', s.tokenHash));
+    return sessions.length;
+  });
+}
+
+async function revokeSession(store, token) {
+  if (!token) return false;
+  return (await deleteSessions(store, { tokenHash: hashToken(token) })) > 0;
+}
+
+async function revokeSessionById(store, id) {
+  return (await deleteSessions(store, { id: Number(id) })) > 0;
+}
+
+function revokeUserSessions(store, userId) {
+  return deleteSessions(store, { userId: Number(userId) });
+}
+
+// Sign out everyone (or one user), optionally keeping the caller's own session.
+// Returns how many sessions were ended.
+function revokeAllSessions(store, { userId = null, exceptSessionId = null } = {}) {
+  return deleteSessions(store, userId != null ? { userId: Number(userId) } : {}, (s) => s.id !== exceptSessionId);
+}
+
+// Unexpired sessions, most recently used first
+function getActiveSessions(store) {
+  return run(store, async (tx) => {
+    const users = new Map((await tx.find('users')).map((u) => [u.id, u]));
+    const current = now();
+    return (await tx.find('user_sessions'))
+      .filter((s) => s.expiresAt > current && users.has(s.userId))
+      .sort((a, b) => compareText(b.lastSeenAt, a.lastSeenAt))
+      .map((s) => {
+        const u = users.get(s.userId);
+        return {
+          id: s.id, userId: s.userId, username: u.username, displayName: u.displayName, role: u.role,
+          ip: s.ip, userAgent: s.userAgent, createdAt: s.createdAt, lastSeenAt: s.lastSeenAt, expiresAt: s.expiresAt,
+        };
+      });
+  });
+}
+
+// ----------------------
+// Login lockout
+// ----------------------
+// One document per IP; IPv6 colons are fine in ids but keep them URL-safe anyway
+const attemptKey = (ip) => encodeURIComponent(String(ip).slice(0, 45));
+
+// When the IP is locked out, the time the lock ends; otherwise null
+function getLoginLock(store, ip) {
+  return run(store, async (tx) => {
+    const attempts = await tx.get('login_attempts', attemptKey(ip));
+    return attempts && attempts.lockedUntil && attempts.lockedUntil > now() ? attempts.lockedUntil : null;
+  });
+}
+
+// Count a failed sign-in, restarting the count once the window has passed and
+// locking the IP when it reaches MAX_LOGIN_ATTEMPTS
+async function recordFailedLogin(store, ip) {
+  await run(store, async (tx) => {
+    const key = attemptKey(ip);
+    const attempts = await tx.get('login_attempts', key);
+    const windowStart = new Date(Date.now() - ATTEMPT_WINDOW_SECONDS * 1000).toISOString();
+    const restart = !attempts || attempts.firstAt < windowStart;
+    const count = restart ? 1 : attempts.count + 1;
+    tx.set('login_attempts', key, {
+      ip: String(ip).slice(0, 45),
+      count,
+      firstAt: restart ? now() : attempts.firstAt,
+      lockedUntil: count >= MAX_LOGIN_ATTEMPTS ? secondsFromNow(LOCK_SECONDS) : (attempts ? attempts.lockedUntil : null),
+    });
+  });
+}
+
+async function clearLoginAttempts(store, ip) {
+  await run(store, async (tx) => tx.delete('login_attempts', attemptKey(ip)));
+}
+
+// Drop expired sessions and stale attempt records; run periodically
+function cleanupExpiredAuth(store) {
+  return run(store, async (tx) => {
+    const current = now();
+    const windowStart = new Date(Date.now() - ATTEMPT_WINDOW_SECONDS * 1000).toISOString();
+    const sessions = (await tx.find('user_sessions')).filter((s) => s.expiresAt <= current);
+    const attempts = (await tx.find('login_attempts'))
+      .filter((a) => a.firstAt < windowStart && (!a.lockedUntil || a.lockedUntil <= current));
+    sessions.forEach((s) => tx.delete('user_sessions', s.tokenHash));
+    attempts.forEach((a) => tx.delete('login_attempts', attemptKey(a.ip)));
+    return { sessions: sessions.length, loginAttempts: attempts.length };
+  });
+}
+
+// ----------------------
+// Settings
+// ----------------------
+// One document per setting name: { name, value, updatedBy, updatedAt }
+async function readSettings(tx) {
+  const saved = (await tx.find('settings')).filter((s) => s.name in DEFAULT_SETTINGS).map((s) => [s.name, s.value]);
+  return { ...DEFAULT_SETTINGS, ...Object.fromEntries(saved) };
+}
+
+function getSettings(store) {
+  return run(store, readSettings);
+}
+
+async function updateSettings(store, changes, updatedBy) {
+  const values = validateSettings(changes);
+  const by = updatedBy ? String(updatedBy).trim().slice(0, 100) : null;
+  await run(store, async (tx) => {
+    for (const [name, value] of Object.entries(values)) tx.set('settings', name, { name, value, updatedBy: by, updatedAt: now() });
+  });
+  return getSettings(store);
+}
+
+// ----------------------
+// Payment methods
+// ----------------------
+async function insertPaymentMethod(tx, { name, settlesImmediately = true, isCash = false, enabled = true, sortOrder = 0 }) {
+  const id = await tx.nextId('payment_methods');
+  tx.set('payment_methods', id, { id, name, settlesImmediately, isCash, enabled, sortOrder });
+  return id;
+}
+
+// Every method, disabled ones included: name -> doc
+async function paymentMethodsByName(tx) {
+  return new Map((await tx.find('payment_methods')).map((m) => [m.name, m]));
+}
+
+function getPaymentMethods(store, { includeDisabled = false } = {}) {
+  return run(store, async (tx) => (await tx.find('payment_methods', includeDisabled ? {} : { enabled: true }))
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.id - b.id));
+}
+
+async function createPaymentMethod(store, method) {
+  const errs = validatePaymentMethodFields(method, { isNew: true });
+  if (errs.length) throw new ValidationError(errs);
+  const name = String(method.name).trim();
+  return run(store, async (tx) => {
+    if ((await tx.find('payment_methods', { name }, { limit: 1 })).length) throw duplicatePaymentMethodError(name);
+    const id = await insertPaymentMethod(tx, { ...method, name });
+    return tx.get('payment_methods', id);
+  });
+}
+
+/**
+ * Change a payment method's flags or position. Orders already taken keep the
+ * status they were given. The last enabled method can't be disabled.
+ * Returns null when the method doesn't exist.
+ */
+async function updatePaymentMethod(store, id, changes) {
+  const errs = validatePaymentMethodFields(changes);
+  if (errs.length) throw new ValidationError(errs);
+
+  return run(store, async (tx) => {
+    const current = await tx.get('payment_methods', Number(id));
+    if (!current) return null;
+    if (current.enabled && changes.enabled === false && (await tx.find('payment_methods', { enabled: true })).length <= 1) {
+      throw new ValidationError([LAST_PAYMENT_METHOD]);
+    }
+    const next = { ...current };
+    for (const field of ['settlesImmediately', 'isCash', 'enabled', 'sortOrder']) {
+      if (changes[field] !== undefined) next[field] = changes[field];
+    }
+    tx.set('payment_methods', current.id, next);
+    return next;
+  });
+}
+
+// ----------------------
+// Discounts
+// ----------------------
+// Every discount, disabled ones included: id -> doc
+async function discountsById(tx) {
+  return new Map((await tx.find('discounts')).map((d) => [d.id, d]));
+}
+
+function getDiscounts(store, { includeDisabled = false } = {}) {
+  return run(store, async (tx) => (await tx.find('discounts', includeDisabled ? {} : { enabled: true }))
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.id - b.id));
+}
+
+async function createDiscount(store, discount) {
+  const errs = validateDiscountFields(discount);
+  if (errs.length) throw new ValidationError(errs);
+  const fields = discountFields(discount);
+  return run(store, async (tx) => {
+    if ((await tx.find('discounts', { name: fields.name }, { limit: 1 })).length) throw duplicateDiscountError(fields.name);
+    const id = await tx.nextId('discounts');
+    tx.set('discounts', id, { id, ...fields });
+    return tx.get('discounts', id);
+  });
+}
+
+/**
+ * Change a discount. Orders already taken keep what they got off, under the
+ * name the discount had then. Returns null when the discount doesn't exist.
+ */
+async function updateDiscount(store, id, changes) {
+  return run(store, async (tx) => {
+    const current = await tx.get('discounts', Number(id));
+    if (!current) return null;
+    const merged = { ...current };
+    for (const field of Object.keys(discountFields(current))) {
+      if (changes[field] !== undefined) merged[field] = changes[field];
+    }
+    const errs = validateDiscountFields(merged);
+    if (errs.length) throw new ValidationError(errs);
+    const fields = discountFields(merged);
+    if ((await tx.find('discounts', { name: fields.name })).some((d) => d.id !== current.id)) throw duplicateDiscountError(fields.name);
+    const next = { id: current.id, ...fields };
+    tx.set('discounts', current.id, next);
+    return next;
+  });
+}
+
+// ----------------------
+// Tabs and categories
+// ----------------------
+async function insertTab(tx, { slug, label, fulfillment = false, active = true, sortOrder = 0 }) {
+  const id = await tx.nextId('menu_tabs');
+  tx.set('menu_tabs', id, { id, slug, label, fulfillment, active, sortOrder });
+  return id;
+}
+
+async function insertCategory(tx, { tab, name, sortOrder = 0 }) {
+  const id = await tx.nextId('menu_categories');
+  const category = { id, tab, name, sortOrder };
+  tx.set('menu_categories', id, category);
+  return category;
+}
+
+const bySortOrder = (a, b) => a.sortOrder - b.sortOrder || a.id - b.id;
+
+async function tabsView(tx) {
+  const categories = (await tx.find('menu_categories')).sort(bySortOrder);
+  return (await tx.find('menu_tabs')).sort(bySortOrder)
+    .map((t) => ({ ...t, categories: categories.filter((c) => c.tab === t.slug) }));
+}
+
+// Every tab, hidden ones included, each with its categories, in sortOrder
+function getTabs(store) {
+  return run(store, tabsView);
+}
+
+async function createTab(store, tab) {
+  const errs = validateTabFields(tab, { isNew: true });
+  if (errs.length) throw new ValidationError(errs);
+  return run(store, async (tx) => {
+    if ((await tx.find('menu_tabs', { slug: tab.slug }, { limit: 1 })).length) throw duplicateTabError(tab.slug);
+    const id = await insertTab(tx, {
+      slug: tab.slug, label: tab.label.trim(), fulfillment: tab.fulfillment ?? false, active: tab.active ?? true, sortOrder: tab.sortOrder ?? 0,
+    });
+    return (await tabsView(tx)).find((t) => t.id === id);
+  });
+}
+
+/**
+ * Change a tab's label, flags or position. The last visible tab can't be
+ * hidden. Returns null when the tab doesn't exist.
+ */
+async function updateTab(store, id, changes) {
+  const errs = validateTabFields(changes);
+  if (errs.length) throw new ValidationError(errs);
+
+  return run(store, async (tx) => {
+    const current = await tx.get('menu_tabs', Number(id));
+    if (!current) return null;
+    if (current.active && changes.active === false && (await tx.find('menu_tabs', { active: true })).length <= 1) {
+      throw new ValidationError([LAST_TAB]);
+    }
+    const next = { ...current };
+    if (changes.label !== undefined) next.label = changes.label.trim();
+    for (const field of ['fulfillment', 'active', 'sortOrder']) {
+      if (changes[field] !== undefined) next[field] = changes[field];
+    }
+    tx.set('menu_tabs', current.id, next);
+    return (await tabsView(tx)).find((t) => t.id === current.id);
+  });
+}
+
+async function createCategory(store, category) {
+  const errs = validateCategoryFields(category, { isNew: true });
+  if (errs.length) throw new ValidationError(errs);
+  const name = category.name.trim();
+  return run(store, async (tx) => {
+    if (!(await tx.find('menu_tabs', { slug: category.tab }, { limit: 1 })).length) throw unknownTabError(category.tab);
+    if ((await tx.find('menu_categories', { tab: category.tab, name }, { limit: 1 })).length) throw duplicateCategoryError(name);
+    return insertCategory(tx, { tab: category.tab, name, sortOrder: category.sortOrder ?? 0 });
+  });
+}
+
+/**
+ * Rename or move a category within its tab. A rename carries over to the items
+ * in it, in every event. Returns null when the category doesn't exist.
+ */
+async function updateCategory(store, id, changes) {
+  const errs = validateCategoryFields(changes);
+  if (errs.length) throw new ValidationError(errs);
+  const name = changes.name !== undefined ? changes.name.trim() : undefined;
+
+  return run(store, async (tx) => {
+    const current = await tx.get('menu_categories', Number(id));
+    if (!current) return null;
+    const next = { ...current };
+    if (name !== undefined && name !== current.name) {
+      if ((await tx.find('menu_categories', { tab: current.tab, name }, { limit: 1 })).length) throw duplicateCategoryError(name);
+      for (const item of await tx.find('items', { tab: current.tab, category: current.name })) {
+        tx.set('items', item.id, { ...item, category: name });
+      }
+      next.name = name;
+    }
+    if (changes.sortOrder !== undefined) next.sortOrder = changes.sortOrder;
+    tx.set('menu_categories', current.id, next);
+    return next;
+  });
+}
+
+// Only empty categories (no items in any event) can be deleted. Returns null when it doesn't exist.
+async function deleteCategory(store, id) {
+  return run(store, async (tx) => {
+    const current = await tx.get('menu_categories', Number(id));
+    if (!current) return null;
+    if ((await tx.find('items', { tab: current.tab, category: current.name }, { limit: 1 })).length) {
+      throw new ValidationError([CATEGORY_IN_USE]);
+    }
+    tx.delete('menu_categories', current.id);
+    return { id: current.id };
+  });
+}
+
+// ----------------------
+// Backend
+// ----------------------
+const OPERATIONS = {
+  initialize, checkHealth, close, getPoolStats, submitOrder, getOrder, getOrders, getOrderPage, setOrderStatus, getOrderStatusHistory,
+  setFulfillmentStatus, voidOrder, refundOrderLines, updateOrderPayment, getOrderAudit, getItems, createItem, updateItem,
+  bulkUpdateItems, adjustStock, getStockMovements, deleteItem, getSalesSummary, streamOrderLines, importOrders,
+  getDrawerSession, getOpenDrawerSession, getDrawerSessions,
+  openDrawerSession, closeDrawerSession, drawRaffleWinner, getRaffleSummary, getActiveEvent, getEvent, getEvents,
+  createEvent, updateEvent, openEvent, closeEvent, countUsers, getUsers, getUser, createUser, updateUser,
+  authenticateUser, changeOwnPassword, createSession, getSessionUser, revokeSession, revokeSessionById,
+  revokeUserSessions, revokeAllSessions, getActiveSessions, getLoginLock, recordFailedLogin, clearLoginAttempts,
+  cleanupExpiredAuth, getSettings, updateSettings, getPaymentMethods, createPaymentMethod, updatePaymentMethod,
+  getDiscounts, createDiscount, updateDiscount, getTabs, createTab, updateTab, createCategory, updateCategory, deleteCategory,
+};
+
+// The storage interface (the same functions mariadb.js exports) bound to a store adapter
+export function createDocStoreBackend(store) {
+  return Object.fromEntries(
+    Object.entries(OPERATIONS).map(([name, fn]) => [name, (...args) => fn(store, ...args)])
+  );
+}
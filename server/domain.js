@@ -0,0 +1,1498 @@
+// domain.js
+// Rules shared by every storage backend: validation, pricing, stock and refund
+// arithmetic, raffle draws and password hashing. Nothing here touches storage.
+import crypto from 'crypto';
+
+// 'pending' is shown as "unpaid" in the UI
+export const ORDER_STATUSES = ['paid', 'pending', 'void'];
+
+// Thrown for requests that are well-formed JSON but fail business validation.
+// `details` is an array of { code, message, ... } objects returned to the client.
+export class ValidationError extends Error {
+  constructor(details, message = 'Validation failed') {
+    super(message);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+// Money is handled in integer cents to avoid floating point drift
+export const toCents = (n) => Math.round(Number(n) * 100);
+export const fromCents = (c) => c / 100;
+
+// ----------------------
+// Orders
+// ----------------------
+// Most of one item a line can ring up: more is a typo, and would overflow the
+// quantity and total columns
+export const MAX_QTY = 999;
+
+// Structural checks that don't need the database
+export function validateOrderFields(orderData) {
+  const errs = [];
+  if (!orderData || typeof orderData !== 'object') {
+    errs.push({ code: 'missing_payload', message: 'Missing order payload' });
+    return errs;
+  }
+  errs.push(...validateTenders(orderData));
+  const picked = orderData.discounts;
+  if (picked !== undefined && (!Array.isArray(picked) || picked.length > MAX_ORDER_DISCOUNTS || picked.some((d) => !d || !Number.isInteger(Number(d.id))))) {
+    errs.push({ code: 'invalid_discounts', field: 'discounts', message: `'discounts' must list up to ${MAX_ORDER_DISCOUNTS} discounts by 'id'` });
+  }
+  if (!Array.isArray(orderData.items) || orderData.items.length === 0) {
+    errs.push({ code: 'empty_order', message: "'items' must be a non-empty array" });
+    return errs;
+  }
+  orderData.items.forEach((line, index) => {
+    const name = line && line.name;
+    if (!name || typeof name !== 'string') {
+      errs.push({ code: 'missing_item', index, message: `Line ${index + 1} is missing an item name` });
+    }
+    const qty = Number(line && line.qty);
+    if (!Number.isInteger(qty) || qty <= 0 || qty > MAX_QTY) {
+      errs.push({ code: 'invalid_quantity', index, item: name, message: `Quantity for '${name}' must be a whole number from 1 to ${MAX_QTY}` });
+    }
+    const modifiers = line && line.modifiers;
+    if (modifiers != null && (!Array.isArray(modifiers) || modifiers.length > MAX_MODIFIERS || modifiers.some((m) => typeof m !== 'string'))) {
+      errs.push({ code: 'invalid_modifiers', index, item: name, message: `Modifiers for '${name}' must be a list of option names` });
+    }
+  });
+  return errs;
+}
+
+// An order is paid with `payments` ([{ method, amount, tendered }], where one
+// entry may leave out the amount to cover the rest) or, as before split tender,
+// with a single `paymentType` for the whole total
+export const MAX_TENDERS = 4;
+
+const tendersOf = (orderData) => Array.isArray(orderData.payments) ? orderData.payments : [{ method: orderData.paymentType }];
+
+function validateTenders(orderData) {
+  if (orderData.payments !== undefined) {
+    if (!Array.isArray(orderData.payments) || !orderData.payments.length || orderData.payments.length > MAX_TENDERS) {
+      return [{ code: 'invalid_payments', field: 'payments', message: `'payments' must list 1-${MAX_TENDERS} payments` }];
+    }
+  } else if (!orderData.paymentType || typeof orderData.paymentType !== 'string') {
+    return [{ code: 'invalid_payment_type', message: "'paymentType' or 'payments' is required" }];
+  }
+  const errs = [];
+  let open = 0;
+  tendersOf(orderData).forEach((t, index) => {
+    if (!t || !t.method || typeof t.method !== 'string') {
+      errs.push({ code: 'missing_payment_method', index, message: `Payment ${index + 1} is missing 'method'` });
+      return;
+    }
+    const amount = Number(t.amount);
+    if (t.amount == null) open++;
+    else if (!Number.isFinite(amount) || amount <= 0) {
+      errs.push({ code: 'invalid_payment_amount', index, message: `Payment ${index + 1} needs a positive 'amount'` });
+    }
+    const tendered = Number(t.tendered);
+    if (t.tendered != null && (!Number.isFinite(tendered) || tendered < 0)) {
+      errs.push({ code: 'invalid_tendered', index, message: `Payment ${index + 1} has an invalid 'tendered' amount` });
+    }
+  });
+  if (open > 1) errs.push({ code: 'ambiguous_payments', field: 'payments', message: 'Only one payment can leave out its amount' });
+  return errs;
+}
+
+// "Cash + Venmo": the methods an order was paid with, as stored on orders.paymentType
+export const paymentSummary = (payments) => [...new Set(payments.map((p) => p.method))].join(' + ');
+
+/**
+ * Split an order's total across its tenders. `methods` maps name -> payment
+ * method row. Returns { payments, status, paymentType, errors }: each payment
+ * has the amount it covers and, for cash with a tendered amount, the change due.
+ * The order stays 'pending' while any payment needs reconciling; a $0 payment
+ * (a fully comped order) has nothing to reconcile.
+ */
+export function planPayments(orderData, totalCents, methods) {
+  const tenders = tendersOf(orderData);
+  const errors = [];
+  let assignedCents = 0;
+  tenders.forEach((t, index) => {
+    const m = methods.get(t.method);
+    if (!m || !m.enabled) errors.push({ code: 'unknown_payment_method', index, message: `'${t.method}' is not an available payment method` });
+    if (t.amount != null) assignedCents += toCents(t.amount);
+  });
+  if (errors.length) return { errors };
+
+  const restCents = totalCents - assignedCents;
+  if (restCents < 0 || (restCents !== 0 && tenders.every((t) => t.amount != null))) {
+    return { errors: [{
+      code: 'payment_mismatch', field: 'payments',
+      message: `Payments add up to $${fromCents(assignedCents).toFixed(2)} but the order total is $${fromCents(totalCents).toFixed(2)}`,
+    }] };
+  }
+
+  const payments = [];
+  tenders.forEach((t, index) => {
+    const m = methods.get(t.method);
+    const amountCents = t.amount == null ? restCents : toCents(t.amount);
+    // The other payments already cover the total
+    if (amountCents === 0 && tenders.length > 1) return;
+    let tendered = null;
+    let changeDue = null;
+    if (t.tendered != null) {
+      const tenderedCents = toCents(t.tendered);
+      if (!m.isCash) {
+        errors.push({ code: 'tendered_not_cash', index, message: `Only cash payments take a tendered amount (payment ${index + 1} is ${m.name})` });
+      } else if (tenderedCents < amountCents) {
+        errors.push({ code: 'insufficient_tender', index, message: `$${fromCents(tenderedCents).toFixed(2)} tendered is less than the $${fromCents(amountCents).toFixed(2)} due` });
+      } else {
+        tendered = fromCents(tenderedCents);
+        changeDue = fromCents(tenderedCents - amountCents);
+      }
+    }
+    payments.push({ method: m.name, amount: fromCents(amountCents), isCash: !!m.isCash, tendered, changeDue });
+  });
+  if (errors.length) return { errors };
+
+  const owing = payments.filter((p) => p.amount > 0);
+  const status = owing.every((p) => methods.get(p.method).settlesImmediately) ? 'paid' : 'pending';
+  return { payments, status, paymentType: paymentSummary(payments), errors };
+}
+
+// Orders recorded before split tender have one payment for the whole total
+export const legacyPayments = (o) => [{
+  method: o.paymentType || 'Unknown', amount: Number(o.totalAmount), isCash: o.paymentType === 'Cash', tendered: null, changeDue: null,
+}];
+
+// Refunds are handed back from the cash share first, then from the other
+// payments in order. Returns the refunded cents per payment.
+export function allocateRefund(payments, refundedAmount) {
+  let leftCents = toCents(refundedAmount || 0);
+  const refunded = payments.map(() => 0);
+  const cashFirst = payments.map((_p, i) => i).sort((a, b) => Number(!!payments[b].isCash) - Number(!!payments[a].isCash));
+  for (const i of cashFirst) {
+    refunded[i] = Math.min(leftCents, toCents(payments[i].amount));
+    leftCents -= refunded[i];
+  }
+  return refunded;
+}
+
+// The cash an order leaves in the drawer
+export function cashNetCents(payments, refundedAmount) {
+  const refunded = allocateRefund(payments, refundedAmount);
+  return payments.reduce((c, p, i) => c + (p.isCash ? toCents(p.amount) - refunded[i] : 0), 0);
+}
+
+/**
+ * Price order lines against the catalog. `catalog` maps dataName -> item row.
+ * A line's `modifiers` name options from the item's modifiers, at most one per
+ * group, and add their price deltas to the unit price; they come back in the
+ * item's order so the same choices always make the same line.
+ * Returns { lines, totalCents, errors }; client-supplied prices are ignored.
+ */
+export function priceOrderLines(lines, catalog) {
+  const errors = [];
+  const priced = [];
+  let totalCents = 0;
+  lines.forEach((line, index) => {
+    const row = catalog.get(line.name);
+    if (!row) {
+      errors.push({ code: 'unknown_item', index, item: line.name, message: `Unknown item '${line.name}'` });
+      return;
+    }
+    if (!row.active) {
+      errors.push({ code: 'inactive_item', index, item: line.name, message: `'${row.name}' is no longer available` });
+      return;
+    }
+    const chosen = line.modifiers || [];
+    const options = (row.modifiers || []).filter((m) => chosen.includes(m.name));
+    const unknown = chosen.filter((name) => !options.some((m) => m.name === name));
+    if (unknown.length) {
+      errors.push({ code: 'unknown_modifier', index, item: line.name, message: `'${row.name}' has no option '${unknown[0]}'` });
+      return;
+    }
+    const groups = options.map((m) => m.group);
+    if (new Set(groups).size < groups.length) {
+      errors.push({ code: 'conflicting_modifiers', index, item: line.name, message: `Pick one option per group for '${row.name}'` });
+      return;
+    }
+    const qty = Number(line.qty);
+    const priceCents = toCents(row.price) + options.reduce((c, m) => c + toCents(m.priceDelta), 0);
+    if (priceCents < 0) {
+      errors.push({ code: 'invalid_modifiers', index, item: line.name, message: `Those options take '${row.name}' below $0` });
+      return;
+    }
+    const lineCents = priceCents * qty;
+    totalCents += lineCents;
+    priced.push({
+      name: row.dataName, qty, price: fromCents(priceCents), total: fromCents(lineCents), modifiers: options.map((m) => m.name),
+    });
+  });
+  return { lines: priced, totalCents, errors };
+}
+
+const IDEMPOTENCY_KEY_RE = /^[A-Za-z0-9_-]{8,64}$/;
+// Offline orders may be replayed with the time they were rung up, within this window
+const MAX_CLIENT_BACKDATE_MS = 1000 * 60 * 60 * 24;
+const MAX_CLIENT_CLOCK_SKEW_MS = 1000 * 60 * 5;
+// ...but discounts only honour the time it was rung up for this long after
+const MAX_REPLAY_PRICING_AGE_MS = 1000 * 60 * 60 * 2;
+
+// Validate the optional idempotency key and client timestamp sent with a replayed order
+export function validateReplayFields({ idempotencyKey, createdAt }) {
+  const errs = [];
+  if (idempotencyKey != null && !IDEMPOTENCY_KEY_RE.test(String(idempotencyKey))) {
+    errs.push({ code: 'invalid_idempotency_key', message: 'Idempotency key must be 8-64 letters, digits, dashes or underscores' });
+  }
+  if (createdAt != null) {
+    const t = new Date(createdAt).getTime();
+    const now = Date.now();
+    if (Number.isNaN(t) || t > now + MAX_CLIENT_CLOCK_SKEW_MS || t < now - MAX_CLIENT_BACKDATE_MS) {
+      errs.push({ code: 'invalid_created_at', message: "'createdAt' must be a time within the last 24 hours" });
+    }
+  }
+  return errs;
+}
+
+// The time an order's discount windows are checked at. A live order uses the
+// server's clock; only an offline replay (sent with its idempotency key) keeps
+// the time it was rung up, and only while that is recent, so a client can't
+// backdate itself into happy hour
+export function pricingTime({ idempotencyKey, createdAt }, now = new Date()) {
+  if (!idempotencyKey || createdAt == null) return now;
+  const rungUp = new Date(createdAt);
+  return now - rungUp <= MAX_REPLAY_PRICING_AGE_MS ? new Date(Math.min(rungUp, now)) : now;
+}
+
+// Order numbers restart for every event, so the event id is part of the key (e.g. "3-0012")
+export function formatOrderId(eventId, count) {
+  return `${eventId}-${count.toString().padStart(4, "0")}`;
+}
+
+// Orders with items from a tab that sends orders to the stand (the seeded
+// Concessions tab does) get a stand ticket that moves preparing -> ready ->
+// picked_up, separately from the payment status. Other orders have none (null).
+export const FULFILLMENT_STATUSES = ['preparing', 'ready', 'picked_up'];
+
+// standTabs is the set of tab slugs with fulfillment on
+export function initialFulfillment(lines, catalog, standTabs) {
+  return lines.some((l) => standTabs.has(catalog.get(l.name).tab)) ? 'preparing' : null;
+}
+
+export function validateFulfillmentStatus(status) {
+  if (!FULFILLMENT_STATUSES.includes(status)) {
+    throw new ValidationError([{ code: 'invalid_fulfillment', field: 'status', message: `'status' must be one of ${FULFILLMENT_STATUSES.join(', ')}` }]);
+  }
+}
+
+export const noFulfillmentError = (orderId) =>
+  new ValidationError([{ code: 'no_fulfillment', message: `Order ${orderId} has nothing for the stand to prepare` }]);
+
+export const NO_ACTIVE_EVENT = { code: 'no_active_event', message: 'No event is open. Open an event in the Admin tab first.' };
+
+/**
+ * Units that lines ({ name, qty }) take out of stock, dataName -> qty: each item
+ * itself and, for a bundle, its components. Repeated items are summed. The
+ * catalog must hold the components' rows too; lines for items no longer on the
+ * menu are skipped.
+ */
+export function stockNeeds(lines, catalog) {
+  const byId = new Map([...catalog.values()].map((r) => [r.id, r]));
+  const needs = new Map();
+  const add = (dataName, qty) => needs.set(dataName, (needs.get(dataName) || 0) + qty);
+  for (const line of lines) {
+    const row = catalog.get(line.name);
+    if (!row) continue;
+    add(row.dataName, line.qty);
+    for (const c of row.components || []) {
+      const part = byId.get(c.itemId);
+      if (part) add(part.dataName, c.qty * line.qty);
+    }
+  }
+  return needs;
+}
+
+// Check tracked stock for priced lines, bundle components included
+export function checkStock(lines, catalog) {
+  const wanted = stockNeeds(lines, catalog);
+  const errors = [];
+  for (const [dataName, qty] of wanted) {
+    const row = catalog.get(dataName);
+    if (row.stockQty != null && qty > row.stockQty) {
+      errors.push({
+        code: 'insufficient_stock',
+        item: dataName,
+        available: Math.max(row.stockQty, 0),
+        message: row.stockQty > 0 ? `Only ${row.stockQty} '${row.name}' left` : `'${row.name}' is sold out`,
+      });
+    }
+  }
+  return { wanted, errors };
+}
+
+/**
+ * Number the raffle packages sold on an order, continuing from the event's
+ * ticket counter. Each package gets its own block so a refund can void just
+ * some of them. Returns { counter, packages: [{ lineIndex, item, firstTicket,
+ * lastTicket }], tickets: one merged range per line }.
+ * A block per unit means quantities are checked before anything is numbered.
+ */
+export function allocateTickets(counter, lines, catalog) {
+  const oversized = lines.findIndex((l) => !Number.isInteger(l.qty) || l.qty <= 0 || l.qty > MAX_QTY);
+  if (oversized !== -1) {
+    const { name } = lines[oversized];
+    throw new ValidationError([{
+      code: 'invalid_quantity', index: oversized, item: name, message: `Quantity for '${name}' must be a whole number from 1 to ${MAX_QTY}`,
+    }]);
+  }
+  const packages = [];
+  const tickets = [];
+  lines.forEach((line, lineIndex) => {
+    const perUnit = catalog.get(line.name).ticketCount;
+    if (!perUnit) return;
+    const firstTicket = counter + 1;
+    for (let unit = 0; unit < line.qty; unit++) {
+      packages.push({ lineIndex, item: line.name, firstTicket: counter + 1, lastTicket: counter + perUnit });
+      counter += perUnit;
+    }
+    tickets.push({ item: line.name, firstTicket, lastTicket: counter, voided: false });
+  });
+  return { counter, packages, tickets };
+}
+
+// Merge ticket rows (sorted by firstTicket) into ranges per order:
+// orderId -> [{ transactionId, item, firstTicket, lastTicket, voided }].
+// Consecutive packages from the same line are merged into one range.
+export function mergeTicketRanges(rows) {
+  const byOrder = new Map();
+  for (const r of rows) {
+    const list = byOrder.get(r.orderId) || [];
+    const prev = list[list.length - 1];
+    const voided = !!r.voided;
+    if (prev && prev.transactionId === r.transactionId && prev.voided === voided && prev.lastTicket + 1 === r.firstTicket) {
+      prev.lastTicket = r.lastTicket;
+    } else {
+      list.push({ transactionId: r.transactionId, item: r.item, firstTicket: r.firstTicket, lastTicket: r.lastTicket, voided });
+    }
+    byOrder.set(r.orderId, list);
+  }
+  return byOrder;
+}
+
+// ----------------------
+// Voids, refunds and edits
+// ----------------------
+// Every change after checkout needs a reason and the name of whoever made it
+export function auditFields({ reason, by }) {
+  const errs = [];
+  if (!reason || !String(reason).trim()) errs.push({ code: 'missing_reason', field: 'reason', message: 'A reason is required' });
+  if (!by || !String(by).trim()) errs.push({ code: 'missing_actor', field: 'by', message: "'by' (who is making the change) is required" });
+  return { errs, reason: reason && String(reason).trim().slice(0, 255), actor: by && String(by).trim().slice(0, 100) };
+}
+
+export const orderVoidError = (orderId) => new ValidationError([{ code: 'order_void', message: `Order ${orderId} is already void` }]);
+
+/**
+ * Check a refund request (audit fields plus [{ transactionId, qty }]) and
+ * combine repeated lines. Returns { fields, requested: Map transactionId -> qty }.
+ */
+export function validateRefundRequest({ lines, reason, by }) {
+  const fields = auditFields({ reason, by });
+  const errs = [...fields.errs];
+  if (!Array.isArray(lines) || lines.length === 0) {
+    errs.push({ code: 'empty_refund', field: 'lines', message: "'lines' must list at least one line to refund" });
+  } else {
+    lines.forEach((l, index) => {
+      if (!l || !Number.isInteger(Number(l.transactionId)) || !Number.isInteger(Number(l.qty)) || Number(l.qty) < 1) {
+        errs.push({ code: 'invalid_line', index, message: `Line ${index + 1} needs a 'transactionId' and a positive whole 'qty'` });
+      }
+    });
+  }
+  if (errs.length) throw new ValidationError(errs);
+
+  // Combine repeated lines so they're checked against the refundable quantity together
+  const requested = new Map();
+  for (const l of lines) requested.set(Number(l.transactionId), (requested.get(Number(l.transactionId)) || 0) + Number(l.qty));
+  return { fields, requested };
+}
+
+/**
+ * Work out the refund for each requested line. `sales` maps a sale line's id to
+ * { item, quantity, total, refundedQty, refundedTotal } (refunded figures
+ * positive), where total is what was paid for the line after its discounts.
+ * Returns [{ transactionId, item, qty, amount, cents }].
+ */
+export function planRefund(orderId, requested, sales) {
+  const refunds = [];
+  const lineErrors = [];
+  for (const [transactionId, qty] of requested) {
+    const sale = sales.get(transactionId);
+    if (!sale) {
+      lineErrors.push({ code: 'unknown_line', message: `Line ${transactionId} is not a sale line of order ${orderId}` });
+      continue;
+    }
+    const remaining = sale.quantity - Number(sale.refundedQty);
+    if (qty > remaining) {
+      lineErrors.push({ code: 'refund_exceeds_sale', item: sale.item, message: `Only ${remaining} of '${sale.item}' can still be refunded` });
+      continue;
+    }
+    // The last units refunded take whatever is left so rounding never leaves a stray cent
+    const cents = qty === remaining
+      ? toCents(sale.total) - toCents(sale.refundedTotal)
+      : Math.round((toCents(sale.total) * qty) / sale.quantity);
+    refunds.push({ transactionId, item: sale.item, qty, amount: fromCents(cents), cents });
+  }
+  if (lineErrors.length) throw new ValidationError(lineErrors);
+  return refunds;
+}
+
+export function validatePaymentChange({ paymentType, reason, by }) {
+  const fields = auditFields({ reason, by });
+  const errs = [...fields.errs];
+  if (!paymentType || typeof paymentType !== 'string') {
+    errs.push({ code: 'invalid_payment_type', field: 'paymentType', message: "'paymentType' must name a payment method" });
+  }
+  if (errs.length) throw new ValidationError(errs);
+  return fields;
+}
+
+/**
+ * An order's payments and status once its payment type is corrected to
+ * `method`. The new method's payment is the balance still owed (the total
+ * less refunds); what was already refunded is its own payment ahead of it, so
+ * allocateRefund keeps taking refunds from that one. An order that owes
+ * nothing is paid, whatever the method.
+ */
+export function correctedPayments(order, method) {
+  const refundedCents = toCents(order.refundedAmount || 0);
+  const owedCents = toCents(order.totalAmount) - refundedCents;
+  const payment = (cents) => ({ method: method.name, amount: fromCents(cents), isCash: !!method.isCash, tendered: null, changeDue: null });
+  const payments = owedCents > 0
+    ? [...(refundedCents ? [payment(refundedCents)] : []), payment(owedCents)]
+    : [payment(toCents(order.totalAmount))];
+  return { payments, status: owedCents <= 0 || method.settlesImmediately ? 'paid' : 'pending' };
+}
+
+// ----------------------
+// Items and inventory
+// ----------------------
+// A bundle lists the items it is made of ({ itemId, qty }, or { dataName, qty }
+// to name one by its dataName) and sells them as one line; their tracked stock goes down with it. Modifiers ({ group, name,
+// priceDelta }) are options picked at the register, such as a size or flavor.
+export const MAX_COMPONENTS = 10;
+export const MAX_MODIFIERS = 20;
+// An absolute http(s) address or a path on this server (e.g. /images/pizza.jpg)
+const IMAGE_URL_RE = /^(https?:\/\/|\/)\S+$/;
+
+export function validateItemFields(item) {
+  const errs = [];
+  if (!item) {
+    errs.push('Missing item payload');
+    return errs;
+  }
+  const { tab, category, name, dataName, price } = item;
+  if (!tab || typeof tab !== 'string') errs.push("'tab' is required");
+  if (!category || typeof category !== 'string' || category.trim().length === 0) errs.push("'category' is required");
+  if (!name || typeof name !== 'string' || name.trim().length === 0) errs.push("'name' is required");
+  if (!dataName || typeof dataName !== 'string' || dataName.trim().length === 0) errs.push("'dataName' is required");
+  const p = Number(price);
+  if (Number.isNaN(p) || p < 0) errs.push("'price' must be a non-negative number");
+  if (item.active != null && typeof item.active !== 'boolean') errs.push("'active' must be true or false");
+  if (item.eventId != null && !Number.isInteger(Number(item.eventId))) errs.push("'eventId' must be an event id");
+  const isCount = (v) => v == null || v === '' || (Number.isInteger(Number(v)) && Number(v) >= 0);
+  if (!isCount(item.stockQty)) errs.push("'stockQty' must be a whole number (leave empty to not track stock)");
+  if (!isCount(item.lowStockThreshold)) errs.push("'lowStockThreshold' must be a whole number");
+  if (!isCount(item.ticketCount)) errs.push("'ticketCount' must be a whole number (leave empty for non-raffle items)");
+  if (item.imageUrl != null && item.imageUrl !== '' && (typeof item.imageUrl !== 'string' || item.imageUrl.length > 500 || !IMAGE_URL_RE.test(item.imageUrl))) {
+    errs.push("'imageUrl' must be an http(s) address or a path starting with /");
+  }
+  if (item.components != null) {
+    const refs = Array.isArray(item.components) ? item.components.map((c) => c && (c.itemId != null ? Number(c.itemId) : c.dataName)) : [];
+    const isRef = (c) => c && (c.itemId != null ? Number.isInteger(Number(c.itemId)) : typeof c.dataName === 'string' && c.dataName.length > 0);
+    if (!Array.isArray(item.components) || item.components.length > MAX_COMPONENTS) {
+      errs.push(`'components' must be a list of at most ${MAX_COMPONENTS} items`);
+    } else if (item.components.some((c) => !isRef(c) || !Number.isInteger(Number(c.qty)) || Number(c.qty) <= 0)) {
+      errs.push("Each component needs an 'itemId' (or 'dataName') and a positive whole 'qty'");
+    } else if (new Set(refs).size < refs.length) {
+      errs.push('A component is listed twice');
+    }
+  }
+  if (item.modifiers != null) {
+    const names = Array.isArray(item.modifiers) ? item.modifiers.map((m) => m && String(m.name || '').trim()) : [];
+    const text = (v, max) => typeof v === 'string' && v.trim().length > 0 && v.trim().length <= max;
+    if (!Array.isArray(item.modifiers) || item.modifiers.length > MAX_MODIFIERS) {
+      errs.push(`'modifiers' must be a list of at most ${MAX_MODIFIERS} options`);
+    } else if (item.modifiers.some((m) => !m || !text(m.group, 50) || !text(m.name, 50) || !Number.isFinite(Number(m.priceDelta ?? 0)))) {
+      errs.push("Each modifier needs a 'group' and 'name' (up to 50 characters) and a numeric 'priceDelta'");
+    } else if (new Set(names).size < names.length) {
+      errs.push('Modifier names must be different from each other');
+    }
+  }
+  return errs;
+}
+
+// The menu row a component refers to, by id or by dataName
+const findComponent = (menu, c) =>
+  menu.find((r) => (c.itemId != null ? r.id === Number(c.itemId) : r.dataName === c.dataName));
+
+// Components with every reference turned into an itemId, once itemRefErrors passed
+export const resolveComponents = (components, menu) =>
+  components.map((c) => ({ itemId: findComponent(menu, c).id, qty: Number(c.qty) }));
+
+// Components and modifiers as stored, from a validated item payload
+export const normalizeComponents = (components) =>
+  components.map((c) => ({ itemId: Number(c.itemId), qty: Number(c.qty) }));
+export const normalizeModifiers = (modifiers) =>
+  modifiers.map((m) => ({ group: m.group.trim(), name: m.name.trim(), priceDelta: fromCents(toCents(m.priceDelta ?? 0)) }));
+
+/**
+ * Check what an item refers to: its tab and category must exist, and a bundle's
+ * components must be other items on the same menu that are neither bundles
+ * themselves nor raffle packages (bundles don't issue tickets). `menu` is the
+ * event's items with their components; `id` is the item's own id when editing.
+ * Components left undefined (an edit that keeps them) aren't checked.
+ */
+export function itemRefErrors(item, { tabs, categories, menu, id = null }) {
+  const errs = [];
+  if (!tabs.some((t) => t.slug === item.tab)) {
+    errs.push({ code: 'unknown_tab', field: 'tab', message: `There is no '${item.tab}' tab` });
+  } else if (!categories.some((c) => c.tab === item.tab && c.name === item.category)) {
+    errs.push({ code: 'unknown_category', field: 'category', message: `The '${item.tab}' tab has no '${item.category}' category` });
+  }
+  const components = item.components || [];
+  if (components.length && id != null && menu.some((r) => (r.components || []).some((c) => c.itemId === id))) {
+    errs.push({ code: 'invalid_component', field: 'components', message: "This item is part of a bundle, so it can't be a bundle too" });
+  }
+  for (const c of components) {
+    const part = findComponent(menu, c);
+    if (!part || part.id === id) {
+      const ref = c.itemId != null ? `#${c.itemId}` : `'${c.dataName}'`;
+      errs.push({ code: 'invalid_component', field: 'components', message: `Item ${ref} isn't another item on this menu` });
+    } else if ((part.components || []).length) {
+      errs.push({ code: 'invalid_component', field: 'components', message: `'${part.name}' is a bundle; bundles can't contain bundles` });
+    } else if (part.ticketCount) {
+      errs.push({ code: 'invalid_component', field: 'components', message: `'${part.name}' issues raffle tickets, which a bundle can't include` });
+    }
+  }
+  return errs;
+}
+
+export const componentInUseError = (names) =>
+  new ValidationError([{ code: 'component_in_use', message: `This item is part of ${names.join(', ')}; remove it from there first` }]);
+
+export const optionalCount = (v) => (v == null || v === '' ? null : Number(v));
+
+export const STOCK_ACTIONS = ['restock', 'adjust', 'set', 'untrack'];
+
+// Check a stock change request; returns { qty, note }
+export function validateStockChange({ action, quantity, reason }) {
+  const errs = [];
+  const qty = Number(quantity);
+  const note = reason ? String(reason).trim().slice(0, 255) : '';
+  if (!STOCK_ACTIONS.includes(action)) errs.push({ code: 'invalid_action', message: `'action' must be one of ${STOCK_ACTIONS.join(', ')}` });
+  if (action === 'restock' && (!Number.isInteger(qty) || qty <= 0)) errs.push({ code: 'invalid_quantity', message: 'Restock quantity must be a positive whole number' });
+  if (action === 'adjust' && (!Number.isInteger(qty) || qty === 0)) errs.push({ code: 'invalid_quantity', message: 'Adjustment must be a non-zero whole number' });
+  if (action === 'adjust' && !note) errs.push({ code: 'missing_reason', message: 'A reason is required for adjustments' });
+  if (action === 'set' && (!Number.isInteger(qty) || qty < 0)) errs.push({ code: 'invalid_quantity', message: 'Stock count must be a whole number' });
+  if (errs.length) throw new ValidationError(errs);
+  return { qty, note };
+}
+
+// The new stock level and logged delta for a change to `current` (null = untracked)
+export function applyStockChange(action, current, qty) {
+  if ((action === 'restock' || action === 'adjust') && current == null) {
+    throw new ValidationError([{ code: 'not_tracked', message: "Stock isn't tracked for this item; set a count first" }]);
+  }
+  let next;
+  let delta;
+  if (action === 'untrack') { next = null; delta = 0; }
+  else if (action === 'set') { next = qty; delta = qty - (current || 0); }
+  else { next = current + qty; delta = qty; }
+  if (next != null && next < 0) {
+    throw new ValidationError([{ code: 'negative_stock', message: `Only ${current} in stock; can't remove ${-qty}` }]);
+  }
+  return { next, delta };
+}
+
+// The menu a fresh install starts with:
+// [tab, category, name, dataName, price, color, orderIndex, ticketCount]
+export const SEED_ITEMS = [
+  // raffles
+  ['raffles','Raffles 🎟️','Single Ticket','single_ticket',1,'gray-600',1,1],
+  ['raffles','Raffles 🎟️','6 Pack Ticket','6pack_ticket',5,'gray-600',2,6],
+  ['raffles','Raffles 🎟️','14 Pack Ticket','14pack_ticket',10,'gray-600',3,14],
+  ['raffles','Raffles 🎟️','30 Pack Ticket','30pack_ticket',20,'gray-600',4,30],
+  // concessions - snacks
+  ['concessions','Snacks','Pizza Slice 🍕','pizza',3,'gray-600',1,null],
+  ['concessions','Snacks','Donuts 🍩','donuts',2,'gray-600',2,null],
+  ['concessions','Snacks','Muffins 🧁','muffins',3,'gray-600',3,null],
+  ['concessions','Snacks','Chips 🍟','chips',2,'gray-600',4,null],
+  // candy
+  ['concessions','Candy','Candy Bar 🍫','candy_bar',3,'gray-600',1,null],
+  ['concessions','Candy','Nerds','nerds',2,'gray-600',2,null],
+  ['concessions','Candy','Ring Pop 💍','ring_pop',2,'gray-600',3,null],
+  ['concessions','Candy','Sour Patch Kids 🍋','sour_patch',2,'gray-600',4,null],
+  ['concessions','Candy','Skittles/Starburst 🌟','skittles_starburst',2,'gray-600',5,null],
+  ['concessions','Candy','Air Head Extremes 🌈','air_heads',2,'gray-600',6,null],
+  ['concessions','Candy','Other','candy_other',2,'gray-600',7,null],
+  // drinks
+  ['concessions','Drinks 🥤','Gatorade','gatorade',3,'gray-600',1,null],
+  ['concessions','Drinks 🥤','Water 💧','water',2,'gray-600',2,null],
+  ['concessions','Drinks 🥤','Coffee ☕','coffee',3,'gray-600',3,null],
+  ['concessions','Drinks 🥤','Other Drink','drink_other',2,'gray-600',4,null],
+];
+
+// The seed menu's categories, [tab, name], in the order they first appear
+export const SEED_CATEGORIES = [...new Map(SEED_ITEMS.map(([tab, category]) => [tab + '\u0000' + category, [tab, category]])).values()];
+
+// ----------------------
+// Item batches
+// ----------------------
+// POST /api/admin/items/bulk changes one event's menu in a single transaction:
+// missing `tabs` and `categories` are added first, then `operations` run in
+// order, each seeing the ones before it, then `order` (all of the menu's item
+// ids) renumbers orderIndex. The catalog import is built on it.
+export const ITEM_BATCH_OPS = ['create', 'update', 'delete'];
+export const MAX_BATCH_OPERATIONS = 500;
+
+export function validateItemBatch({ tabs, categories, operations, order }) {
+  const errs = [];
+  if (operations == null && order == null) {
+    errs.push({ code: 'empty_batch', message: "Send 'operations', 'order' or both" });
+    return errs;
+  }
+  if (tabs != null && !Array.isArray(tabs)) errs.push({ code: 'invalid_tabs', field: 'tabs', message: "'tabs' must be a list" });
+  else for (const t of tabs || []) errs.push(...validateTabFields(t || {}, { isNew: true }));
+  if (categories != null && !Array.isArray(categories)) errs.push({ code: 'invalid_categories', field: 'categories', message: "'categories' must be a list" });
+  else for (const c of categories || []) errs.push(...validateCategoryFields(c || {}, { isNew: true }));
+  if (operations != null && (!Array.isArray(operations) || operations.length > MAX_BATCH_OPERATIONS)) {
+    errs.push({ code: 'invalid_operations', message: `'operations' must be a list of at most ${MAX_BATCH_OPERATIONS} changes` });
+  } else {
+    (operations || []).forEach((o, index) => {
+      if (!o || !ITEM_BATCH_OPS.includes(o.op)) {
+        errs.push({ code: 'invalid_op', index, message: `Change ${index + 1}: 'op' must be one of ${ITEM_BATCH_OPS.join(', ')}` });
+        return;
+      }
+      if (o.op !== 'create' && !Number.isInteger(Number(o.id))) {
+        errs.push({ code: 'invalid_id', index, message: `Change ${index + 1}: '${o.op}' needs the item's 'id'` });
+      }
+      if (o.op !== 'delete') {
+        for (const message of validateItemFields(o.item)) errs.push({ code: 'invalid_item', index, message: `Change ${index + 1}: ${message}` });
+      }
+    });
+  }
+  if (order != null && (!Array.isArray(order) || order.some((id) => !Number.isInteger(id)) || new Set(order).size < order.length)) {
+    errs.push({ code: 'invalid_order', field: 'order', message: "'order' must list item ids, each once" });
+  }
+  return errs;
+}
+
+// A full reorder must name every item on the menu and nothing else
+export function menuOrderErrors(order, menuIds) {
+  const known = new Set(menuIds);
+  const missing = menuIds.filter((id) => !order.includes(id));
+  const unknown = order.filter((id) => !known.has(id));
+  if (!missing.length && !unknown.length) return [];
+  return [{
+    code: 'incomplete_order', field: 'order',
+    message: `'order' must list every item on the menu once${unknown.length ? `; not on it: ${unknown.join(', ')}` : ''}${missing.length ? `; missing: ${missing.join(', ')}` : ''}`,
+  }];
+}
+
+export const notOnMenuError = (id) =>
+  new ValidationError([{ code: 'unknown_item', message: `Item #${id} isn't on this menu` }]);
+
+// A failed step's errors, tagged with its index in the batch
+export const operationError = (err, index) => new ValidationError(
+  err.details.map((d) => (typeof d === 'string' ? { code: 'invalid_item', index, message: d } : { ...d, index }))
+);
+
+// ----------------------
+// Tabs and categories
+// ----------------------
+// The register shows one button per active tab and groups its items under the
+// tab's categories, in sortOrder. Items name their tab by slug and their
+// category by name. Tabs with `fulfillment` send orders to the stand display.
+// Tabs are hidden rather than deleted and keep their slug since items use it;
+// categories can be renamed (their items follow) or deleted once empty.
+export const SEED_TABS = [
+  { slug: 'raffles', label: 'Raffles', fulfillment: false, sortOrder: 0 },
+  { slug: 'concessions', label: 'Concessions', fulfillment: true, sortOrder: 1 },
+];
+
+const TAB_SLUG_RE = /^[a-z0-9_-]{1,50}$/;
+
+export function validateTabFields(tab, { isNew = false } = {}) {
+  const errs = [];
+  if (isNew) {
+    if (!TAB_SLUG_RE.test(String(tab.slug || ''))) {
+      errs.push({ code: 'invalid_slug', field: 'slug', message: "'slug' must be 1-50 lowercase letters, digits, dashes or underscores" });
+    }
+  } else if (tab.slug !== undefined) {
+    errs.push({ code: 'slug_fixed', field: 'slug', message: "A tab's slug can't change; items refer to it" });
+  }
+  if (isNew || tab.label !== undefined) {
+    const label = String(tab.label ?? '').trim();
+    if (!label || label.length > 50) errs.push({ code: 'invalid_label', field: 'label', message: "'label' must be 1-50 characters" });
+  }
+  for (const flag of ['fulfillment', 'active']) {
+    if (tab[flag] !== undefined && typeof tab[flag] !== 'boolean') {
+      errs.push({ code: 'invalid_flag', field: flag, message: `'${flag}' must be true or false` });
+    }
+  }
+  if (tab.sortOrder !== undefined && !Number.isInteger(tab.sortOrder)) {
+    errs.push({ code: 'invalid_sort_order', field: 'sortOrder', message: "'sortOrder' must be a whole number" });
+  }
+  return errs;
+}
+
+export function validateCategoryFields(category, { isNew = false } = {}) {
+  const errs = [];
+  if (isNew) {
+    if (!category.tab || typeof category.tab !== 'string') errs.push({ code: 'missing_tab', field: 'tab', message: "'tab' is required" });
+  } else if (category.tab !== undefined) {
+    errs.push({ code: 'tab_fixed', field: 'tab', message: "A category can't move to another tab; add it there instead" });
+  }
+  if (isNew || category.name !== undefined) {
+    const name = String(category.name ?? '').trim();
+    if (!name || name.length > 100) errs.push({ code: 'invalid_name', field: 'name', message: "'name' must be 1-100 characters" });
+  }
+  if (category.sortOrder !== undefined && !Number.isInteger(category.sortOrder)) {
+    errs.push({ code: 'invalid_sort_order', field: 'sortOrder', message: "'sortOrder' must be a whole number" });
+  }
+  return errs;
+}
+
+export const duplicateTabError = (slug) =>
+  new ValidationError([{ code: 'duplicate_tab', field: 'slug', message: `Tab '${slug}' already exists` }]);
+export const duplicateCategoryError = (name) =>
+  new ValidationError([{ code: 'duplicate_category', field: 'name', message: `Category '${name}' already exists in this tab` }]);
+export const unknownTabError = (slug) =>
+  new ValidationError([{ code: 'unknown_tab', field: 'tab', message: `There is no '${slug}' tab` }]);
+export const LAST_TAB = { code: 'last_tab', message: "Can't hide the last visible tab" };
+export const CATEGORY_IN_USE = { code: 'category_in_use', message: 'Move or delete the items in this category first' };
+
+// ----------------------
+// Order history
+// ----------------------
+// GET /api/orders lists orders newest first. With ?limit or ?cursor it returns
+// one page at a time ({ orders, nextCursor, totals }); the cursor is opaque to
+// clients and holds the internal id of the last order on the page.
+export const DEFAULT_ORDER_PAGE_SIZE = 50;
+export const MAX_ORDER_PAGE_SIZE = 200;
+
+export const encodeOrderCursor = (id) => Buffer.from(`o${id}`).toString('base64url');
+
+function decodeOrderCursor(cursor, errors) {
+  const match = /^o(\d+)$/.exec(Buffer.from(String(cursor), 'base64url').toString());
+  if (!match) errors.push({ code: 'invalid_cursor', field: 'cursor', message: "'cursor' isn't one this server handed out" });
+  return match ? Number(match[1]) : undefined;
+}
+
+// Comma-separated values of a list filter (?status=paid,pending)
+const listParam = (value) => (value ? String(value).split(',').map((v) => v.trim()).filter(Boolean) : undefined);
+
+// The order number searched for: "#1-42" and "1-0042" are order 1-0042 (looked
+// up exactly), "42" is the number 0042 in any event (matched as the id's suffix)
+function orderSearch(q) {
+  const text = q ? String(q).trim().replace(/^#/, '') : '';
+  const match = /^(?:(\d+)-)?(\d+)$/.exec(text);
+  if (!match) return text || undefined;
+  const [, eventId, count] = match;
+  return eventId ? formatOrderId(Number(eventId), Number(count)) : String(Number(count)).padStart(4, '0');
+}
+
+/**
+ * Check the /api/orders query. Returns the filters for getOrders/getOrderPage:
+ * { statuses, fulfillmentStatuses, paymentType, item, search, fromDate, toDate }
+ * plus, when paging, { paged: true, limit, after }. `q` looks orders up by number.
+ */
+export function parseOrderQuery(query = {}) {
+  const errors = [];
+  const statuses = listParam(query.status);
+  if (statuses && !statuses.every((s) => ORDER_STATUSES.includes(s))) {
+    errors.push({ code: 'invalid_status', field: 'status', message: `'status' must be one or more of ${ORDER_STATUSES.join(', ')}` });
+  }
+  const fulfillmentStatuses = listParam(query.fulfillment);
+  if (fulfillmentStatuses && !fulfillmentStatuses.every((s) => FULFILLMENT_STATUSES.includes(s))) {
+    errors.push({ code: 'invalid_fulfillment', field: 'fulfillment', message: `'fulfillment' must be one or more of ${FULFILLMENT_STATUSES.join(', ')}` });
+  }
+  const fromDate = parseReportDate(query.from, 'from', errors);
+  const toDate = parseReportDate(query.to, 'to', errors);
+  const filters = {
+    statuses, fulfillmentStatuses, fromDate, toDate,
+    paymentType: query.paymentType || undefined,
+    item: query.item || undefined,
+    search: orderSearch(query.q),
+  };
+
+  if (query.limit != null || query.cursor != null) {
+    const limit = query.limit != null ? Number(query.limit) : DEFAULT_ORDER_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ORDER_PAGE_SIZE) {
+      errors.push({ code: 'invalid_limit', field: 'limit', message: `'limit' must be a whole number from 1 to ${MAX_ORDER_PAGE_SIZE}` });
+    }
+    Object.assign(filters, { paged: true, limit, after: query.cursor ? decodeOrderCursor(query.cursor, errors) : undefined });
+  }
+  if (errors.length) throw new ValidationError(errors);
+  return filters;
+}
+
+/**
+ * Totals for a filtered order list, from per-status rows ({ status, orders,
+ * totalAmount, refundedAmount }). Voided orders are counted but left out of
+ * the amounts, which are net of refunds like the History tab shows them.
+ */
+export function summarizeOrderTotals(rows) {
+  let orders = 0;
+  let totalCents = 0;
+  let refundedCents = 0;
+  const byStatus = {};
+  for (const r of rows) {
+    const count = Number(r.orders);
+    const net = toCents(r.totalAmount || 0) - toCents(r.refundedAmount || 0);
+    orders += count;
+    byStatus[r.status] = { orders: count, netAmount: fromCents(net) };
+    if (r.status === 'void') continue;
+    totalCents += toCents(r.totalAmount || 0);
+    refundedCents += toCents(r.refundedAmount || 0);
+  }
+  return {
+    orders,
+    totalAmount: fromCents(totalCents),
+    refundedAmount: fromCents(refundedCents),
+    netAmount: fromCents(totalCents - refundedCents),
+    byStatus,
+  };
+}
+
+// ----------------------
+// Reports and export
+// ----------------------
+// Parse an optional ?from/?to value; returns undefined when absent
+export function parseReportDate(value, field, errors) {
+  if (value == null || value === '') return undefined;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    errors.push({ code: 'invalid_date', field, message: `'${field}' must be a date/time` });
+    return undefined;
+  }
+  return d;
+}
+
+// Check report/export date filters; returns { fromDate, toDate }
+export function parseOrderFilters({ from, to } = {}) {
+  const errors = [];
+  const fromDate = parseReportDate(from, 'from', errors);
+  const toDate = parseReportDate(to, 'to', errors);
+  if (errors.length) throw new ValidationError(errors);
+  return { fromDate, toDate };
+}
+
+/**
+ * Build the sales summary from per-item rows ({ dataName, name, tab, category,
+ * units, revenue }), the orders in range ({ status, totalAmount, refundedAmount,
+ * payments }), cashier rows ({ cashierId, name, orders, total }) and, for the
+ * orders that aren't void, discount rows ({ discountId, name, type, orders,
+ * amount }). Order totals are after discounts, so gross sales add them back.
+ */
+export function buildSalesSummary({ fromDate, toDate, eventId, items, orders, cashiers, discounts = [] }) {
+  // Roll item rows up into categories and tabs
+  const categoriesMap = new Map();
+  const tabsMap = new Map();
+  for (const it of items) {
+    const catKey = it.tab + '\u0000' + it.category;
+    const cat = categoriesMap.get(catKey) || { tab: it.tab, category: it.category, units: 0, revenueCents: 0 };
+    cat.units += it.units;
+    cat.revenueCents += toCents(it.revenue);
+    categoriesMap.set(catKey, cat);
+
+    const tab = tabsMap.get(it.tab) || { tab: it.tab, units: 0, revenueCents: 0 };
+    tab.units += it.units;
+    tab.revenueCents += toCents(it.revenue);
+    tabsMap.set(it.tab, tab);
+  }
+  const rollup = ({ revenueCents, ...rest }) => ({ ...rest, revenue: fromCents(revenueCents) });
+  const categories = [...categoriesMap.values()].map(rollup).sort((a, b) => b.revenue - a.revenue);
+  const tabs = [...tabsMap.values()].map(rollup).sort((a, b) => b.revenue - a.revenue);
+
+  // Per payment method and order status; refunds are split as allocateRefund does
+  const paymentsMap = new Map();
+  for (const o of orders) {
+    const refunded = allocateRefund(o.payments, o.refundedAmount);
+    const counted = new Set();
+    o.payments.forEach((p, i) => {
+      const key = p.method + '\u0000' + o.status;
+      const row = paymentsMap.get(key) || { paymentType: p.method, status: o.status, orders: 0, totalCents: 0, refundedCents: 0 };
+      if (!counted.has(key)) row.orders++;
+      counted.add(key);
+      row.totalCents += toCents(p.amount) - refunded[i];
+      row.refundedCents += refunded[i];
+      paymentsMap.set(key, row);
+    });
+  }
+  const payments = [...paymentsMap.values()]
+    .sort((a, b) => a.paymentType.localeCompare(b.paymentType) || a.status.localeCompare(b.status))
+    .map(({ totalCents, refundedCents, ...rest }) => ({ ...rest, total: fromCents(totalCents), refunded: fromCents(refundedCents) }));
+
+  const sales = orders.filter(o => o.status !== 'void');
+  const orderCount = sales.length;
+  const revenueCents = sales.reduce((c, o) => c + toCents(o.totalAmount) - toCents(o.refundedAmount), 0);
+  const discountCents = (type) => discounts.filter((d) => d.type === type).reduce((c, d) => c + toCents(d.amount), 0);
+
+  return {
+    range: { from: fromDate || null, to: toDate || null, eventId: eventId || null },
+    totals: {
+      orders: orderCount,
+      grossSales: fromCents(sales.reduce((c, o) => c + toCents(o.totalAmount), 0) + discountCents('discount') + discountCents('comp')),
+      discounts: fromCents(discountCents('discount')),
+      comps: fromCents(discountCents('comp')),
+      revenue: fromCents(revenueCents),
+      refunds: fromCents(sales.reduce((c, o) => c + toCents(o.refundedAmount), 0)),
+      averageOrder: orderCount ? fromCents(Math.round(revenueCents / orderCount)) : 0,
+      voidOrders: orders.length - orderCount,
+    },
+    items,
+    categories,
+    tabs,
+    payments,
+    cashiers,
+    discounts: [...discounts].sort((a, b) => b.amount - a.amount),
+  };
+}
+
+// Kinds of order line: refunds, discounts and comps are negative lines next to the sales
+export const ORDER_LINE_TYPES = ['sale', 'refund', 'discount', 'comp'];
+
+// Check orders in the JSON export shape before importing them
+export function validateImportOrders(orders, idPrefix = '') {
+  const errs = [];
+  if (!Array.isArray(orders) || orders.length === 0) {
+    errs.push({ code: 'empty_import', message: "'orders' must be a non-empty array" });
+    return errs;
+  }
+  const seen = new Set();
+  orders.forEach((o, index) => {
+    const label = o && o.orderId ? `Order ${o.orderId}` : `Order ${index + 1}`;
+    if (!o || typeof o !== 'object') {
+      errs.push({ code: 'invalid_order', index, message: `${label} is not an object` });
+      return;
+    }
+    const orderId = o.orderId != null ? String(o.orderId) : '';
+    if (!orderId) errs.push({ code: 'missing_order_id', index, message: `${label} is missing 'orderId'` });
+    else if ((idPrefix + orderId).length > 10) errs.push({ code: 'order_id_too_long', index, message: `${label}: '${idPrefix}${orderId}' is longer than 10 characters` });
+    else if (seen.has(orderId)) errs.push({ code: 'duplicate_order_id', index, message: `${label} appears more than once` });
+    seen.add(orderId);
+    if (!Number.isFinite(Number(o.totalAmount))) errs.push({ code: 'invalid_total', index, message: `${label} has an invalid 'totalAmount'` });
+    if (!o.paymentType || typeof o.paymentType !== 'string') errs.push({ code: 'invalid_payment_type', index, message: `${label} is missing 'paymentType'` });
+    if (o.payments != null && (!Array.isArray(o.payments) || o.payments.length > MAX_TENDERS || !o.payments.every((p) => p && p.method && Number.isFinite(Number(p.amount))))) {
+      errs.push({ code: 'invalid_payments', index, message: `${label} needs up to ${MAX_TENDERS} 'payments' with a 'method' and 'amount' each` });
+    }
+    if (!ORDER_STATUSES.includes(o.status)) errs.push({ code: 'invalid_status', index, message: `${label} has an invalid 'status'` });
+    if (!o.timestamp || Number.isNaN(new Date(o.timestamp).getTime())) errs.push({ code: 'invalid_timestamp', index, message: `${label} has an invalid 'timestamp'` });
+    if (!Array.isArray(o.items)) {
+      errs.push({ code: 'invalid_items', index, message: `${label} is missing 'items'` });
+      return;
+    }
+    o.items.forEach((line, lineIndex) => {
+      if (!line || !line.name || !Number.isInteger(Number(line.qty)) || !Number.isFinite(Number(line.total))) {
+        errs.push({ code: 'invalid_line', index, line: lineIndex, message: `${label} line ${lineIndex + 1} needs 'name', whole 'qty' and 'total'` });
+      }
+    });
+  });
+  return errs;
+}
+
+// ----------------------
+// Cash drawer
+// ----------------------
+// Bills and coins accepted in a counted close, keyed by face value in dollars
+export const DENOMINATIONS = ['100', '50', '20', '10', '5', '2', '1', '0.25', '0.10', '0.05', '0.01'];
+
+const isMoney = (v) => v !== '' && v != null && Number.isFinite(Number(v)) && Number(v) >= 0;
+
+export function validateDrawerOpen({ openingFloat, openedBy }) {
+  const errs = [];
+  if (!isMoney(openingFloat)) errs.push({ code: 'invalid_float', field: 'openingFloat', message: "'openingFloat' must be a non-negative amount" });
+  if (!openedBy || typeof openedBy !== 'string' || !openedBy.trim()) errs.push({ code: 'missing_name', field: 'openedBy', message: "'openedBy' is required" });
+  if (errs.length) throw new ValidationError(errs);
+}
+
+// Sum a denomination breakdown ({ "20": 3, "0.25": 8 }) into cents
+export function countDenominations(denominations, errs = []) {
+  let cents = 0;
+  for (const [denom, count] of Object.entries(denominations || {})) {
+    if (!DENOMINATIONS.includes(denom)) {
+      errs.push({ code: 'invalid_denomination', field: 'denominations', message: `Unknown denomination '${denom}'` });
+      continue;
+    }
+    const n = Number(count);
+    if (!Number.isInteger(n) || n < 0) {
+      errs.push({ code: 'invalid_count', field: 'denominations', message: `Count for ${denom} must be a whole number` });
+      continue;
+    }
+    cents += toCents(denom) * n;
+  }
+  return cents;
+}
+
+// The counted cents for a close, given directly or as a denomination breakdown
+export function validateDrawerClose({ countedAmount, denominations, closedBy }) {
+  const errs = [];
+  let countedCents;
+  if (denominations && typeof denominations === 'object') {
+    countedCents = countDenominations(denominations, errs);
+  } else if (isMoney(countedAmount)) {
+    countedCents = toCents(countedAmount);
+  } else {
+    errs.push({ code: 'missing_count', field: 'countedAmount', message: "Provide 'countedAmount' or 'denominations'" });
+  }
+  if (!closedBy || typeof closedBy !== 'string' || !closedBy.trim()) errs.push({ code: 'missing_name', field: 'closedBy', message: "'closedBy' is required" });
+  if (errs.length) throw new ValidationError(errs);
+  return countedCents;
+}
+
+// ----------------------
+// Raffle drawing
+// ----------------------
+/**
+ * Pick a ticket from ranges ({ firstTicket, lastTicket, orderId }, sorted by
+ * firstTicket). The winning position is the first 48 bits of
+ * HMAC-SHA256(seed, "<eventId>:<drawNumber>") modulo the number of tickets,
+ * so anyone holding the draw log and the ticket list can re-run a draw.
+ */
+export function pickTicket(ranges, seed, eventId, drawNumber) {
+  const poolSize = ranges.reduce((n, r) => n + (r.lastTicket - r.firstTicket + 1), 0);
+  if (!poolSize) return null;
+  const digest = crypto.createHmac('sha256', seed).update(`${eventId}:${drawNumber}`).digest('hex');
+  let index = parseInt(digest.slice(0, 12), 16) % poolSize;
+  for (const r of ranges) {
+    const size = r.lastTicket - r.firstTicket + 1;
+    if (index < size) return { poolSize, ticketNumber: r.firstTicket + index, orderId: r.orderId };
+    index -= size;
+  }
+  return null;
+}
+
+// Check a draw request; a missing seed gets a random one. Returns { prize, seed }.
+export function validateDrawRequest({ prize, seed }) {
+  const errs = [];
+  const cleanSeed = seed != null && String(seed).trim() ? String(seed).trim() : crypto.randomBytes(16).toString('hex');
+  if (cleanSeed.length > 128) errs.push({ code: 'invalid_seed', field: 'seed', message: "'seed' must be at most 128 characters" });
+  if (!prize || !String(prize).trim()) errs.push({ code: 'missing_prize', field: 'prize', message: "'prize' is required" });
+  if (errs.length) throw new ValidationError(errs);
+  return { prize: String(prize).trim().slice(0, 200), seed: cleanSeed };
+}
+
+export const NO_ELIGIBLE_TICKETS = { code: 'no_eligible_tickets', message: 'No eligible tickets left to draw from' };
+
+// ----------------------
+// Events
+// ----------------------
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function validateEventFields(event) {
+  const errs = [];
+  if (!event) {
+    errs.push('Missing event payload');
+    return errs;
+  }
+  const { name, startDate, endDate } = event;
+  if (!name || typeof name !== 'string' || name.trim().length === 0) errs.push("'name' is required");
+  if (startDate && !DATE_RE.test(startDate)) errs.push("'startDate' must be YYYY-MM-DD");
+  if (endDate && !DATE_RE.test(endDate)) errs.push("'endDate' must be YYYY-MM-DD");
+  if (startDate && endDate && DATE_RE.test(startDate) && DATE_RE.test(endDate) && endDate < startDate) errs.push("'endDate' must not be before 'startDate'");
+  return errs;
+}
+
+// ----------------------
+// Users and sessions
+// ----------------------
+// Ordered from least to most privileged; each role can do everything the ones before it can
+export const ROLES = ['cashier', 'manager', 'admin'];
+
+export function roleAtLeast(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+// PBKDF2 parameters match the original single admin password
+export function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512').toString('hex');
+  return { hash, salt };
+}
+
+export function verifyPassword(password, salt, storedHash) {
+  const { hash } = hashPassword(password, salt);
+  // constant time comparison
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(storedHash, 'hex'));
+}
+
+const USERNAME_RE = /^[a-z0-9._-]{2,50}$/;
+const MIN_PASSWORD_LENGTH = 4;
+
+export function validateUserFields(user, { isNew = false } = {}) {
+  const errs = [];
+  if (isNew && !USERNAME_RE.test(String(user.username || ''))) {
+    errs.push({ code: 'invalid_username', field: 'username', message: "'username' must be 2-50 lowercase letters, numbers, '.', '_' or '-'" });
+  }
+  if ((isNew || user.displayName !== undefined) && (!user.displayName || !String(user.displayName).trim())) {
+    errs.push({ code: 'missing_display_name', field: 'displayName', message: "'displayName' is required" });
+  }
+  if ((isNew || user.role !== undefined) && !ROLES.includes(user.role)) {
+    errs.push({ code: 'invalid_role', field: 'role', message: `'role' must be one of ${ROLES.join(', ')}` });
+  }
+  if ((isNew || user.password !== undefined) && String(user.password || '').length < MIN_PASSWORD_LENGTH) {
+    errs.push({ code: 'weak_password', field: 'password', message: `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (user.active !== undefined && typeof user.active !== 'boolean') {
+    errs.push({ code: 'invalid_active', field: 'active', message: "'active' must be true or false" });
+  }
+  return errs;
+}
+
+export const duplicateUsernameError = (username) =>
+  new ValidationError([{ code: 'duplicate_username', field: 'username', message: `Username '${username}' is taken` }]);
+export const LAST_ADMIN = { code: 'last_admin', message: "Can't remove the last active admin" };
+export const WRONG_PASSWORD = { code: 'wrong_password', field: 'currentPassword', message: 'Current password is incorrect' };
+
+// Sessions: the cookie holds the token; storage holds its SHA-256
+export const SESSION_TTL_SECONDS = 60 * 60 * 12; // 12 hours, long enough for a tournament day
+export const SESSION_TOUCH_SECONDS = 60; // don't write lastSeenAt on every request
+export const newSessionToken = () => crypto.randomBytes(24).toString('hex');
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Too many failed sign-ins from one IP within the window locks it out for a while
+export const MAX_LOGIN_ATTEMPTS = 5;
+export const ATTEMPT_WINDOW_SECONDS = 60 * 10; // 10 minutes
+export const LOCK_SECONDS = 60 * 15; // 15 minutes
+
+// ----------------------
+// Settings
+// ----------------------
+// Admin-configurable settings, stored one JSON value per name; names never
+// saved fall back to these defaults
+export const DEFAULT_SETTINGS = {
+  // Venmo username payments go to (no '@'); the Venmo QR is off until an admin sets one
+  venmoHandle: '',
+  // Payment note; {orderId}, {event} and {amount} are filled in per order
+  venmoNoteTemplate: 'Tournament_{orderId}',
+  // Other ways to pay shown with the QR, e.g. [{ label: 'Zelle', value: 'treasurer@example.org' }]
+  paymentHandles: [],
+  // IANA time zone the event runs in (e.g. America/Chicago); discount windows and
+  // receipt times are read in it. EVENT_TIME_ZONE sets it until an admin does
+  timeZone: process.env.EVENT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+};
+
+const VENMO_HANDLE_RE = /^[A-Za-z0-9_-]{0,30}$/;
+const MAX_PAYMENT_HANDLES = 5;
+
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Check a partial settings update; returns the cleaned values to store
+export function validateSettings(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ValidationError([{ code: 'missing_payload', message: 'Missing settings payload' }]);
+  }
+  const errs = [];
+  const values = {};
+  for (const [name, value] of Object.entries(changes)) {
+    if (!(name in DEFAULT_SETTINGS)) {
+      errs.push({ code: 'unknown_setting', field: name, message: `Unknown setting '${name}'` });
+    } else if (name === 'venmoHandle') {
+      const handle = String(value ?? '').trim().replace(/^@/, '');
+      if (VENMO_HANDLE_RE.test(handle)) values.venmoHandle = handle;
+      else errs.push({ code: 'invalid_venmo_handle', field: name, message: "'venmoHandle' must be a Venmo username (letters, numbers, '-' or '_')" });
+    } else if (name === 'venmoNoteTemplate') {
+      const template = String(value ?? '').trim();
+      if (template && template.length <= 100) values.venmoNoteTemplate = template;
+      else errs.push({ code: 'invalid_note_template', field: name, message: "'venmoNoteTemplate' must be 1-100 characters" });
+    } else if (name === 'paymentHandles') {
+      const handles = Array.isArray(value) ? value.map((h) => ({
+        label: String((h && h.label) ?? '').trim(),
+        value: String((h && h.value) ?? '').trim(),
+      })) : null;
+      const valid = handles && handles.length <= MAX_PAYMENT_HANDLES
+        && handles.every((h) => h.label && h.label.length <= 30 && h.value && h.value.length <= 100);
+      if (valid) values.paymentHandles = handles;
+      else errs.push({ code: 'invalid_payment_handles', field: name, message: `'paymentHandles' must be up to ${MAX_PAYMENT_HANDLES} entries with a 'label' (up to 30 characters) and a 'value' (up to 100)` });
+    } else if (name === 'timeZone') {
+      const zone = String(value ?? '').trim();
+      if (zone && isTimeZone(zone)) values.timeZone = zone;
+      else errs.push({ code: 'invalid_time_zone', field: name, message: "'timeZone' must be a time zone name like America/Chicago" });
+    }
+  }
+  if (errs.length) throw new ValidationError(errs);
+  return values;
+}
+
+// The venmo.com pay link for an order's outstanding amount, or null when no handle is set
+export function venmoPaymentUrl(settings, { orderId, eventName, amount }) {
+  if (!settings.venmoHandle) return null;
+  const fill = { orderId, event: eventName || '', amount: Number(amount).toFixed(2) };
+  const note = settings.venmoNoteTemplate.replace(/\{(orderId|event|amount)\}/g, (_m, key) => fill[key]);
+  return 'https://venmo.com/?txn=pay&recipients=' + encodeURIComponent(settings.venmoHandle)
+    + '&amount=' + fill.amount + '&note=' + encodeURIComponent(note);
+}
+
+// ----------------------
+// Payment methods
+// ----------------------
+// Seeded on a fresh install. Methods that don't settle immediately leave the
+// order 'pending' until it is reconciled; cash payments take a tendered amount
+// and count toward the cash drawer. Methods are disabled rather than deleted,
+// and keep their name since orders record it.
+export const SEED_PAYMENT_METHODS = [
+  { name: 'Cash', settlesImmediately: true, isCash: true, sortOrder: 0 },
+  { name: 'Venmo', settlesImmediately: false, isCash: false, sortOrder: 1 },
+];
+
+export function validatePaymentMethodFields(method, { isNew = false } = {}) {
+  const errs = [];
+  if (isNew) {
+    const name = String(method.name || '').trim();
+    if (!name || name.length > 30 || name.includes('+')) {
+      errs.push({ code: 'invalid_name', field: 'name', message: "'name' must be 1-30 characters without '+'" });
+    }
+  } else if (method.name !== undefined) {
+    errs.push({ code: 'name_fixed', field: 'name', message: "A payment method's name can't change; add a new method and disable this one" });
+  }
+  for (const flag of ['settlesImmediately', 'isCash', 'enabled']) {
+    if (method[flag] !== undefined && typeof method[flag] !== 'boolean') {
+      errs.push({ code: 'invalid_flag', field: flag, message: `'${flag}' must be true or false` });
+    }
+  }
+  if (method.sortOrder !== undefined && !Number.isInteger(method.sortOrder)) {
+    errs.push({ code: 'invalid_sort_order', field: 'sortOrder', message: "'sortOrder' must be a whole number" });
+  }
+  return errs;
+}
+
+export const duplicatePaymentMethodError = (name) =>
+  new ValidationError([{ code: 'duplicate_payment_method', field: 'name', message: `Payment method '${name}' already exists` }]);
+export const LAST_PAYMENT_METHOD = { code: 'last_payment_method', message: "Can't disable the last enabled payment method" };
+
+// ----------------------
+// Discounts
+// ----------------------
+// Admin-defined price cuts. Each covers the whole order, one item (by dataName)
+// or one category, and takes a percent off, takes an amount off (per unit, or
+// once for the order), sets a promo price for every `quantity` units ("3
+// raffle singles for $2") or comps what it covers. One with a daily window
+// (startTime-endTime, in the event's time zone) applies only inside it, and an
+// automatic one applies to every order it fits without being picked, as happy
+// hour pricing does. Like payment methods they are disabled, never deleted.
+export const DISCOUNT_TYPES = ['percent', 'amount', 'price', 'comp'];
+export const DISCOUNT_SCOPES = ['order', 'item', 'category'];
+export const MAX_ORDER_DISCOUNTS = 5;
+const MAX_PROMO_QUANTITY = 100;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Check a whole discount (an update is checked merged with the stored one)
+export function validateDiscountFields(discount) {
+  const errs = [];
+  if (!discount || typeof discount !== 'object') return [{ code: 'missing_payload', message: 'Missing discount payload' }];
+  const { type, scope } = discount;
+  const name = String(discount.name ?? '').trim();
+  if (!name || name.length > 50) errs.push({ code: 'invalid_name', field: 'name', message: "'name' must be 1-50 characters" });
+  if (!DISCOUNT_TYPES.includes(type)) errs.push({ code: 'invalid_type', field: 'type', message: `'type' must be one of ${DISCOUNT_TYPES.join(', ')}` });
+  if (!DISCOUNT_SCOPES.includes(scope)) errs.push({ code: 'invalid_scope', field: 'scope', message: `'scope' must be one of ${DISCOUNT_SCOPES.join(', ')}` });
+
+  const value = Number(discount.value);
+  if (type === 'percent' && !(value > 0 && value <= 100)) {
+    errs.push({ code: 'invalid_value', field: 'value', message: "A percent discount's 'value' must be more than 0 and at most 100" });
+  } else if (type === 'amount' && !(value > 0)) {
+    errs.push({ code: 'invalid_value', field: 'value', message: "An amount discount's 'value' must be a positive amount" });
+  } else if (type === 'price' && !(discount.value !== '' && value >= 0)) {
+    errs.push({ code: 'invalid_value', field: 'value', message: "A promo price's 'value' must be an amount of $0 or more" });
+  }
+  if (type === 'price') {
+    const quantity = Number(discount.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_PROMO_QUANTITY) {
+      errs.push({ code: 'invalid_quantity', field: 'quantity', message: `'quantity' must be a whole number from 1 to ${MAX_PROMO_QUANTITY}` });
+    }
+    if (scope === 'order') errs.push({ code: 'invalid_scope', field: 'scope', message: 'A promo price is for an item or a category' });
+  }
+  if (scope === 'item' && (typeof discount.itemDataName !== 'string' || !discount.itemDataName.trim())) {
+    errs.push({ code: 'missing_item', field: 'itemDataName', message: "An item discount needs the item's 'itemDataName'" });
+  }
+  if (scope === 'category' && (typeof discount.tab !== 'string' || !discount.tab || typeof discount.category !== 'string' || !discount.category.trim())) {
+    errs.push({ code: 'missing_category', field: 'category', message: "A category discount needs its 'tab' and 'category'" });
+  }
+
+  const startTime = discount.startTime || null;
+  const endTime = discount.endTime || null;
+  if (!startTime !== !endTime || (startTime && (!TIME_RE.test(startTime) || !TIME_RE.test(endTime) || startTime === endTime))) {
+    errs.push({ code: 'invalid_window', field: 'startTime', message: "'startTime' and 'endTime' must both be different HH:MM times, or both be left out" });
+  }
+  for (const flag of ['automatic', 'enabled']) {
+    if (discount[flag] !== undefined && typeof discount[flag] !== 'boolean') {
+      errs.push({ code: 'invalid_flag', field: flag, message: `'${flag}' must be true or false` });
+    }
+  }
+  if (type === 'comp' && discount.automatic) {
+    errs.push({ code: 'invalid_flag', field: 'automatic', message: 'A comp needs a reason at checkout, so it is never automatic' });
+  }
+  if (discount.sortOrder !== undefined && !Number.isInteger(discount.sortOrder)) {
+    errs.push({ code: 'invalid_sort_order', field: 'sortOrder', message: "'sortOrder' must be a whole number" });
+  }
+  return errs;
+}
+
+// A validated discount as stored, with the fields its type and scope don't use cleared
+export const discountFields = (d) => ({
+  name: String(d.name).trim(),
+  type: d.type,
+  scope: d.scope,
+  value: d.type === 'comp' ? 0 : Number(d.value),
+  quantity: d.type === 'price' ? Number(d.quantity ?? 1) : 1,
+  itemDataName: d.scope === 'item' ? d.itemDataName.trim() : null,
+  tab: d.scope === 'category' ? d.tab : null,
+  category: d.scope === 'category' ? d.category.trim() : null,
+  startTime: d.startTime || null,
+  endTime: d.endTime || null,
+  automatic: d.automatic === true,
+  enabled: d.enabled !== false,
+  sortOrder: d.sortOrder ?? 0,
+});
+
+export const duplicateDiscountError = (name) =>
+  new ValidationError([{ code: 'duplicate_discount', field: 'name', message: `A discount named '${name}' already exists` }]);
+
+// Whether `at` falls in a discount's daily window, read on the clock of
+// `timeZone` (the timeZone setting); a window ending before it starts runs past
+// midnight
+export function discountInWindow(discount, at = new Date(), timeZone = DEFAULT_SETTINGS.timeZone) {
+  if (!discount.startTime) return true;
+  const time = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(at);
+  return discount.startTime < discount.endTime
+    ? time >= discount.startTime && time < discount.endTime
+    : time >= discount.startTime || time < discount.endTime;
+}
+
+// What an item or category discount takes off one priced line, in cents
+function lineSavingCents(discount, line) {
+  const cents = toCents(line.total);
+  if (discount.type === 'comp') return cents;
+  if (discount.type === 'percent') return Math.round((cents * Number(discount.value)) / 100);
+  if (discount.type === 'amount') return Math.min(cents, toCents(discount.value) * line.qty);
+  // Every full group of `quantity` units costs the promo price; the rest pay full price
+  const groups = Math.floor(line.qty / discount.quantity);
+  return Math.min(cents, Math.max(0, groups * (discount.quantity * toCents(line.price) - toCents(discount.value))));
+}
+
+/**
+ * The discounts on an order's priced lines. `picked` is the order's
+ * [{ id, reason }] (comps need the reason), `discounts` maps id -> discount
+ * and `catalog` maps dataName -> menu row (for categories). Automatic
+ * discounts in their window join the picked ones. Each line gets the item or
+ * category discount that saves the most, then the order-wide one that saves
+ * the most comes off what is left, shared across the lines by amount.
+ * Returns { lines: [{ lineIndex, discountId, label, type ('discount' or
+ * 'comp'), amount, reason }], discountCents, errors }; a picked discount
+ * that ends up taking nothing off is an error. Windows are checked at `at`
+ * in `timeZone`.
+ */
+export function applyDiscounts(lines, picked = [], discounts, catalog, at = new Date(), timeZone = DEFAULT_SETTINGS.timeZone) {
+  const errors = [];
+  const candidates = [];
+  const seen = new Set();
+  picked.forEach((p, index) => {
+    const d = discounts.get(Number(p.id));
+    if (!d || !d.enabled) {
+      errors.push({ code: 'unknown_discount', index, message: `Discount ${p.id} is not available` });
+      return;
+    }
+    if (seen.has(d.id)) {
+      errors.push({ code: 'duplicate_discount', index, message: `'${d.name}' is applied more than once` });
+      return;
+    }
+    seen.add(d.id);
+    if (!discountInWindow(d, at, timeZone)) {
+      errors.push({ code: 'discount_not_active', index, message: `'${d.name}' only applies from ${d.startTime} to ${d.endTime}` });
+      return;
+    }
+    const reason = p.reason != null ? String(p.reason).trim().slice(0, 255) : '';
+    if (d.type === 'comp' && !reason) {
+      errors.push({ code: 'missing_comp_reason', index, message: `'${d.name}' needs a reason (who it is for)` });
+      return;
+    }
+    candidates.push({ ...d, reason: reason || null, pickedAt: index });
+  });
+  if (errors.length) return { errors };
+  for (const d of discounts.values()) {
+    if (d.enabled && d.automatic && !seen.has(d.id) && discountInWindow(d, at, timeZone)) candidates.push({ ...d, reason: null, pickedAt: null });
+  }
+  candidates.sort((a, b) => a.sortOrder - b.sortOrder || a.id - b.id);
+
+  const covers = (d, line) => {
+    if (d.scope === 'item') return line.name === d.itemDataName;
+    const row = catalog.get(line.name);
+    return !!row && row.tab === d.tab && row.category === d.category;
+  };
+  const result = [];
+  const used = new Set();
+  const add = (d, lineIndex, cents) => {
+    used.add(d.id);
+    result.push({
+      lineIndex, discountId: d.id, label: d.name, type: d.type === 'comp' ? 'comp' : 'discount', amount: fromCents(cents), reason: d.reason,
+    });
+  };
+
+  // Item and category discounts, the best one per line
+  const leftCents = lines.map((l) => toCents(l.total));
+  lines.forEach((line, lineIndex) => {
+    let best = null;
+    for (const d of candidates) {
+      if (d.scope === 'order' || !covers(d, line)) continue;
+      const cents = lineSavingCents(d, line);
+      if (cents > 0 && (!best || cents > best.cents)) best = { d, cents };
+    }
+    if (!best) return;
+    leftCents[lineIndex] -= best.cents;
+    add(best.d, lineIndex, best.cents);
+  });
+
+  // Then the best order-wide discount on what is left
+  const restCents = leftCents.reduce((c, l) => c + l, 0);
+  let best = null;
+  for (const d of candidates) {
+    if (d.scope !== 'order') continue;
+    const cents = d.type === 'percent' ? Math.round((restCents * Number(d.value)) / 100)
+      : d.type === 'amount' ? Math.min(restCents, toCents(d.value))
+      : restCents;
+    if (cents > 0 && (!best || cents > best.cents)) best = { d, cents };
+  }
+  if (best) {
+    // Shared in proportion to what is left on each line, rounded on the running
+    // total so the shares add up to exactly best.cents and none tops its line
+    let sharedCents = 0;
+    let shared = 0;
+    leftCents.forEach((c, lineIndex) => {
+      if (c <= 0) return;
+      sharedCents += c;
+      const share = Math.floor((best.cents * sharedCents) / restCents) - shared;
+      shared += share;
+      if (share > 0) add(best.d, lineIndex, share);
+    });
+  }
+
+  for (const d of candidates) {
+    if (d.pickedAt != null && !used.has(d.id)) {
+      errors.push({ code: 'discount_not_applicable', index: d.pickedAt, message: `'${d.name}' takes nothing off this order` });
+    }
+  }
+  return { lines: result, discountCents: result.reduce((c, l) => c + toCents(l.amount), 0), errors };
+}
+
+// An order's discount and comp lines ({ discountId, label, type, total, reason },
+// totals negative) rolled up per discount: [{ discountId, name, type, amount, reason }]
+export function summarizeDiscounts(lines) {
+  const byDiscount = new Map();
+  for (const l of lines) {
+    const key = `${l.discountId}\u0000${l.label}`;
+    const row = byDiscount.get(key) || { discountId: l.discountId, name: l.label, type: l.type, cents: 0, reason: l.reason || null };
+    row.cents -= toCents(l.total);
+    byDiscount.set(key, row);
+  }
+  return [...byDiscount.values()].map(({ cents, ...rest }) => ({ ...rest, amount: fromCents(cents) }));
+}
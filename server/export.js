@@ -0,0 +1,105 @@
+// export.js
+// Stream transforms turning order-line rows (see streamOrderLines) into export files.
+import { Transform } from "stream";
+import { csvRow } from "./csv.js";
+import { MAX_TENDERS } from "./domain.js";
+
+// A method and amount column for each payment of a split order
+const PAYMENT_COLUMNS = Array.from({ length: MAX_TENDERS }, (_v, i) => [`payment${i + 1}Method`, `payment${i + 1}Amount`]).flat();
+const CSV_COLUMNS = [
+  'orderId', 'eventId', 'eventName', 'timestamp', 'paymentType', 'status', 'statusNote',
+  'orderTotal', 'item', 'itemName', 'quantity', 'lineTotal', 'lineType', 'refundedAmount', 'cashier', 'discount', 'lineReason',
+  ...PAYMENT_COLUMNS,
+];
+
+// A row's payments: [{ method, amount, tendered, changeDue }], or null for an
+// order recorded without them. MariaDB hands the aggregated JSON over as text.
+function rowPayments(row) {
+  const payments = typeof row.payments === 'string' ? JSON.parse(row.payments) : row.payments;
+  if (!Array.isArray(payments) || !payments.length) return null;
+  const amount = (v) => v != null ? parseFloat(v) : null;
+  return payments.map((p) => ({ method: p.method, amount: amount(p.amount), tendered: amount(p.tendered), changeDue: amount(p.changeDue) }));
+}
+
+// One CSV row per line item with the order fields repeated
+export function orderLinesToCsv() {
+  let headerWritten = false;
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, _enc, done) {
+      let out = '';
+      if (!headerWritten) {
+        out += csvRow(CSV_COLUMNS);
+        headerWritten = true;
+      }
+      const payments = rowPayments(row) || [];
+      out += csvRow([
+        row.orderId, row.eventId, row.eventName, row.timestamp, row.paymentType, row.status, row.statusNote,
+        row.totalAmount, row.item, row.itemName, row.quantity, row.lineTotal, row.lineType, row.refundedAmount, row.cashierName,
+        row.discountName, row.lineReason,
+        ...Array.from({ length: MAX_TENDERS }, (_v, i) => payments[i] ? [payments[i].method, payments[i].amount] : [null, null]).flat(),
+      ]);
+      done(null, out);
+    },
+    flush(done) {
+      // Empty exports still get a header row
+      done(null, headerWritten ? '' : csvRow(CSV_COLUMNS));
+    },
+  });
+}
+
+// A JSON array of orders with nested items and payments. This is also the shape
+// accepted by POST /api/admin/import/orders. Rows must arrive grouped by order.
+export function orderLinesToJson() {
+  let current = null;
+  let count = 0;
+
+  const toOrder = (row) => {
+    const payments = rowPayments(row);
+    return {
+      orderId: row.orderId,
+      eventId: row.eventId,
+      eventName: row.eventName,
+      timestamp: row.timestamp,
+      paymentType: row.paymentType,
+      status: row.status,
+      statusNote: row.statusNote,
+      totalAmount: row.totalAmount != null ? parseFloat(row.totalAmount) : 0,
+      refundedAmount: row.refundedAmount != null ? parseFloat(row.refundedAmount) : 0,
+      cashierName: row.cashierName,
+      // Split orders keep each payment, so an import brings back the cash share
+      ...(payments && { payments }),
+      items: [],
+    };
+  };
+  const serialize = (order) => (count++ ? ',\n' : '[\n') + JSON.stringify(order);
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, _enc, done) {
+      let out = '';
+      if (!current || current.orderId !== row.orderId) {
+        if (current) out = serialize(current);
+        current = toOrder(row);
+      }
+      if (row.item) {
+        current.items.push({
+          name: row.item,
+          itemName: row.itemName,
+          qty: row.quantity,
+          total: row.lineTotal != null ? parseFloat(row.lineTotal) : 0,
+          type: row.lineType || 'sale',
+          // Discount and comp lines name their discount; refunds and comps keep their reason
+          ...(row.discountName && { discount: row.discountName }),
+          ...(row.lineReason && { reason: row.lineReason }),
+        });
+      }
+      done(null, out);
+    },
+    flush(done) {
+      let out = current ? serialize(current) : '';
+      out += count ? '\n]\n' : '[]\n';
+      done(null, out);
+    },
+  });
+}
@@ -1,4 +1,11 @@
+// firestore.js
+// The Firestore storage backend (STORAGE_BACKEND=firestore). The POS logic is
+// shared with the in-memory backend in docstore.js; this file adapts Firestore
+// transactions to it. Collections are named with FIRESTORE_COLLECTION_PREFIX
+// (default "pos_") so they stay clear of the original app's 'orders' and
+// 'transactions', which exportOrders still reads for import-firestore.js.
 import admin from "firebase-admin";
+import { createDocStoreBackend } from "./docstore.js";
 
 if (!admin.apps.length) {
   admin.initializeApp({
@@ -11,43 +18,73 @@ if (!admin.apps.length) {
 }
 
 const db = admin.firestore();
+const PREFIX = process.env.FIRESTORE_COLLECTION_PREFIX ?? 'pos_';
+const collection = (col) => db.collection(PREFIX + col);
 
-export async function submitOrder(orderData) {
-  const counterRef = db.collection("meta").doc("counter");
-  let newOrderId;
-  await db.runTransaction(async (t) => {
-    const doc = await t.get(counterRef);
-    let counter = (doc.exists ? doc.data().count : 0) + 1;
-    newOrderId = counter.toString().padStart(4, "0");
-    t.set(counterRef, { count: counter });
-  });
+const store = {
+  name: 'firestore',
+  // Firestore allows 500 writes per transaction
+  maxWrites: 500,
+  runTransaction(fn) {
+    return db.runTransaction((t) => fn({
+      async get(col, id) {
+        const snap = await t.get(collection(col).doc(String(id)));
+        return snap.exists ? snap.data() : null;
+      },
+      // Equality filters with an orderBy need a composite index; Firestore's
+      // error message links to the one to create
+      async find(col, where = {}, { orderBy, direction = 'asc', startAfter, limit } = {}) {
+        let query = collection(col);
+        for (const [field, value] of Object.entries(where)) query = query.where(field, '==', value);
+        if (orderBy) query = query.orderBy(orderBy, direction);
+        if (orderBy && startAfter != null) query = query.startAfter(startAfter);
+        if (limit) query = query.limit(limit);
+        const snap = await t.get(query);
+        return snap.docs.map((doc) => ({ id: doc.id, data: doc.data() }));
+      },
+      set(col, id, doc) {
+        t.set(collection(col).doc(String(id)), doc);
+      },
+      delete(col, id) {
+        t.delete(collection(col).doc(String(id)));
+      },
+    }));
+  },
+  async ping() {
+    await collection('meta').doc('drawer').get();
+    return { database: 'connected' };
+  },
+  close() {
+    return admin.app().delete();
+  },
+};
 
-  orderData.orderId = newOrderId;
-  const orderRef = db.collection("orders").doc();
-  await orderRef.set({
-    orderId: orderData.orderId,
-    totalAmount: orderData.totalAmount,
-    paymentType: orderData.paymentType,
-    timestamp: new Date().toISOString(),
-    status: orderData.paymentType === "Venmo" ? "pending" : "paid",
-  });
+export default createDocStoreBackend(store);
 
-  const batch = db.batch();
-  orderData.items.forEach((item) => {
-    const txRef = db.collection("transactions").doc();
-    batch.set(txRef, {
-      orderId: orderData.orderId,
-      item: item.name,
-      quantity: item.qty,
-      total: item.price * item.qty,
-    });
-  });
-  await batch.commit();
+// Orders from the original Firestore app joined with their transaction lines,
+// in the JSON export shape that importOrders accepts (see server/import-firestore.js).
+export async function exportOrders() {
+  const [ordersSnap, txSnap] = await Promise.all([
+    db.collection("orders").get(),
+    db.collection("transactions").get(),
+  ]);
 
-  return orderData;
-}
+  const linesByOrder = new Map();
+  txSnap.docs.forEach((doc) => {
+    const tx = doc.data();
+    if (!linesByOrder.has(tx.orderId)) linesByOrder.set(tx.orderId, []);
+    linesByOrder.get(tx.orderId).push({ name: tx.item, qty: tx.quantity, total: tx.total });
+  });
 
-export async function getOrders() {
-  const snapshot = await db.collection("orders").get();
-  return snapshot.docs.map((doc) => doc.data());
+  return ordersSnap.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => String(a.orderId).localeCompare(String(b.orderId)))
+    .map((o) => ({
+      orderId: o.orderId,
+      timestamp: o.timestamp,
+      paymentType: o.paymentType,
+      status: o.status,
+      totalAmount: o.totalAmount,
+      items: linesByOrder.get(o.orderId) || [],
+    }));
 }
@@ -0,0 +1,41 @@
+// import-firestore.js
+// Merge orders recorded on the Firestore backend into MariaDB.
+//
+//   node server/import-firestore.js --event <eventId> [--prefix FS-] [--dry-run]
+//
+// Firestore order numbers overlap with MariaDB's, so imported ids get a prefix
+// (default "FS-"). Orders already imported are skipped, so the script can be re-run.
+import dotenv from "dotenv";
+dotenv.config();
+
+// Loaded after dotenv so firestore.js sees the FIREBASE_* variables when it initializes
+const { pool } = await import("./db.js");
+const { importOrders, getActiveEvent, ValidationError } = await import("./mariadb.js");
+const { exportOrders } = await import("./firestore.js");
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+try {
+  const eventId = Number(argValue('--event', 0)) || (await getActiveEvent())?.id;
+  if (!eventId) throw new Error('No --event given and no event is open');
+  const idPrefix = argValue('--prefix', 'FS-');
+  const dryRun = process.argv.includes('--dry-run');
+
+  const orders = await exportOrders();
+  console.log(`📦 Read ${orders.length} orders from Firestore`);
+  if (orders.length) {
+    const result = await importOrders(orders, { eventId, idPrefix, dryRun });
+    console.log(`${dryRun ? '🔍 Dry run: would import' : '✅ Imported'} ${result.imported} orders into event ${eventId}; skipped ${result.skipped.length} already present`);
+  }
+} catch (err) {
+  if (err instanceof ValidationError) {
+    err.details.forEach((d) => console.error(`  - ${d.message}`));
+  }
+  console.error('❌ Import failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -2,33 +2,69 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import { submitOrder, getOrders, getItems, createItem, updateItem, deleteItem, validateAdminPassword, createAdminToken, validateAdminToken, revokeAdminToken, validateItemFields, isAdminConfigured } from "./mariadb.js";
-import { initializeDatabase, pool } from "./db.js";
+import { pipeline } from "stream";
+import QRCode from "qrcode";
+import { submitOrder, getOrder, getOrders, getOrderPage, parseOrderQuery, getItems, createItem, updateItem, bulkUpdateItems, deleteItem, validateItemFields, ValidationError, setOrderStatus, getOrderStatusHistory, setFulfillmentStatus, getActiveEvent, getEvent, getEvents, validateEventFields, createEvent, updateEvent, openEvent, closeEvent, getSalesSummary, streamOrderLines, importOrders, getDrawerSessions, getOpenDrawerSession, openDrawerSession, closeDrawerSession, adjustStock, getStockMovements, voidOrder, refundOrderLines, updateOrderPayment, getOrderAudit, drawRaffleWinner, getRaffleSummary, ROLES, roleAtLeast, countUsers, getUsers, createUser, updateUser, authenticateUser, changeOwnPassword, createSession, getSessionUser, revokeSession, revokeSessionById, revokeAllSessions, getActiveSessions, getLoginLock, recordFailedLogin, clearLoginAttempts, cleanupExpiredAuth, getSettings, updateSettings, venmoPaymentUrl, getPaymentMethods, createPaymentMethod, updatePaymentMethod, getDiscounts, createDiscount, updateDiscount, getTabs, createTab, updateTab, createCategory, updateCategory, deleteCategory, initialize, checkHealth, getPoolStats, STORAGE_BACKEND } from "./storage.js";
+import { orderLinesToCsv, orderLinesToJson } from "./export.js";
+import { CATALOG_MODES, buildCatalog, catalogToCsv, parseCatalog, planCatalogImport } from "./catalog.js";
+import { RECEIPT_FORMATS, RECEIPT_LAYOUTS, buildReceipt, receiptToHtml, receiptToText } from "./receipt.js";
+import { openStream, broadcast, closeStreams } from "./live.js";
+import { log, addLogContext, requestLogging } from "./log.js";
+import { gauge, renderMetrics, requestMetrics, ordersSubmitted, loginFailures, loginLockouts, loginBlocked } from "./metrics.js";
 
 dotenv.config();
 const app = express();
+// Request ids and access lines (log.js) and latency per route (metrics.js) come first
+app.use(requestLogging);
+app.use(requestMetrics);
 app.use(cors());
-app.use(express.json());
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's
+// address for the login lockout and the sessions list
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+// Larger limit so exported order files can be posted back to the import endpoint
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static("public"));
 
-// ✅ Health check route
-app.get("/api/health", async (_req, res) => {
+// ✅ Health check route. ?mode=live only says the process is answering (a
+// liveness probe restarts the server when it stops); ?mode=ready also checks
+// storage and answers 503 when it can't take orders (a readiness probe or load
+// balancer sends traffic elsewhere). Without a mode it is the original check.
+const HEALTH_MODES = ['live', 'ready'];
+
+app.get("/api/health", async (req, res) => {
+  const mode = req.query.mode;
+  if (mode !== undefined && !HEALTH_MODES.includes(mode)) {
+    return res.status(400).json({ error: `'mode' must be one of ${HEALTH_MODES.join(', ')}` });
+  }
+  if (mode === 'live') {
+    return res.json({
+      status: "ok",
+      service: "tournament-pos",
+      uptimeSeconds: Math.round(process.uptime()),
+      timestamp: new Date().toISOString(),
+    });
+  }
   try {
-    // Ping the database to confirm connectivity
-    const conn = await pool.getConnection();
-    await conn.ping();
-    conn.release();
+    // Ask the storage backend to confirm connectivity
+    const health = await checkHealth();
+    const pool = getPoolStats();
 
     res.json({
       status: "ok",
       service: "tournament-pos",
-      database: "connected",
+      storage: STORAGE_BACKEND,
+      ...health,
+      ...(mode === 'ready' && pool && { pool }),
       timestamp: new Date().toISOString(),
     });
   } catch (err) {
-    console.error("Health check failed:", err);
-    res.status(500).json({
+    log.error("Health check failed", { err });
+    res.status(mode === 'ready' ? 503 : 500).json({
       status: "error",
+      storage: STORAGE_BACKEND,
       database: "unreachable",
       message: err.message,
       timestamp: new Date().toISOString(),
@@ -36,26 +72,449 @@ app.get("/api/health", async (_req, res) => {
   }
 });
 
+// 📈 Prometheus metrics (see metrics.js). With METRICS_TOKEN set, scrapers must
+// send it as a bearer token.
+gauge('pos_db_pool_connections', 'MariaDB pool connections, by state', () => {
+  const pool = getPoolStats();
+  return pool && [
+    { labels: { state: 'in_use' }, value: pool.open - pool.idle },
+    { labels: { state: 'idle' }, value: pool.idle },
+  ];
+});
+gauge('pos_db_pool_limit', 'Most connections the MariaDB pool opens', () => {
+  const pool = getPoolStats();
+  return pool && [{ value: pool.limit }];
+});
+gauge('pos_db_pool_waiting', 'Queries waiting for a free MariaDB connection', () => {
+  const pool = getPoolStats();
+  return pool && [{ value: pool.waiting }];
+});
+
+app.get("/metrics", (req, res) => {
+  if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+// Resolve an ?eventId= query value: 'all' means no scoping, a number selects that
+// event, and no value means the active event.
+async function resolveEventId(value) {
+  if (value === 'all') return null;
+  if (value) return Number(value);
+  const active = await getActiveEvent();
+  return active ? active.id : null;
+}
+
 async function startServer() {
   try {
-    await initializeDatabase();
+    await initialize();
+
+    // 🔐 Auth: per-user logins with an httpOnly session cookie
+    const SESSION_COOKIE = 'pos_session';
+    // Only for local development: every request acts as this admin
+    const DEV_USER = { id: null, username: 'dev', displayName: 'Developer', role: 'admin', active: true };
+
+    // Helper to extract the session token from Authorization header or cookie
+    function tokenFromReq(req) {
+      const auth = req.headers.authorization || '';
+      const parts = auth.split(' ');
+      if (parts.length === 2 && parts[0] === 'Bearer') return parts[1];
+      const cookieHeader = req.headers.cookie || '';
+      const match = cookieHeader.match(new RegExp(`(^|; )${SESSION_COOKIE}=([^;]+)`));
+      if (match) return match[2];
+      return null;
+    }
+
+    // Middleware factory: sets req.user and requires at least minRole (cashier < manager < admin)
+    function requireRole(minRole) {
+      return async (req, res, next) => {
+        try {
+          // Allow unauthenticated access for local development when explicitly enabled
+          if (process.env.ALLOW_UNAUTH_ADMIN === 'true') {
+            req.user = DEV_USER;
+            return next();
+          }
+          const token = tokenFromReq(req);
+          if (!token) return res.status(401).json({ error: 'Unauthorized' });
+          const user = await getSessionUser(token);
+          if (!user) return res.status(401).json({ error: 'Invalid or expired session' });
+          if (!roleAtLeast(user.role, minRole)) return res.status(403).json({ error: 'Forbidden', requiredRole: minRole });
+          req.user = user;
+          addLogContext({ userId: user.id });
+          next();
+        } catch (err) {
+          log.error('requireRole error', { err });
+          res.status(500).json({ error: 'Server error' });
+        }
+      };
+    }
+    const requireCashier = requireRole('cashier');
+    const requireManager = requireRole('manager');
+    const requireAdmin = requireRole('admin');
+
+    function setSessionCookie(res, token) {
+      res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: 1000 * 60 * 60 * 12, // matches the server-side session TTL
+      });
+    }
+
+    const clientIp = (req) => req.ip || req.connection.remoteAddress || 'unknown';
+    const newSession = (req, user) => createSession(user.id, { ip: clientIp(req), userAgent: req.headers['user-agent'] });
+
+    // Rate-limited login (lockout state is in the database): sets an httpOnly cookie on success
+    async function handleLogin(req, res) {
+      try {
+        const ip = clientIp(req);
+        if (await getLoginLock(ip)) {
+          loginBlocked.inc();
+          return res.status(429).json({ error: 'Too many attempts. Try again later.' });
+        }
+
+        // The old admin form only sent a password; treat that as the 'admin' user
+        const { username = 'admin', password } = req.body || {};
+        if (!password) return res.status(400).json({ error: 'Missing password' });
+        const user = await authenticateUser(username, password);
+        if (!user) {
+          await recordFailedLogin(ip);
+          loginFailures.inc();
+          if (await getLoginLock(ip)) {
+            loginLockouts.inc();
+            log.warn('Login locked out', { ip, username });
+          }
+          return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        // success -> clear attempts for this IP
+        await clearLoginAttempts(ip);
+        setSessionCookie(res, await newSession(req, user));
+        res.json({ user });
+      } catch (err) {
+        log.error('Login failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    }
+    app.post('/api/auth/login', handleLogin);
+    app.post('/api/admin/login', handleLogin); // older clients
+
+    // logout - clears cookie and revokes the session server-side
+    async function handleLogout(req, res) {
+      try {
+        const token = tokenFromReq(req);
+        if (token) await revokeSession(token);
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ ok: true });
+      } catch (err) {
+        log.error('Logout failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    }
+    app.post('/api/auth/logout', handleLogout);
+    app.post('/api/admin/logout', handleLogout);
+
+    // The signed-in user. On a fresh install with no users, says so so the
+    // page can offer to create the first admin.
+    app.get('/api/auth/me', async (req, res) => {
+      try {
+        if (process.env.ALLOW_UNAUTH_ADMIN === 'true') return res.json({ user: DEV_USER });
+        const token = tokenFromReq(req);
+        const user = token ? await getSessionUser(token) : null;
+        if (user) return res.json({ user });
+        res.status(401).json({ error: 'Unauthorized', setupRequired: (await countUsers()) === 0 });
+      } catch (err) {
+        log.error('Failed to get current user', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // First-run setup: create the first admin. Only works while there are no users.
+    app.post('/api/auth/setup', async (req, res) => {
+      try {
+        if ((await countUsers()) > 0) return res.status(409).json({ error: 'Setup is already complete' });
+        const user = await createUser({ ...req.body, role: 'admin' });
+        setSessionCookie(res, await newSession(req, user));
+        res.json({ user });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Setup failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.put('/api/auth/password', requireCashier, async (req, res) => {
+      try {
+        const { currentPassword, newPassword } = req.body || {};
+        await changeOwnPassword(req.user.id, currentPassword, newPassword);
+        res.json({ ok: true });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Change password failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
 
     // 🧾 Order routes
-    app.post("/api/orders", async (req, res) => {
+    app.post("/api/orders", requireCashier, async (req, res) => {
       try {
-        const result = await submitOrder(req.body);
+        // Offline registers replay queued orders with the same Idempotency-Key
+        const idempotencyKey = req.get('Idempotency-Key') || (req.body && req.body.idempotencyKey) || undefined;
+        const createdAt = (req.body && req.body.createdAt) || undefined;
+        const result = await submitOrder(req.body, { idempotencyKey, createdAt, cashierId: req.user.id });
+        ordersSubmitted.inc({ result: result.replayed ? 'replayed' : 'created' });
         res.json(result);
+        if (!result.replayed) {
+          broadcast('order.created', {
+            orderId: result.orderId,
+            eventId: result.eventId,
+            paymentType: result.paymentType,
+            payments: result.payments,
+            status: result.status,
+            fulfillmentStatus: result.fulfillmentStatus,
+            totalAmount: result.totalAmount,
+            cashierName: req.user.displayName,
+            items: result.items.map(({ name, qty, modifiers }) => ({ name, qty, modifiers })),
+          });
+        }
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          ordersSubmitted.inc({ result: 'rejected' });
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        ordersSubmitted.inc({ result: 'failed' });
+        log.error('Submit order failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Orders newest first. Filters: ?status= and ?fulfillment= (comma-separated;
+    // ?fulfillment=preparing,ready is the stand's open tickets in kitchen.html),
+    // ?paymentType= (split orders match each of their methods), ?item= (a dataName),
+    // ?from=&to= (ISO), ?q= (order number) and ?eventId= (defaults to the active
+    // event, or 'all'). With ?limit= or ?cursor= the response is one page,
+    // { orders, nextCursor, totals } (totals on the first page only); otherwise a
+    // plain list.
+    app.get("/api/orders", requireCashier, async (req, res) => {
+      try {
+        const { paged, ...filters } = parseOrderQuery(req.query);
+        const eventId = await resolveEventId(req.query.eventId);
+        if (paged) return res.json(await getOrderPage({ ...filters, eventId }));
+        res.json(await getOrders({ ...filters, eventId }));
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Failed to get orders', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Receipts name the organization at the top (ORGANIZATION_NAME)
+    const ORGANIZATION_NAME = process.env.ORGANIZATION_NAME || 'Tournament POS';
+
+    // Printable receipt: ?layout=page|58mm|80mm (thermal rolls), ?format=text for
+    // plain text, ?print=1 opens the print dialog
+    app.get('/api/orders/:orderId/receipt', requireCashier, async (req, res) => {
+      try {
+        const { format = 'html', layout = 'page' } = req.query;
+        if (!RECEIPT_FORMATS.includes(format)) return res.status(400).json({ error: 'Invalid format' });
+        if (!RECEIPT_LAYOUTS.includes(layout)) return res.status(400).json({ error: 'Invalid layout' });
+        const order = await getOrder(req.params.orderId);
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+        const [event, items, { timeZone }] = await Promise.all([
+          getEvent(order.eventId),
+          getItems({ includeInactive: true, eventId: order.eventId }),
+          getSettings(),
+        ]);
+        const receipt = buildReceipt(order, { organization: ORGANIZATION_NAME, event, items, timeZone });
+        if (format === 'text') {
+          res.type('text/plain').send(receiptToText(receipt, { layout }));
+        } else {
+          res.type('html').send(receiptToHtml(receipt, { layout, print: req.query.print === '1' }));
+        }
+      } catch (err) {
+        log.error('Receipt failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Venmo QR for what is still owed on an order, drawn here so payment links
+    // never go to an outside QR service. On a split order that is the share paid
+    // with methods that need reconciling, not the cash already handed over.
+    app.get('/api/orders/:orderId/qr.svg', requireCashier, async (req, res) => {
+      try {
+        const settings = await getSettings();
+        if (!settings.venmoHandle) {
+          return res.status(409).json({ error: 'Venmo handle not configured; an admin can set it under Admin → Payments' });
+        }
+        const order = await getOrder(req.params.orderId);
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+        if (!(order.netAmount > 0)) return res.status(404).json({ error: 'Nothing is owed on this order' });
+        const [event, methods] = await Promise.all([
+          getEvent(order.eventId),
+          getPaymentMethods({ includeDisabled: true }),
+        ]);
+        const settles = new Map(methods.map((m) => [m.name, m.settlesImmediately]));
+        const owedCents = order.payments
+          .filter((p) => settles.get(p.method) === false)
+          .reduce((c, p) => c + Math.round(p.amount * 100), 0);
+        const url = venmoPaymentUrl(settings, {
+          orderId: order.orderId,
+          eventName: event ? event.name : null,
+          amount: owedCents ? Math.min(owedCents / 100, order.netAmount) : order.netAmount,
+        });
+        const svg = await QRCode.toString(url, { type: 'svg', margin: 2, width: 200 });
+        res.set('Cache-Control', 'no-store').type('image/svg+xml').send(svg);
+      } catch (err) {
+        log.error('QR code failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Stand tickets: any register or the kitchen display moves a concession order
+    // between preparing, ready and picked_up (separate from the payment status)
+    app.put('/api/orders/:orderId/fulfillment', requireCashier, async (req, res) => {
+      try {
+        const { status } = req.body || {};
+        const order = await setFulfillmentStatus(req.params.orderId, status);
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+        res.json(order);
+        broadcast('order.updated', { orderId: order.orderId, fulfillmentStatus: order.fulfillmentStatus, change: 'fulfillment' });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Update fulfillment failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // ⚙️ Settings (payment handles etc.); every register reads them, admins change them
+    app.get('/api/settings', requireCashier, async (_req, res) => {
+      try {
+        res.json(await getSettings());
+      } catch (err) {
+        log.error('Get settings failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.put('/api/admin/settings', requireAdmin, async (req, res) => {
+      try {
+        const settings = await updateSettings(req.body, req.user.displayName);
+        res.json(settings);
+        broadcast('settings.changed', settings);
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Update settings failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // 💳 Payment methods. Registers get disabled ones too, to label old orders,
+    // but only offer enabled ones at checkout. Admins add methods and change their
+    // flags; methods are disabled, never deleted.
+    app.get('/api/payment-methods', requireCashier, async (_req, res) => {
+      try {
+        res.json(await getPaymentMethods({ includeDisabled: true }));
+      } catch (err) {
+        log.error('Get payment methods failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/api/admin/payment-methods', requireAdmin, async (req, res) => {
+      try {
+        const method = await createPaymentMethod(req.body || {});
+        res.json(method);
+        broadcast('paymentMethods.changed', { id: method.id });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Create payment method failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.put('/api/admin/payment-methods/:id', requireAdmin, async (req, res) => {
+      try {
+        const { name, settlesImmediately, isCash, enabled, sortOrder } = req.body || {};
+        const method = await updatePaymentMethod(Number(req.params.id), { name, settlesImmediately, isCash, enabled, sortOrder });
+        if (!method) return res.status(404).json({ error: 'Payment method not found' });
+        res.json(method);
+        broadcast('paymentMethods.changed', { id: method.id });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Update payment method failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // 🏷️ Discounts and comps. Registers get disabled ones too, to label old
+    // orders, but only offer enabled ones at checkout; the server works out what
+    // they take off. Discounts are disabled, never deleted.
+    app.get('/api/discounts', requireCashier, async (_req, res) => {
+      try {
+        res.json(await getDiscounts({ includeDisabled: true }));
+      } catch (err) {
+        log.error('Get discounts failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/api/admin/discounts', requireAdmin, async (req, res) => {
+      try {
+        const discount = await createDiscount(req.body || {});
+        res.json(discount);
+        broadcast('discounts.changed', { id: discount.id });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Create discount failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.put('/api/admin/discounts/:id', requireAdmin, async (req, res) => {
+      try {
+        const { name, type, scope, value, quantity, itemDataName, tab, category, startTime, endTime, automatic, enabled, sortOrder } = req.body || {};
+        const discount = await updateDiscount(Number(req.params.id), {
+          name, type, scope, value, quantity, itemDataName, tab, category, startTime, endTime, automatic, enabled, sortOrder,
+        });
+        if (!discount) return res.status(404).json({ error: 'Discount not found' });
+        res.json(discount);
+        broadcast('discounts.changed', { id: discount.id });
       } catch (err) {
-        console.error("Submit order failed:", err);
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Update discount failed', { err });
         res.status(500).json({ error: err.message });
       }
     });
 
-    app.get("/api/orders", async (_req, res) => {
+    // 📡 Live updates for the registers (Server-Sent Events; see live.js)
+    app.get('/api/stream', requireCashier, openStream);
+
+    // The event the POS is currently selling into (null when none is open)
+    app.get('/api/events/active', async (_req, res) => {
       try {
-        const orders = await getOrders();
-        res.json(orders);
+        const event = await getActiveEvent();
+        res.json(event);
       } catch (err) {
+        log.error('Failed to get active event', { err });
         res.status(500).json({ error: err.message });
       }
     });
@@ -66,116 +525,252 @@ async function startServer() {
         const items = await getItems();
         res.json(items);
       } catch (err) {
-        console.error('Failed to get items:', err);
+        log.error('Failed to get items', { err });
         res.status(500).json({ error: err.message });
       }
     });
 
-    // Simple rate-limited admin login: sets an httpOnly cookie on success
-    const loginAttempts = new Map();
-    const MAX_ATTEMPTS = 5;
-    const ATTEMPT_WINDOW_MS = 1000 * 60 * 10; // 10 minutes
-    const LOCK_TIME_MS = 1000 * 60 * 15; // 15 minutes
+    // Menu tabs with their categories, hidden tabs included (the register skips them)
+    app.get('/api/tabs', async (_req, res) => {
+      try {
+        res.json(await getTabs());
+      } catch (err) {
+        log.error('Failed to get tabs', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-    app.post('/api/admin/login', async (req, res) => {
+    // 🗂️ Admin-managed tabs and categories. Tabs are hidden, never deleted;
+    // categories are deleted once no item uses them.
+    app.post('/api/admin/tabs', requireAdmin, async (req, res) => {
       try {
-        const ip = req.ip || req.connection.remoteAddress || 'unknown';
-        const now = Date.now();
-        const record = loginAttempts.get(ip) || { count: 0, firstAt: now, lockedUntil: 0 };
+        const tab = await createTab(req.body || {});
+        res.json(tab);
+        broadcast('tabs.changed', { tabId: tab.id });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Create tab failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-        // if locked
-        if (record.lockedUntil && now < record.lockedUntil) {
-          return res.status(429).json({ error: 'Too many attempts. Try again later.' });
+    app.put('/api/admin/tabs/:id', requireAdmin, async (req, res) => {
+      try {
+        const { slug, label, fulfillment, active, sortOrder } = req.body || {};
+        const tab = await updateTab(Number(req.params.id), { slug, label, fulfillment, active, sortOrder });
+        if (!tab) return res.status(404).json({ error: 'Tab not found' });
+        res.json(tab);
+        broadcast('tabs.changed', { tabId: tab.id });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
         }
+        log.error('Update tab failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-        const { password } = req.body || {};
-        if (!password) return res.status(400).json({ error: 'Missing password' });
-        const ok = await validateAdminPassword(password);
-        if (!ok) {
-          // update attempts
-          if (now - record.firstAt > ATTEMPT_WINDOW_MS) {
-            record.count = 1;
-            record.firstAt = now;
-          } else {
-            record.count = (record.count || 0) + 1;
-          }
-          if (record.count >= MAX_ATTEMPTS) {
-            record.lockedUntil = now + LOCK_TIME_MS;
-          }
-          loginAttempts.set(ip, record);
-          return res.status(401).json({ error: 'Invalid password' });
+    app.post('/api/admin/categories', requireAdmin, async (req, res) => {
+      try {
+        const category = await createCategory(req.body || {});
+        res.json(category);
+        broadcast('tabs.changed', { categoryId: category.id });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
         }
+        log.error('Create category failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-        // success -> clear attempts for this IP
-        loginAttempts.delete(ip);
-        const token = createAdminToken();
-        const cookieOptions = {
-          httpOnly: true,
-          sameSite: 'lax',
-          secure: process.env.NODE_ENV === 'production',
-          maxAge: 1000 * 60 * 60, // 1 hour
-        };
-        res.cookie('admin_token', token, cookieOptions);
-        res.json({ ok: true });
+    app.put('/api/admin/categories/:id', requireAdmin, async (req, res) => {
+      try {
+        const { tab, name, sortOrder } = req.body || {};
+        const category = await updateCategory(Number(req.params.id), { tab, name, sortOrder });
+        if (!category) return res.status(404).json({ error: 'Category not found' });
+        res.json(category);
+        broadcast('tabs.changed', { categoryId: category.id });
       } catch (err) {
-        console.error('Admin login failed:', err);
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Update category failed', { err });
         res.status(500).json({ error: err.message });
       }
     });
 
-    // Helper to extract admin token from Authorization header or cookie
-    function tokenFromReq(req) {
-      const auth = req.headers.authorization || '';
-      const parts = auth.split(' ');
-      if (parts.length === 2 && parts[0] === 'Bearer') return parts[1];
-      const cookieHeader = req.headers.cookie || '';
-      const match = cookieHeader.match(/(^|; )admin_token=([^;]+)/);
-      if (match) return match[2];
-      return null;
-    }
+    app.delete('/api/admin/categories/:id', requireAdmin, async (req, res) => {
+      try {
+        const result = await deleteCategory(Number(req.params.id));
+        if (!result) return res.status(404).json({ error: 'Category not found' });
+        res.json(result);
+        broadcast('tabs.changed', { categoryId: result.id });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Delete category failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Payment reconciliation: mark an order paid, unpaid (pending) or void
+    app.put('/api/admin/orders/:orderId/status', requireManager, async (req, res) => {
+      try {
+        const { status, note } = req.body || {};
+        const order = await setOrderStatus(req.params.orderId, status, note, req.user.displayName);
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+        res.json(order);
+        broadcast('order.updated', { orderId: order.orderId, status: order.status, change: 'status' });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Update order status failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-    // Middleware to protect admin routes (reads token from cookie or header)
-    async function requireAdmin(req, res, next) {
+    // Voids, refunds and payment corrections (each needs a reason; the signed-in user is recorded)
+    app.post('/api/admin/orders/:orderId/void', requireManager, async (req, res) => {
       try {
-        // Allow unauthenticated admin for local development when explicitly enabled
-        if (process.env.ALLOW_UNAUTH_ADMIN === 'true') return next();
+        const order = await voidOrder(req.params.orderId, { ...req.body, by: req.user.displayName });
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+        res.json(order);
+        broadcast('order.updated', { orderId: order.orderId, status: order.status, change: 'void' });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Void order failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-        // If admin is not configured (no admin password set), allow access for local/dev convenience
-        const configured = await isAdminConfigured();
-        if (!configured) return next();
+    app.post('/api/admin/orders/:orderId/refunds', requireManager, async (req, res) => {
+      try {
+        const refund = await refundOrderLines(req.params.orderId, { ...req.body, by: req.user.displayName });
+        if (!refund) return res.status(404).json({ error: 'Order not found' });
+        res.json(refund);
+        broadcast('order.updated', { orderId: refund.order.orderId, status: refund.order.status, change: 'refund', restocked: !!req.body.restock });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Refund failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-        const token = tokenFromReq(req);
-        if (!token) return res.status(401).json({ error: 'Unauthorized' });
-        if (!validateAdminToken(token)) return res.status(401).json({ error: 'Invalid or expired token' });
-        next();
+    app.put('/api/admin/orders/:orderId/payment', requireManager, async (req, res) => {
+      try {
+        const order = await updateOrderPayment(req.params.orderId, { ...req.body, by: req.user.displayName });
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+        res.json(order);
+        broadcast('order.updated', { orderId: order.orderId, status: order.status, paymentType: order.paymentType, payments: order.payments, change: 'payment' });
       } catch (err) {
-        console.error('requireAdmin error:', err);
-        res.status(500).json({ error: 'Server error' });
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Update order payment failed', { err });
+        res.status(500).json({ error: err.message });
       }
-    }
+    });
 
-    // admin logout - clears cookie and revokes token server-side
-    app.post('/api/admin/logout', (req, res) => {
+    app.get('/api/admin/orders/:orderId/audit', requireManager, async (req, res) => {
       try {
-        const token = tokenFromReq(req);
-        if (token) revokeAdminToken(token);
-        res.clearCookie('admin_token');
-        res.json({ ok: true });
+        const audit = await getOrderAudit(req.params.orderId);
+        res.json(audit);
+      } catch (err) {
+        log.error('Get order audit failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Raffle: tickets issued and the draw log for an event (defaults to the active event)
+    app.get('/api/admin/raffle', requireManager, async (req, res) => {
+      try {
+        const eventId = await resolveEventId(req.query.eventId);
+        if (!eventId) return res.status(400).json({ error: 'No event selected' });
+        res.json(await getRaffleSummary(eventId));
       } catch (err) {
-        console.error('Logout failed:', err);
+        log.error('Failed to get raffle summary', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/api/admin/raffle/draws', requireManager, async (req, res) => {
+      try {
+        const { eventId: requestedEventId, prize, seed } = req.body || {};
+        const eventId = await resolveEventId(requestedEventId);
+        if (!eventId) return res.status(400).json({ error: 'No event selected' });
+        const draw = await drawRaffleWinner(eventId, { prize, seed, by: req.user.displayName });
+        res.json(draw);
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Raffle draw failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get('/api/admin/orders/:orderId/status-history', requireManager, async (req, res) => {
+      try {
+        const history = await getOrderStatusHistory(req.params.orderId);
+        res.json(history);
+      } catch (err) {
+        log.error('Get order status history failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Admin CRUD for items (the listing includes inactive items)
+    app.get('/api/admin/items', requireManager, async (req, res) => {
+      try {
+        const eventId = req.query.eventId ? Number(req.query.eventId) : undefined;
+        const items = await getItems({ includeInactive: true, eventId });
+        res.json(items);
+      } catch (err) {
+        log.error('Failed to get admin items', { err });
         res.status(500).json({ error: err.message });
       }
     });
 
-    // Admin CRUD for items
     app.post('/api/admin/items', requireAdmin, async (req, res) => {
       try {
         const errs = validateItemFields(req.body);
         if (errs && errs.length) return res.status(400).json({ error: 'validation', details: errs });
         const item = await createItem(req.body);
         res.json(item);
+        broadcast('items.changed', { eventId: item.eventId, itemId: item.id });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Create item failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Several item changes in one transaction, e.g. a drag-and-drop reorder.
+    // Body: { eventId?, tabs?, categories?, operations?, order? } (see validateItemBatch);
+    // ?dryRun=1 checks the changes and rolls them back.
+    app.post('/api/admin/items/bulk', requireAdmin, async (req, res) => {
+      try {
+        const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+        const result = await bulkUpdateItems({ ...(req.body || {}), dryRun });
+        res.json(result);
+        if (!dryRun) broadcast('items.changed', { eventId: result.eventId });
+        if (!dryRun && (result.tabs.length || result.categories.length)) broadcast('tabs.changed');
       } catch (err) {
-        console.error('Create item failed:', err);
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Bulk item change failed', { err });
         res.status(500).json({ error: err.message });
       }
     });
@@ -186,9 +781,40 @@ async function startServer() {
         if (errs && errs.length) return res.status(400).json({ error: 'validation', details: errs });
         const id = Number(req.params.id);
         const item = await updateItem(id, req.body);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        res.json(item);
+        broadcast('items.changed', { itemId: id });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Update item failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Inventory: restock / adjust / set / untrack an item's stock (logged with a reason)
+    app.post('/api/admin/items/:id/stock', requireManager, async (req, res) => {
+      try {
+        const item = await adjustStock(Number(req.params.id), req.body || {});
+        if (!item) return res.status(404).json({ error: 'Item not found' });
         res.json(item);
+        broadcast('items.changed', { itemId: item.id });
       } catch (err) {
-        console.error('Update item failed:', err);
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Stock adjustment failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get('/api/admin/items/:id/stock-movements', requireManager, async (req, res) => {
+      try {
+        const movements = await getStockMovements(Number(req.params.id));
+        res.json(movements);
+      } catch (err) {
+        log.error('Failed to get stock movements', { err });
         res.status(500).json({ error: err.message });
       }
     });
@@ -198,16 +824,350 @@ async function startServer() {
         const id = Number(req.params.id);
         const result = await deleteItem(id);
         res.json(result);
+        broadcast('items.changed', { itemId: id });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Delete item failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Sales report for a date/time range: ?from=&to= (ISO) and optional ?eventId= (or 'all')
+    app.get('/api/reports/summary', requireManager, async (req, res) => {
+      try {
+        const eventId = await resolveEventId(req.query.eventId);
+        const summary = await getSalesSummary({ from: req.query.from, to: req.query.to, eventId });
+        res.json(summary);
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Sales summary failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Treasurer exports: /api/admin/export/orders.csv (one row per line item, order
+    // fields and payments repeated) or /api/admin/export/orders.json (orders with
+    // nested items and payments).
+    // Filters: ?from=&to= (ISO), ?paymentType=, ?eventId= (defaults to the active event, or 'all')
+    app.get('/api/admin/export/orders.:format(csv|json)', requireManager, async (req, res) => {
+      let rows;
+      try {
+        const eventId = await resolveEventId(req.query.eventId);
+        const { paymentType, from, to } = req.query;
+        rows = streamOrderLines({ eventId, paymentType, from, to });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Export failed', { err });
+        return res.status(500).json({ error: err.message });
+      }
+
+      const format = req.params.format;
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="orders-${stamp}.${format}"`);
+      pipeline(rows, format === 'csv' ? orderLinesToCsv() : orderLinesToJson(), res, (err) => {
+        // Headers are already sent by the time rows stream, so just log and cut the response
+        if (err) log.error('Export stream failed', { err });
+      });
+    });
+
+    // An event's menu as a catalog (tabs, categories and items, no ids) for
+    // loading into another event or install. ?eventId= defaults to the active event.
+    app.get('/api/admin/export/catalog.:format(csv|json)', requireManager, async (req, res) => {
+      try {
+        const eventId = await resolveEventId(req.query.eventId);
+        if (!eventId) return res.status(400).json({ error: 'validation', details: [{ code: 'no_event', message: 'Pick an event to export the menu of' }] });
+        const event = await getEvent(eventId);
+        if (!event) return res.status(404).json({ error: 'Event not found' });
+        const [tabs, items] = await Promise.all([getTabs(), getItems({ includeInactive: true, eventId })]);
+        const catalog = buildCatalog({ event, tabs, items });
+
+        const format = req.params.format;
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Disposition', `attachment; filename="catalog-${stamp}.${format}"`);
+        if (format === 'csv') res.type('text/csv; charset=utf-8').send(catalogToCsv(catalog));
+        else res.json(catalog);
+      } catch (err) {
+        log.error('Catalog export failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Load a catalog (JSON, or CSV sent as text/csv) into an event's menu in one
+    // transaction. ?mode=merge (default) adds and updates items by dataName;
+    // ?mode=replace also deletes the ones left out. ?dryRun=1 returns the diff
+    // without saving it. Query: ?eventId= (defaults to the active event).
+    app.post('/api/admin/import/catalog', requireAdmin, express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+      try {
+        const mode = req.query.mode || 'merge';
+        if (!CATALOG_MODES.includes(mode)) {
+          return res.status(400).json({ error: 'validation', details: [{ code: 'invalid_mode', message: `'mode' must be one of ${CATALOG_MODES.join(', ')}` }] });
+        }
+        const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+        const eventId = await resolveEventId(req.query.eventId);
+        if (!eventId) return res.status(400).json({ error: 'validation', details: [{ code: 'no_event', message: 'No event to import into' }] });
+
+        const incoming = parseCatalog(req.body);
+        const [tabs, items] = await Promise.all([getTabs(), getItems({ includeInactive: true, eventId })]);
+        const { batch, diff } = planCatalogImport({ tabs, items }, incoming, { mode });
+        // Dry runs still go through the transaction so broken references show up in the preview
+        if (batch.operations.length || batch.tabs.length || batch.categories.length) {
+          await bulkUpdateItems({ ...batch, eventId, dryRun });
+        }
+        res.json({ ...diff, mode, dryRun });
+        if (!dryRun && batch.operations.length) broadcast('items.changed', { eventId });
+        if (!dryRun && (batch.tabs.length || batch.categories.length)) broadcast('tabs.changed');
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Catalog import failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Merge orders from a JSON export (e.g. the Firestore backend) into an event.
+    // Body: { orders: [...], eventId?, idPrefix? } or a bare array; ?dryRun=1 previews counts.
+    app.post('/api/admin/import/orders', requireAdmin, async (req, res) => {
+      try {
+        const body = req.body || {};
+        const orders = Array.isArray(body) ? body : body.orders;
+        const eventId = await resolveEventId(Array.isArray(body) ? undefined : body.eventId);
+        if (!eventId) return res.status(400).json({ error: 'validation', details: [{ code: 'no_event', message: 'No event to import into' }] });
+        const result = await importOrders(orders, {
+          eventId,
+          idPrefix: (!Array.isArray(body) && body.idPrefix) || '',
+          dryRun: req.query.dryRun === '1' || req.query.dryRun === 'true',
+        });
+        res.json(result);
+        if (!result.dryRun && result.imported) broadcast('orders.imported', { eventId, imported: result.imported });
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Import failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Cash drawer sessions: open with a float, close with a count, report over/short
+    app.get('/api/admin/drawer/sessions', requireManager, async (_req, res) => {
+      try {
+        const sessions = await getDrawerSessions();
+        res.json(sessions);
+      } catch (err) {
+        log.error('Failed to get drawer sessions', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get('/api/admin/drawer/current', requireManager, async (_req, res) => {
+      try {
+        const session = await getOpenDrawerSession();
+        res.json(session);
+      } catch (err) {
+        log.error('Failed to get open drawer session', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/api/admin/drawer/open', requireManager, async (req, res) => {
+      try {
+        const body = req.body || {};
+        const session = await openDrawerSession({ ...body, openedBy: body.openedBy || req.user.displayName });
+        res.json(session);
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Open drawer failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/api/admin/drawer/:id/close', requireManager, async (req, res) => {
+      try {
+        const body = req.body || {};
+        const session = await closeDrawerSession(Number(req.params.id), { ...body, closedBy: body.closedBy || req.user.displayName });
+        if (!session) return res.status(404).json({ error: 'Drawer session not found' });
+        res.json(session);
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Close drawer failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Admin event management
+    app.get('/api/admin/events', requireManager, async (_req, res) => {
+      try {
+        const events = await getEvents();
+        res.json(events);
+      } catch (err) {
+        log.error('Failed to get events', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/api/admin/events', requireAdmin, async (req, res) => {
+      try {
+        const errs = validateEventFields(req.body);
+        if (errs && errs.length) return res.status(400).json({ error: 'validation', details: errs });
+        const copyItemsFrom = req.body.copyItemsFrom ? Number(req.body.copyItemsFrom) : null;
+        if (copyItemsFrom && !(await getEvent(copyItemsFrom))) return res.status(400).json({ error: 'validation', details: ["'copyItemsFrom' must be an existing event"] });
+        const event = await createEvent({ ...req.body, copyItemsFrom });
+        res.json(event);
+      } catch (err) {
+        log.error('Create event failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.put('/api/admin/events/:id', requireAdmin, async (req, res) => {
+      try {
+        const errs = validateEventFields(req.body);
+        if (errs && errs.length) return res.status(400).json({ error: 'validation', details: errs });
+        const event = await updateEvent(Number(req.params.id), req.body);
+        if (!event) return res.status(404).json({ error: 'Event not found' });
+        res.json(event);
+        broadcast('event.changed', { eventId: event.id, active: event.active });
+      } catch (err) {
+        log.error('Update event failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/api/admin/events/:id/open', requireAdmin, async (req, res) => {
+      try {
+        const event = await openEvent(Number(req.params.id));
+        if (!event) return res.status(404).json({ error: 'Event not found' });
+        res.json(event);
+        broadcast('event.changed', { eventId: event.id, active: event.active });
+      } catch (err) {
+        log.error('Open event failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/api/admin/events/:id/close', requireAdmin, async (req, res) => {
+      try {
+        const event = await closeEvent(Number(req.params.id));
+        if (!event) return res.status(404).json({ error: 'Event not found' });
+        res.json(event);
+        broadcast('event.changed', { eventId: event.id, active: event.active });
       } catch (err) {
-        console.error('Delete item failed:', err);
+        log.error('Close event failed', { err });
         res.status(500).json({ error: err.message });
       }
     });
 
+    // 👥 User management (admin only). Users are deactivated rather than
+    // deleted so the orders they rang up keep their cashier.
+    app.get('/api/admin/users', requireAdmin, async (_req, res) => {
+      try {
+        res.json({ roles: ROLES, users: await getUsers() });
+      } catch (err) {
+        log.error('Failed to get users', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/api/admin/users', requireAdmin, async (req, res) => {
+      try {
+        const user = await createUser(req.body || {});
+        res.json(user);
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Create user failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.put('/api/admin/users/:id', requireAdmin, async (req, res) => {
+      try {
+        const { displayName, role, active, password } = req.body || {};
+        const user = await updateUser(Number(req.params.id), { displayName, role, active, password });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        // updateUser signed them out; their open streams go too
+        if (active === false || role !== undefined || password !== undefined) closeStreams({ userId: user.id });
+        res.json(user);
+      } catch (err) {
+        if (err instanceof ValidationError) {
+          return res.status(400).json({ error: 'validation', details: err.details });
+        }
+        log.error('Update user failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // 🔑 Active sessions (admin only). "Sign out everyone" keeps the caller's
+    // own session unless keepCurrent is false; pass userId to sign out one person.
+    app.get('/api/admin/sessions', requireAdmin, async (req, res) => {
+      try {
+        const sessions = await getActiveSessions();
+        res.json(sessions.map((s) => ({ ...s, current: s.id === req.user.sessionId })));
+      } catch (err) {
+        log.error('Failed to get sessions', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.delete('/api/admin/sessions/:id', requireAdmin, async (req, res) => {
+      try {
+        if (!(await revokeSessionById(Number(req.params.id)))) return res.status(404).json({ error: 'Session not found' });
+        closeStreams({ sessionId: Number(req.params.id) });
+        res.json({ ok: true });
+      } catch (err) {
+        log.error('Revoke session failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/api/admin/sessions/revoke-all', requireAdmin, async (req, res) => {
+      try {
+        const { userId, keepCurrent = true } = req.body || {};
+        const scope = {
+          userId: userId != null ? Number(userId) : null,
+          exceptSessionId: keepCurrent ? req.user.sessionId ?? null : null,
+        };
+        const revoked = await revokeAllSessions(scope);
+        closeStreams({ userId: scope.userId, keepSessionId: scope.exceptSessionId });
+        res.json({ revoked });
+      } catch (err) {
+        log.error('Revoke sessions failed', { err });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Expired sessions and old lockout records are cleared every 15 minutes.
+    // Every instance runs this; the deletes are idempotent.
+    const cleanupAuth = () => cleanupExpiredAuth().catch((err) => log.error('Auth cleanup failed', { err }));
+    cleanupAuth();
+    setInterval(cleanupAuth, 1000 * 60 * 15).unref();
+
+    // Errors no route caught (e.g. a malformed JSON body) answer in JSON and are
+    // logged with the request's id instead of Express' HTML page
+    app.use((err, req, res, next) => {
+      if (res.headersSent) return next(err);
+      const status = err.status || err.statusCode || 500;
+      if (status >= 500) log.error('Request failed', { err });
+      res.status(status).json({ error: status >= 500 ? 'Server error' : err.message });
+    });
+
     const PORT = process.env.PORT || 8080;
-    app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
+    app.listen(PORT, () => log.info('Server running', { port: Number(PORT), storage: STORAGE_BACKEND }));
   } catch (err) {
-    console.error("🚫 Server startup aborted due to database error.");
+    log.error('Server startup aborted', { err });
     process.exit(1);
   }
 }
@@ -0,0 +1,61 @@
+// live.js
+// Server-Sent Events push channel for the registers. Every signed-in tablet
+// keeps GET /api/stream open and hears about new orders, order changes and
+// menu edits from the others as they happen.
+//
+// Connections are held in this process, so with several server instances a
+// tablet only hears about changes made through the instance it is connected to.
+
+const clients = new Set();
+let lastEventId = 0;
+
+// Comment lines keep idle connections from being dropped by proxies
+const HEARTBEAT_MS = 1000 * 25;
+// Tells EventSource how long to wait before reconnecting after a drop
+const RETRY_MS = 3000;
+
+// Express handler for GET /api/stream
+export function openStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx would otherwise buffer the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const client = { res, userId: req.user.id, sessionId: req.user.sessionId };
+  clients.add(client);
+  req.on('close', () => clients.delete(client));
+}
+
+/**
+ * Send an event to every connected register. `type` is the SSE event name
+ * ('order.created', 'order.updated', 'orders.imported', 'items.changed',
+ * 'event.changed', 'settings.changed', 'paymentMethods.changed', 'discounts.changed',
+ * 'tabs.changed');
+ * `data` is sent as JSON.
+ */
+export function broadcast(type, data = {}) {
+  const message = `id: ${++lastEventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const { res } of clients) res.write(message);
+}
+
+// End the streams of revoked sessions: those of one session, of one user, or
+// everyone's but keepSessionId's. A new stream then needs a valid session again.
+export function closeStreams({ sessionId, userId, keepSessionId } = {}) {
+  for (const client of clients) {
+    const match = sessionId != null ? client.sessionId === sessionId
+      : userId != null ? client.userId === userId
+      : true;
+    if (match && client.sessionId !== keepSessionId) {
+      client.res.end();
+      clients.delete(client);
+    }
+  }
+}
+
+setInterval(() => {
+  for (const { res } of clients) res.write(': ping\n\n');
+}, HEARTBEAT_MS).unref();
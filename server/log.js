@@ -0,0 +1,79 @@
+// log.js
+// Structured logging: one JSON object per line ({ time, level, msg, ...fields })
+// on stdout, errors on stderr, so a log shipper can index them. Lines written
+// while a request is being handled carry its requestId (and the signed-in
+// user's id once known), however deep in the call they are written.
+//
+// LOG_LEVEL (debug, info, warn, error; default info) drops the quieter lines.
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[(process.env.LOG_LEVEL || '').trim().toLowerCase()] ?? LEVELS.info;
+// Request ids from a proxy in front are kept when they look like ids
+const REQUEST_ID_RE = /^[\w.:-]{1,100}$/;
+// Probes hit these every few seconds; their request lines are debug only
+const QUIET_PATHS = new Set(['/api/health', '/metrics']);
+
+const context = new AsyncLocalStorage();
+
+// Errors don't serialize to JSON on their own
+function errorFields(err) {
+  if (!(err instanceof Error)) return err;
+  return { name: err.name, message: err.message, ...(err.code && { code: err.code }), stack: err.stack };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel) return;
+  const { err, ...rest } = fields;
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...rest,
+    ...(err !== undefined && { err: errorFields(err) }),
+  });
+  (level === 'error' ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// log.error('Submit order failed', { err, orderId }): fields are merged into the
+// line; an Error passed as `err` is written with its message, code and stack
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+// Add fields (e.g. userId) to every later line of the current request
+export function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * Express middleware, first in the chain: gives the request an id (the
+ * caller's X-Request-Id when it sends a usable one), echoes it in the
+ * response's X-Request-Id and writes one line when the response is done.
+ */
+export function requestLogging(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const level = res.statusCode >= 500 ? 'warn' : QUIET_PATHS.has(req.path) ? 'debug' : 'info';
+    write(level, 'request', {
+      method: req.method,
+      path: req.path,
+      route: req.route ? req.baseUrl + req.route.path : null,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ip: req.ip,
+    });
+  });
+  context.run({ requestId: req.id }, next);
+}
@@ -1,67 +1,401 @@
 // mariadb.js
-import { pool } from "./db.js";
-import crypto from 'crypto';
+// The MariaDB storage backend (the default; see storage.js).
+import { pool, initializeDatabase, poolStats } from "./db.js";
+import {
+  ORDER_STATUSES, ValidationError, toCents, fromCents, validateOrderFields, validateReplayFields,
+  planPayments, legacyPayments, validatePaymentMethodFields, duplicatePaymentMethodError,
+  LAST_PAYMENT_METHOD, FULFILLMENT_STATUSES, initialFulfillment, validateFulfillmentStatus, noFulfillmentError, priceOrderLines,
+  formatOrderId, NO_ACTIVE_EVENT, checkStock, allocateTickets, mergeTicketRanges, auditFields, orderVoidError, validateRefundRequest, planRefund, validatePaymentChange, correctedPayments, validateItemFields, optionalCount,
+  STOCK_ACTIONS, validateStockChange, applyStockChange, parseOrderFilters, buildSalesSummary, validateImportOrders,
+  DENOMINATIONS, countDenominations, validateDrawerOpen, validateDrawerClose, pickTicket, validateDrawRequest,
+  NO_ELIGIBLE_TICKETS, validateEventFields, ROLES, roleAtLeast, hashPassword, verifyPassword, validateUserFields,
+  duplicateUsernameError, LAST_ADMIN, WRONG_PASSWORD, SESSION_TTL_SECONDS, SESSION_TOUCH_SECONDS, newSessionToken,
+  hashToken, MAX_LOGIN_ATTEMPTS, ATTEMPT_WINDOW_SECONDS, LOCK_SECONDS, DEFAULT_SETTINGS, validateSettings,
+  venmoPaymentUrl, stockNeeds, itemRefErrors, normalizeComponents, normalizeModifiers, componentInUseError,
+  validateTabFields, validateCategoryFields, duplicateTabError, duplicateCategoryError, unknownTabError, LAST_TAB,
+  CATEGORY_IN_USE, resolveComponents, validateItemBatch, menuOrderErrors, notOnMenuError, operationError,
+  encodeOrderCursor, summarizeOrderTotals, validateDiscountFields, discountFields, duplicateDiscountError, applyDiscounts, pricingTime,
+  summarizeDiscounts, ORDER_LINE_TYPES,
+} from "./domain.js";
 
-// In-memory admin token store (token -> expiry timestamp ms)
-const adminTokens = new Map();
-const ADMIN_TOKEN_TTL = 1000 * 60 * 30; // 30 minutes
+// The rules are part of every backend's interface
+export {
+  ORDER_STATUSES, FULFILLMENT_STATUSES, ValidationError, validateOrderFields, priceOrderLines,
+  formatOrderId, checkStock, validateItemFields, STOCK_ACTIONS, validateImportOrders, DENOMINATIONS,
+  countDenominations, pickTicket, validateEventFields, ROLES, roleAtLeast, hashPassword, validateUserFields,
+  MAX_LOGIN_ATTEMPTS, DEFAULT_SETTINGS, validateSettings, venmoPaymentUrl,
+};
+
+// ----------------------
+// Lifecycle
+// ----------------------
+// Wait for the database, then create/upgrade the schema and seed a fresh install
+export const initialize = initializeDatabase;
+
+export async function checkHealth() {
+  const conn = await pool.getConnection();
+  try {
+    await conn.ping();
+    return { database: 'connected' };
+  } finally {
+    conn.release();
+  }
+}
+
+export function close() {
+  return pool.end();
+}
+
+// { limit, open, idle, waiting } connections of the pool
+export function getPoolStats() {
+  return poolStats();
+}
+
+// ----------------------
+// Orders
+// ----------------------
+// Give each raffle package sold the next block of ticket numbers in the event
+// (one raffle_tickets row per package so a refund can void just some of them).
+// The event row must already be locked. Returns one range per line.
+async function issueTickets(conn, event, orderId, lines, transactionIds, catalog) {
+  const { counter, packages, tickets } = allocateTickets(event.ticketCounter, lines, catalog);
+  if (!packages.length) return tickets;
+  await conn.query("UPDATE events SET ticketCounter = ? WHERE id = ?", [counter, event.id]);
+  await conn.query(
+    "INSERT INTO raffle_tickets (eventId, orderId, transactionId, item, firstTicket, lastTicket) VALUES ?",
+    [packages.map((p) => [event.id, orderId, transactionIds[p.lineIndex], p.item, p.firstTicket, p.lastTicket])]
+  );
+  return tickets;
+}
+
+// Ticket ranges for the given orders: orderId -> [{ item, firstTicket, lastTicket, voided }].
+// Consecutive packages from the same line are merged into one range.
+async function getOrderTickets(orderIds) {
+  if (!orderIds.length) return new Map();
+  const [rows] = await pool.query(
+    "SELECT orderId, transactionId, item, firstTicket, lastTicket, voided FROM raffle_tickets WHERE orderId IN (?) ORDER BY firstTicket",
+    [orderIds]
+  );
+  return mergeTicketRanges(rows);
+}
+
+const normalizePayment = (r) => ({
+  method: r.method,
+  amount: parseFloat(r.amount),
+  isCash: !!r.isCash,
+  tendered: r.tendered != null ? parseFloat(r.tendered) : null,
+  changeDue: r.changeDue != null ? parseFloat(r.changeDue) : null,
+});
+
+// Payments for the given orders: orderId -> [{ method, amount, isCash, tendered, changeDue }]
+async function getOrderPayments(orderIds, conn = pool) {
+  if (!orderIds.length) return new Map();
+  const [rows] = await conn.query(
+    "SELECT orderId, method, amount, isCash, tendered, changeDue FROM order_payments WHERE orderId IN (?) ORDER BY id",
+    [orderIds]
+  );
+  const byOrder = new Map();
+  for (const r of rows) {
+    if (!byOrder.has(r.orderId)) byOrder.set(r.orderId, []);
+    byOrder.get(r.orderId).push(normalizePayment(r));
+  }
+  return byOrder;
+}
+
+async function insertPayments(conn, orderId, payments) {
+  await conn.query(
+    "INSERT INTO order_payments (orderId, method, amount, isCash, tendered, changeDue) VALUES ?",
+    [payments.map((p) => [orderId, p.method, p.amount, p.isCash, p.tendered, p.changeDue])]
+  );
+}
+
+const lineModifiers = (value) => (value ? JSON.parse(value) : []);
+
+/**
+ * The event's items named by dataNames, dataName -> row with its modifiers and
+ * components, plus the rows of those components (for stock). Rows are locked
+ * so stock can't be sold twice by two registers.
+ */
+async function lockCatalog(conn, eventId, dataNames) {
+  const [rows] = await conn.query(
+    "SELECT id, dataName, name, tab, category, price, active, stockQty, ticketCount FROM items WHERE eventId = ? AND dataName IN (?) FOR UPDATE",
+    [eventId, [...new Set(dataNames)]]
+  );
+  const catalog = new Map(rows.map((r) => [r.dataName, { ...r, components: [], modifiers: [] }]));
+  if (!rows.length) return catalog;
+  const ids = rows.map((r) => r.id);
+  const [parts] = await conn.query(`
+    SELECT c.bundleId, c.qty, i.id, i.dataName, i.name, i.tab, i.category, i.price, i.active, i.stockQty, i.ticketCount
+    FROM item_components c JOIN items i ON i.id = c.componentId
+    WHERE c.bundleId IN (?) FOR UPDATE
+  `, [ids]);
+  const byId = new Map([...catalog.values()].map((r) => [r.id, r]));
+  for (const { bundleId, qty, ...part } of parts) {
+    byId.get(bundleId).components.push({ itemId: part.id, qty });
+    if (!catalog.has(part.dataName)) catalog.set(part.dataName, { ...part, components: [], modifiers: [] });
+  }
+  for (const [itemId, modifiers] of await getItemModifiers(ids, conn)) byId.get(itemId).modifiers = modifiers;
+  return catalog;
+}
+
+// Orders paid with a method (split orders match each of theirs)
+const PAID_WITH = 'EXISTS (SELECT 1 FROM order_payments p WHERE p.orderId = o.orderId AND p.method = ?)';
+
+/**
+ * Record an order. With an idempotencyKey, a retry of an order that was already
+ * stored returns the stored order (flagged `replayed`) instead of a duplicate.
+ * createdAt lets a queued offline order keep the time it was rung up.
+ */
+export async function submitOrder(orderData, { idempotencyKey, createdAt, cashierId } = {}) {
+  const shapeErrors = [...validateOrderFields(orderData), ...validateReplayFields({ idempotencyKey, createdAt })];
+  if (shapeErrors.length) throw new ValidationError(shapeErrors);
+
+  if (idempotencyKey) {
+    const existing = await getOrderByIdempotencyKey(idempotencyKey);
+    if (existing) return { ...existing, replayed: true };
+  }
+  const { timeZone } = await getSettings();
 
-export async function submitOrder(orderData) {
   const conn = await pool.getConnection();
   try {
     await conn.beginTransaction();
 
-    // 1️⃣ Lock and update counter
-    const [counterRow] = await conn.query(
-      "SELECT count FROM meta WHERE id = 'counter' FOR UPDATE"
+    // 1️⃣ Lock the active event; its counter numbers this order
+    const [eventRows] = await conn.query(
+      "SELECT id, orderCounter, ticketCounter FROM events WHERE active = 1 ORDER BY id DESC LIMIT 1 FOR UPDATE"
+    );
+    if (!eventRows.length) {
+      throw new ValidationError([NO_ACTIVE_EVENT]);
+    }
+    const event = eventRows[0];
+
+    // 2️⃣ Price every line from the event's menu (never trust the browser's prices), then take off its discounts
+    const catalog = await lockCatalog(conn, event.id, orderData.items.map((i) => i.name));
+    const { lines, totalCents: subtotalCents, errors } = priceOrderLines(orderData.items, catalog);
+    if (errors.length) throw new ValidationError(errors);
+    const { wanted, errors: stockErrors } = checkStock(lines, catalog);
+    if (stockErrors.length) throw new ValidationError(stockErrors);
+    const { lines: discountLines, discountCents, errors: discountErrors } = applyDiscounts(
+      lines, orderData.discounts, await discountsById(conn), catalog, pricingTime({ idempotencyKey, createdAt }), timeZone
     );
-    const current = counterRow[0].count;
-    const newCount = current + 1;
-    const newOrderId = newCount.toString().padStart(4, "0");
+    if (discountErrors.length) throw new ValidationError(discountErrors);
+    const totalCents = subtotalCents - discountCents;
+    const totalAmount = fromCents(totalCents);
+    const { payments, status, paymentType, errors: paymentErrors } = planPayments(orderData, totalCents, await paymentMethodsByName(conn));
+    if (paymentErrors.length) throw new ValidationError(paymentErrors);
+
+    // 3️⃣ Update the event's order counter
+    const newCount = event.orderCounter + 1;
+    const newOrderId = formatOrderId(event.id, newCount);
 
-    await conn.query("UPDATE meta SET count = ? WHERE id = 'counter'", [newCount]);
+    await conn.query("UPDATE events SET orderCounter = ? WHERE id = ?", [newCount, event.id]);
 
-    // 2️⃣ Insert new order
-    const status = orderData.paymentType === "Venmo" ? "pending" : "paid";
+    // 4️⃣ Insert new order (attached to the open cash drawer session, if any)
+    const [drawerRows] = await conn.query(
+      "SELECT id FROM drawer_sessions WHERE closedAt IS NULL ORDER BY id DESC LIMIT 1"
+    );
+    const drawerSessionId = drawerRows.length ? drawerRows[0].id : null;
+    const [standRows] = await conn.query("SELECT slug FROM menu_tabs WHERE fulfillment = 1");
+    const fulfillmentStatus = initialFulfillment(lines, catalog, new Set(standRows.map((t) => t.slug)));
     await conn.query(
-      "INSERT INTO orders (orderId, totalAmount, paymentType, status) VALUES (?, ?, ?, ?)",
-      [newOrderId, orderData.totalAmount, orderData.paymentType, status]
+      "INSERT INTO orders (orderId, eventId, drawerSessionId, cashierId, totalAmount, paymentType, status, fulfillmentStatus, fulfillmentUpdatedAt, idempotencyKey, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, NOW()), ?, COALESCE(?, CURRENT_TIMESTAMP))",
+      [newOrderId, event.id, drawerSessionId, cashierId || null, totalAmount, paymentType, status, fulfillmentStatus, fulfillmentStatus, idempotencyKey || null, createdAt ? new Date(createdAt) : null]
     );
+    await insertPayments(conn, newOrderId, payments);
 
-    // 3️⃣ Insert each item into transactions
-    const txPromises = orderData.items.map((item) =>
+    // 5️⃣ Insert each item into transactions
+    const txPromises = lines.map((line) =>
       conn.query(
-        "INSERT INTO transactions (orderId, item, quantity, total) VALUES (?, ?, ?, ?)",
-        [newOrderId, item.name, item.qty, item.price * item.qty]
+        "INSERT INTO transactions (orderId, item, quantity, total, modifiers) VALUES (?, ?, ?, ?, ?)",
+        [newOrderId, line.name, line.qty, line.total, line.modifiers.length ? JSON.stringify(line.modifiers) : null]
       )
     );
-    await Promise.all(txPromises);
+    const txResults = await Promise.all(txPromises);
+    const transactionIds = txResults.map(([res]) => res.insertId);
+    // Discounts and comps are lines of their own, against the line they reduce
+    for (const d of discountLines) {
+      await conn.query(
+        "INSERT INTO transactions (orderId, item, quantity, total, type, discountId, label, appliesTo, reason) VALUES (?, ?, 0, ?, ?, ?, ?, ?, ?)",
+        [newOrderId, lines[d.lineIndex].name, -d.amount, d.type, d.discountId, d.label, transactionIds[d.lineIndex], d.reason]
+      );
+    }
+
+    // 6️⃣ Decrement tracked stock (bundle components included) and log the movement
+    for (const [dataName, qty] of wanted) {
+      const row = catalog.get(dataName);
+      if (row.stockQty == null) continue;
+      await conn.query("UPDATE items SET stockQty = stockQty - ? WHERE id = ?", [qty, row.id]);
+      await conn.query(
+        "INSERT INTO stock_movements (itemId, delta, balanceAfter, reason, orderId) VALUES (?, ?, ?, 'sale', ?)",
+        [row.id, -qty, row.stockQty - qty, newOrderId]
+      );
+    }
+
+    // 7️⃣ Number the raffle tickets sold
+    const tickets = await issueTickets(conn, event, newOrderId, lines, transactionIds, catalog);
 
     await conn.commit();
-    return { ...orderData, orderId: newOrderId };
+    return {
+      orderId: newOrderId, eventId: event.id, paymentType, payments, status, fulfillmentStatus, subtotal: fromCents(subtotalCents),
+      discounts: summarizeDiscounts(discountLines.map((d) => ({ ...d, total: -d.amount }))), totalAmount, items: lines, tickets,
+    };
   } catch (err) {
     await conn.rollback();
+    // A concurrent retry with the same key won the race; hand back its order
+    if (idempotencyKey && err.code === 'ER_DUP_ENTRY' && /idempotency/.test(err.message)) {
+      const existing = await getOrderByIdempotencyKey(idempotencyKey);
+      if (existing) return { ...existing, replayed: true };
+    }
     throw err;
   } finally {
     conn.release();
   }
 }
 
-export async function getOrders() {
+// A single order in the shape submitOrder returns (sale lines, with the
+// discount lines rolled up), or null
+async function getOrderWhere(column, value) {
+  const [orderRows] = await pool.query(
+    `SELECT o.orderId, o.eventId, o.paymentType, o.status, o.fulfillmentStatus, o.fulfillmentUpdatedAt, o.totalAmount, o.refundedAmount,
+       o.timestamp, o.cashierId, u.displayName AS cashierName
+     FROM orders o LEFT JOIN users u ON u.id = o.cashierId WHERE o.${column} = ?`,
+    [value]
+  );
+  if (!orderRows.length) return null;
+  const o = orderRows[0];
+  const [lineRows] = await pool.query(
+    "SELECT item, quantity, total, modifiers, type, discountId, label, reason FROM transactions WHERE orderId = ? AND type IN ('sale', 'discount', 'comp') ORDER BY id ASC",
+    [o.orderId]
+  );
+  const saleRows = lineRows.filter((r) => r.type === 'sale');
+  const tickets = (await getOrderTickets([o.orderId])).get(o.orderId) || [];
+  const payments = (await getOrderPayments([o.orderId])).get(o.orderId) || legacyPayments(o);
+  return {
+    orderId: o.orderId,
+    eventId: o.eventId,
+    paymentType: o.paymentType,
+    payments,
+    status: o.status,
+    fulfillmentStatus: o.fulfillmentStatus,
+    fulfillmentUpdatedAt: o.fulfillmentUpdatedAt,
+    totalAmount: parseFloat(o.totalAmount),
+    refundedAmount: parseFloat(o.refundedAmount),
+    netAmount: fromCents(toCents(o.totalAmount) - toCents(o.refundedAmount)),
+    subtotal: fromCents(saleRows.reduce((c, r) => c + toCents(r.total), 0)),
+    discounts: summarizeDiscounts(lineRows.filter((r) => r.type !== 'sale')),
+    timestamp: o.timestamp,
+    cashierId: o.cashierId,
+    cashierName: o.cashierName,
+    items: saleRows.map((r) => {
+      const total = parseFloat(r.total);
+      return {
+        name: r.item, qty: r.quantity, price: r.quantity ? fromCents(Math.round(toCents(total) / r.quantity)) : 0, total,
+        modifiers: lineModifiers(r.modifiers),
+      };
+    }),
+    tickets: tickets.map(({ item, firstTicket, lastTicket, voided }) => ({ item, firstTicket, lastTicket, voided })),
+  };
+}
+
+export function getOrder(orderId) {
+  return getOrderWhere('orderId', orderId);
+}
+
+function getOrderByIdempotencyKey(key) {
+  return getOrderWhere('idempotencyKey', key);
+}
+
+// WHERE conditions for the order list filters (see parseOrderQuery)
+function orderConditions({ eventId, paymentType, statuses, cashierId, fulfillmentStatuses, fromDate, toDate, item, search } = {}) {
+  const where = [];
+  const params = [];
+  if (eventId) { where.push('o.eventId = ?'); params.push(eventId); }
+  if (cashierId) { where.push('o.cashierId = ?'); params.push(cashierId); }
+  if (paymentType) { where.push(PAID_WITH); params.push(paymentType); }
+  if (statuses && statuses.length) { where.push('o.status IN (?)'); params.push(statuses); }
+  if (fulfillmentStatuses && fulfillmentStatuses.length) { where.push('o.fulfillmentStatus IN (?)'); params.push(fulfillmentStatuses); }
+  if (fromDate) { where.push('o.timestamp >= ?'); params.push(fromDate); }
+  if (toDate) { where.push('o.timestamp < ?'); params.push(toDate); }
+  if (item) { where.push("EXISTS (SELECT 1 FROM transactions s WHERE s.orderId = o.orderId AND s.item = ? AND s.type = 'sale')"); params.push(item); }
+  // A whole order id is looked up as is, a bare number by the id's suffix
+  if (search && search.includes('-')) { where.push('o.orderId = ?'); params.push(search); }
+  else if (search) { where.push('o.orderId LIKE ?'); params.push(`%-${search.replace(/[\\%_]/g, '\\$&')}`); }
+  return { where, params };
+}
+
+// Orders matching the filters, newest first (see getOrderPage for one page at a time)
+export async function getOrders(filters = {}) {
+  const { where, params } = orderConditions(filters);
+  return ordersWhere(where, params);
+}
+
+/**
+ * One page of the order list, newest first: { orders, nextCursor, totals }.
+ * `after` is the decoded cursor (the internal id of the previous page's last
+ * order). Totals cover every order matching the filters, not just the page,
+ * and come with the first page only (null after).
+ */
+export async function getOrderPage({ limit, after, ...filters }) {
+  const { where, params } = orderConditions(filters);
+  const pageWhere = after ? [...where, 'o.id < ?'] : where;
+  const [ids] = await pool.query(
+    `SELECT o.id FROM orders o ${pageWhere.length ? 'WHERE ' + pageWhere.join(' AND ') : ''} ORDER BY o.id DESC LIMIT ?`,
+    [...params, ...(after ? [after] : []), limit + 1]
+  );
+  const more = ids.length > limit;
+  const pageIds = ids.slice(0, limit).map((r) => r.id);
+  const orders = pageIds.length ? await ordersWhere(['o.id IN (?)'], [pageIds]) : [];
+
+  let totals = null;
+  if (!after) {
+    const [statusRows] = await pool.query(
+      `SELECT o.status, COUNT(*) AS orders, SUM(o.totalAmount) AS totalAmount, SUM(o.refundedAmount) AS refundedAmount
+       FROM orders o ${where.length ? 'WHERE ' + where.join(' AND ') : ''} GROUP BY o.status`,
+      params
+    );
+    totals = summarizeOrderTotals(statusRows);
+  }
+  return {
+    orders,
+    nextCursor: more ? encodeOrderCursor(pageIds[pageIds.length - 1]) : null,
+    totals,
+  };
+}
+
+// Orders with their lines, payments and tickets, newest first
+async function ordersWhere(where, params) {
   const [rows] = await pool.query(`
     SELECT 
       o.orderId,
+      o.eventId,
       o.totalAmount,
+      o.refundedAmount,
       o.paymentType,
       o.status,
+      o.statusNote,
+      o.statusUpdatedAt,
+      o.fulfillmentStatus,
+      o.fulfillmentUpdatedAt,
       o.timestamp,
+      o.cashierId,
+      u.displayName AS cashierName,
+      t.id AS lineId,
+      t.type AS lineType,
+      t.refundOf,
+      t.reason AS lineReason,
       t.item,
       t.quantity,
-      t.total AS itemTotal
+      t.total AS itemTotal,
+      t.modifiers,
+      t.discountId,
+      t.label,
+      t.appliesTo
     FROM orders o
     LEFT JOIN transactions t ON o.orderId = t.orderId
+    LEFT JOIN users u ON u.id = o.cashierId
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
     ORDER BY o.id DESC, t.id ASC
-  `);
+  `, params);
 
   // Group items by orderId
   const ordersMap = new Map();
@@ -69,117 +403,1724 @@ export async function getOrders() {
     if (!ordersMap.has(row.orderId)) {
       ordersMap.set(row.orderId, {
         orderId: row.orderId,
+        eventId: row.eventId,
         // Convert DECIMAL (returned as string) to number for client usage
         totalAmount: row.totalAmount != null ? parseFloat(row.totalAmount) : 0,
+        refundedAmount: parseFloat(row.refundedAmount || 0),
+        netAmount: fromCents(toCents(row.totalAmount || 0) - toCents(row.refundedAmount || 0)),
         paymentType: row.paymentType,
+        payments: [],
         status: row.status,
+        statusNote: row.statusNote,
+        statusUpdatedAt: row.statusUpdatedAt,
+        fulfillmentStatus: row.fulfillmentStatus,
+        fulfillmentUpdatedAt: row.fulfillmentUpdatedAt,
         timestamp: row.timestamp,
+        cashierId: row.cashierId,
+        cashierName: row.cashierName,
         items: [],
+        tickets: [],
       });
     }
 
     if (row.item) {
+      // Refund lines carry a negative qty/total and point at the sale line they
+      // reverse; discount and comp lines (qty 0) at the one they reduce
       ordersMap.get(row.orderId).items.push({
+        id: row.lineId,
+        type: row.lineType,
+        refundOf: row.refundOf,
+        appliesTo: row.appliesTo,
+        discountId: row.discountId,
+        label: row.label,
+        reason: row.lineReason,
         name: row.item,
         qty: row.quantity,
         total: row.itemTotal != null ? parseFloat(row.itemTotal) : 0,
+        modifiers: lineModifiers(row.modifiers),
       });
     }
   }
+  for (const o of ordersMap.values()) o.discounts = summarizeDiscounts(o.items.filter((l) => l.type === 'discount' || l.type === 'comp'));
+
+  const ticketsByOrder = await getOrderTickets([...ordersMap.keys()]);
+  for (const [orderId, tickets] of ticketsByOrder) ordersMap.get(orderId).tickets = tickets;
+  const paymentsByOrder = await getOrderPayments([...ordersMap.keys()]);
+  for (const o of ordersMap.values()) o.payments = paymentsByOrder.get(o.orderId) || legacyPayments(o);
 
   return Array.from(ordersMap.values());
 }
 
+// ----------------------
+// Payment status (Venmo reconciliation)
+// ----------------------
+// Change an order's payment status and log the change. Returns null when the
+// order does not exist. Voiding goes through voidOrder (restock + audit) and
+// is final.
+export async function setOrderStatus(orderId, status, note, changedBy) {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new ValidationError([{ code: 'invalid_status', message: `'status' must be one of ${ORDER_STATUSES.join(', ')}` }]);
+  }
+  if (status === 'void') return voidOrder(orderId, { reason: note, by: changedBy });
+  const cleanNote = note ? String(note).trim().slice(0, 255) : null;
+  const actor = changedBy ? String(changedBy).trim().slice(0, 100) : null;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT status FROM orders WHERE orderId = ? FOR UPDATE", [orderId]);
+    if (!rows.length) {
+      await conn.rollback();
+      return null;
+    }
+    const fromStatus = rows[0].status;
+    if (fromStatus === 'void') throw new ValidationError([{ code: 'order_void', message: `Order ${orderId} is void and can't be changed` }]);
+    await conn.query(
+      "INSERT INTO order_status_log (orderId, fromStatus, toStatus, note, changedBy) VALUES (?, ?, ?, ?, ?)",
+      [orderId, fromStatus, status, cleanNote, actor]
+    );
+    await conn.query(
+      "UPDATE orders SET status = ?, statusNote = ?, statusUpdatedAt = NOW() WHERE orderId = ?",
+      [status, cleanNote, orderId]
+    );
+    await conn.commit();
+
+    const [updated] = await pool.query(
+      "SELECT orderId, status, statusNote, statusUpdatedAt FROM orders WHERE orderId = ?",
+      [orderId]
+    );
+    return updated[0];
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function getOrderStatusHistory(orderId) {
+  const [rows] = await pool.query(
+    "SELECT fromStatus, toStatus, note, changedBy, changedAt FROM order_status_log WHERE orderId = ? ORDER BY id ASC",
+    [orderId]
+  );
+  return rows;
+}
+
+// ----------------------
+// Fulfillment (stand tickets)
+// ----------------------
+// Move a concession order's stand ticket to another state (any direction, so a
+// mis-tap can be undone). Returns null when the order doesn't exist.
+export async function setFulfillmentStatus(orderId, status) {
+  validateFulfillmentStatus(status);
+  const [rows] = await pool.query("SELECT status, fulfillmentStatus FROM orders WHERE orderId = ?", [orderId]);
+  if (!rows.length) return null;
+  if (rows[0].status === 'void') throw orderVoidError(orderId);
+  if (!rows[0].fulfillmentStatus) throw noFulfillmentError(orderId);
+  await pool.query(
+    "UPDATE orders SET fulfillmentStatus = ?, fulfillmentUpdatedAt = NOW() WHERE orderId = ?",
+    [status, orderId]
+  );
+  const [updated] = await pool.query(
+    "SELECT orderId, fulfillmentStatus, fulfillmentUpdatedAt FROM orders WHERE orderId = ?",
+    [orderId]
+  );
+  return updated[0];
+}
+
+// ----------------------
+// Voids, refunds and edits
+// ----------------------
+async function insertAudit(conn, orderId, action, amount, reason, actor, details) {
+  await conn.query(
+    "INSERT INTO order_audit (orderId, action, amount, reason, actor, details) VALUES (?, ?, ?, ?, ?, ?)",
+    [orderId, action, amount, reason, actor, details ? JSON.stringify(details) : null]
+  );
+}
+
+// Put quantities ({ item, qty }) back into tracked stock for the order's event.
+// Bundles return their components as the bundle is made up now.
+async function restockLines(conn, eventId, orderId, lines, reason) {
+  if (!lines.length) return;
+  const catalog = await lockCatalog(conn, eventId, lines.map((l) => l.item));
+  const needs = stockNeeds(lines.map(({ item, qty }) => ({ name: item, qty })), catalog);
+  for (const [dataName, qty] of needs) {
+    const row = catalog.get(dataName);
+    if (row.stockQty == null) continue;
+    await conn.query("UPDATE items SET stockQty = stockQty + ? WHERE id = ?", [qty, row.id]);
+    await conn.query(
+      "INSERT INTO stock_movements (itemId, delta, balanceAfter, reason, orderId) VALUES (?, ?, ?, ?, ?)",
+      [row.id, qty, row.stockQty + qty, reason, orderId]
+    );
+  }
+}
+
+// Lock an order for a post-checkout change; null when it doesn't exist
+async function lockOrderForEdit(conn, orderId) {
+  const [rows] = await conn.query(
+    "SELECT orderId, eventId, paymentType, status, totalAmount, refundedAmount FROM orders WHERE orderId = ? FOR UPDATE",
+    [orderId]
+  );
+  if (!rows.length) return null;
+  if (rows[0].status === 'void') throw orderVoidError(orderId);
+  return rows[0];
+}
+
+/**
+ * Void a whole order. Whatever hasn't already been refunded goes back into
+ * tracked stock, its raffle tickets are voided, and the void is written to the
+ * status log and audit trail.
+ * Voids are final. Returns the updated order, or null when it doesn't exist.
+ */
+export async function voidOrder(orderId, { reason, by } = {}) {
+  const fields = auditFields({ reason, by });
+  if (fields.errs.length) throw new ValidationError(fields.errs);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const order = await lockOrderForEdit(conn, orderId);
+    if (!order) {
+      await conn.rollback();
+      return null;
+    }
+
+    // Net quantity still sold per item (refund lines are negative)
+    const [netLines] = await conn.query(
+      "SELECT item, SUM(quantity) AS qty FROM transactions WHERE orderId = ? GROUP BY item HAVING SUM(quantity) > 0",
+      [orderId]
+    );
+    await restockLines(conn, order.eventId, orderId, netLines.map((l) => ({ item: l.item, qty: Number(l.qty) })), 'void');
+    // Its raffle tickets leave the pool, and any prize it won must be redrawn
+    await conn.query("UPDATE raffle_tickets SET voided = 1 WHERE orderId = ?", [orderId]);
+    await conn.query("UPDATE raffle_draws SET voided = 1 WHERE orderId = ?", [orderId]);
+
+    await conn.query(
+      "INSERT INTO order_status_log (orderId, fromStatus, toStatus, note, changedBy) VALUES (?, ?, 'void', ?, ?)",
+      [orderId, order.status, fields.reason, fields.actor]
+    );
+    await conn.query(
+      "UPDATE orders SET status = 'void', statusNote = ?, statusUpdatedAt = NOW() WHERE orderId = ?",
+      [fields.reason, orderId]
+    );
+    const amount = fromCents(toCents(order.totalAmount) - toCents(order.refundedAmount));
+    await insertAudit(conn, orderId, 'void', amount, fields.reason, fields.actor, { fromStatus: order.status });
+    await conn.commit();
+
+    const [updated] = await pool.query(
+      "SELECT orderId, status, statusNote, statusUpdatedAt FROM orders WHERE orderId = ?",
+      [orderId]
+    );
+    return updated[0];
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Refund part of an order. lines is [{ transactionId, qty }] against the
+ * order's sale lines; each refund is stored as a negative 'refund' line so the
+ * original sale stays in the books. With restock the refunded quantities go
+ * back into tracked stock. Returns { amount, lines, order } or null when the
+ * order doesn't exist.
+ */
+export async function refundOrderLines(orderId, { lines, reason, by, restock = false } = {}) {
+  const { fields, requested } = validateRefundRequest({ lines, reason, by });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const order = await lockOrderForEdit(conn, orderId);
+    if (!order) {
+      await conn.rollback();
+      return null;
+    }
+
+    // What was paid for each sale line: its total less the discounts against it
+    const [saleRows] = await conn.query(`
+      SELECT t.id, t.item, t.quantity,
+        t.total + COALESCE((SELECT SUM(d.total) FROM transactions d WHERE d.appliesTo = t.id), 0) AS total,
+        COALESCE(-SUM(r.quantity), 0) AS refundedQty, COALESCE(-SUM(r.total), 0) AS refundedTotal
+      FROM transactions t
+      LEFT JOIN transactions r ON r.refundOf = t.id
+      WHERE t.orderId = ? AND t.type = 'sale'
+      GROUP BY t.id
+    `, [orderId]);
+    const sales = new Map(saleRows.map((r) => [r.id, r]));
+    const refunds = planRefund(orderId, requested, sales);
+
+    for (const r of refunds) {
+      await conn.query(
+        "INSERT INTO transactions (orderId, item, quantity, total, type, refundOf, reason, createdBy, createdAt) VALUES (?, ?, ?, ?, 'refund', ?, ?, ?, NOW())",
+        [orderId, r.item, -r.qty, -r.amount, r.transactionId, fields.reason, fields.actor]
+      );
+    }
+    const refundCents = refunds.reduce((c, r) => c + r.cents, 0);
+    await conn.query(
+      "UPDATE orders SET refundedAmount = ? WHERE orderId = ?",
+      [fromCents(toCents(order.refundedAmount) + refundCents), orderId]
+    );
+    if (restock) await restockLines(conn, order.eventId, orderId, refunds, 'refund');
+    // Refunded raffle packages lose their tickets (the last ones issued on the line)
+    for (const r of refunds) {
+      await conn.query(
+        "UPDATE raffle_tickets SET voided = 1 WHERE transactionId = ? AND voided = 0 ORDER BY firstTicket DESC LIMIT ?",
+        [r.transactionId, r.qty]
+      );
+    }
+
+    const details = refunds.map(({ cents, ...r }) => r);
+    await insertAudit(conn, orderId, 'refund', fromCents(refundCents), fields.reason, fields.actor, { lines: details, restock: !!restock });
+    await conn.commit();
+
+    return { amount: fromCents(refundCents), lines: details, order: await getOrder(orderId) };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Correct a mis-tapped payment type: the whole order is re-recorded as paid
+ * with one method (see correctedPayments). Methods that don't settle
+ * immediately mark it unpaid until the balance is reconciled; the others, or
+ * nothing left to pay, mark it paid.
+ * Returns the updated order, or null when it doesn't exist.
+ */
+export async function updateOrderPayment(orderId, { paymentType, reason, by } = {}) {
+  const fields = validatePaymentChange({ paymentType, reason, by });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const order = await lockOrderForEdit(conn, orderId);
+    if (!order) {
+      await conn.rollback();
+      return null;
+    }
+    const method = (await paymentMethodsByName(conn)).get(paymentType);
+    if (!method || !method.enabled) {
+      throw new ValidationError([{ code: 'unknown_payment_method', field: 'paymentType', message: `'${paymentType}' is not an available payment method` }]);
+    }
+    const current = (await getOrderPayments([orderId], conn)).get(orderId) || legacyPayments(order);
+    if (current.every((p) => p.method === paymentType)) {
+      throw new ValidationError([{ code: 'no_change', message: `Order ${orderId} is already ${paymentType}` }]);
+    }
+
+    const { payments, status } = correctedPayments(order, method);
+    if (status !== order.status) {
+      await conn.query(
+        "INSERT INTO order_status_log (orderId, fromStatus, toStatus, note, changedBy) VALUES (?, ?, ?, ?, ?)",
+        [orderId, order.status, status, fields.reason, fields.actor]
+      );
+      await conn.query(
+        "UPDATE orders SET status = ?, statusNote = ?, statusUpdatedAt = NOW() WHERE orderId = ?",
+        [status, fields.reason, orderId]
+      );
+    }
+    await conn.query("UPDATE orders SET paymentType = ? WHERE orderId = ?", [paymentType, orderId]);
+    await conn.query("DELETE FROM order_payments WHERE orderId = ?", [orderId]);
+    await insertPayments(conn, orderId, payments);
+    await insertAudit(conn, orderId, 'payment_type', null, fields.reason, fields.actor, { from: order.paymentType, to: paymentType });
+    await conn.commit();
+    return getOrder(orderId);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function getOrderAudit(orderId) {
+  const [rows] = await pool.query(
+    "SELECT action, amount, reason, actor, details, createdAt FROM order_audit WHERE orderId = ? ORDER BY id ASC",
+    [orderId]
+  );
+  return rows.map((r) => ({
+    ...r,
+    amount: r.amount != null ? parseFloat(r.amount) : null,
+    details: r.details ? JSON.parse(r.details) : null,
+  }));
+}
+
 // ----------------------
 // Items (CRUD)
 // ----------------------
-export async function getItems() {
-  const [rows] = await pool.query(`SELECT id, tab, category, name, dataName, price, color, orderIndex FROM items ORDER BY tab, category, orderIndex`);
-  return rows.map(r => ({ ...r, price: r.price != null ? parseFloat(r.price) : 0 }));
+const ITEM_COLUMNS = 'id, eventId, tab, category, name, dataName, price, color, orderIndex, active, stockQty, lowStockThreshold, ticketCount, imageUrl';
+
+// Modifiers of the given items: itemId -> [{ group, name, priceDelta }]
+async function getItemModifiers(itemIds, conn = pool) {
+  if (!itemIds.length) return new Map();
+  const [rows] = await conn.query(
+    "SELECT itemId, groupName, name, priceDelta FROM item_modifiers WHERE itemId IN (?) ORDER BY sortOrder, id",
+    [itemIds]
+  );
+  const byItem = new Map();
+  for (const r of rows) {
+    if (!byItem.has(r.itemId)) byItem.set(r.itemId, []);
+    byItem.get(r.itemId).push({ group: r.groupName, name: r.name, priceDelta: parseFloat(r.priceDelta) });
+  }
+  return byItem;
 }
 
-export function validateItemFields(item) {
-  const errs = [];
-  if (!item) {
-    errs.push('Missing item payload');
-    return errs;
+// Components of the given bundles: bundleId -> [{ itemId, qty }]
+async function getItemComponents(itemIds, conn = pool) {
+  if (!itemIds.length) return new Map();
+  const [rows] = await conn.query(
+    "SELECT bundleId, componentId, qty FROM item_components WHERE bundleId IN (?) ORDER BY componentId",
+    [itemIds]
+  );
+  const byBundle = new Map();
+  for (const r of rows) {
+    if (!byBundle.has(r.bundleId)) byBundle.set(r.bundleId, []);
+    byBundle.get(r.bundleId).push({ itemId: r.componentId, qty: r.qty });
   }
-  const { tab, category, name, dataName, price } = item;
-  if (!tab || (tab !== 'raffles' && tab !== 'concessions')) errs.push("'tab' is required and must be 'raffles' or 'concessions'");
-  if (!category || typeof category !== 'string' || category.trim().length === 0) errs.push("'category' is required");
-  if (!name || typeof name !== 'string' || name.trim().length === 0) errs.push("'name' is required");
-  if (!dataName || typeof dataName !== 'string' || dataName.trim().length === 0) errs.push("'dataName' is required");
-  const p = Number(price);
-  if (Number.isNaN(p) || p < 0) errs.push("'price' must be a non-negative number");
-  return errs;
+  return byBundle;
 }
 
-export async function createItem(item) {
+async function withItemDetails(rows, conn = pool) {
+  const ids = rows.map((r) => r.id);
+  const components = await getItemComponents(ids, conn);
+  const modifiers = await getItemModifiers(ids, conn);
+  return rows.map((r) => ({
+    ...r,
+    price: r.price != null ? parseFloat(r.price) : 0,
+    active: !!r.active,
+    components: components.get(r.id) || [],
+    modifiers: modifiers.get(r.id) || [],
+  }));
+}
+
+async function getItem(id) {
+  const [rows] = await pool.query(`SELECT ${ITEM_COLUMNS} FROM items WHERE id = ?`, [id]);
+  return rows.length ? (await withItemDetails(rows))[0] : null;
+}
+
+// Items belong to an event; without an eventId the active event's menu is returned.
+// By default only active items are returned (the POS menu); the admin panel
+// passes includeInactive so retired items can be edited and re-enabled.
+export async function getItems({ includeInactive = false, eventId } = {}) {
+  const scopeEventId = eventId || (await getActiveEvent())?.id;
+  if (!scopeEventId) return [];
+  const activeFilter = includeInactive ? '' : 'AND active = 1';
+  const [rows] = await pool.query(`SELECT ${ITEM_COLUMNS} FROM items WHERE eventId = ? ${activeFilter} ORDER BY tab, category, orderIndex`, [scopeEventId]);
+  return withItemDetails(rows);
+}
+
+// Check an item's tab, category and components against the event's menu (see
+// itemRefErrors). Returns the item with its components referenced by id.
+async function checkItemRefs(conn, eventId, item, id = null) {
+  const [tabs] = await conn.query("SELECT slug FROM menu_tabs");
+  const [categories] = await conn.query("SELECT tab, name FROM menu_categories");
+  const [menuRows] = await conn.query("SELECT id, name, dataName, ticketCount FROM items WHERE eventId = ?", [eventId]);
+  const components = await getItemComponents(menuRows.map((r) => r.id), conn);
+  const menu = menuRows.map((r) => ({ ...r, components: components.get(r.id) || [] }));
+  const errs = itemRefErrors(item, { tabs, categories, menu, id });
+  if (errs.length) throw new ValidationError(errs);
+  return item.components ? { ...item, components: resolveComponents(item.components, menu) } : item;
+}
+
+// Replace an item's components and modifiers with the ones given (undefined keeps them)
+async function replaceItemDetails(conn, itemId, { components, modifiers }) {
+  if (components !== undefined) {
+    await conn.query("DELETE FROM item_components WHERE bundleId = ?", [itemId]);
+    const rows = normalizeComponents(components || []);
+    if (rows.length) {
+      await conn.query("INSERT INTO item_components (bundleId, componentId, qty) VALUES ?", [rows.map((c) => [itemId, c.itemId, c.qty])]);
+    }
+  }
+  if (modifiers !== undefined) {
+    await conn.query("DELETE FROM item_modifiers WHERE itemId = ?", [itemId]);
+    const rows = normalizeModifiers(modifiers || []);
+    if (rows.length) {
+      await conn.query(
+        "INSERT INTO item_modifiers (itemId, groupName, name, priceDelta, sortOrder) VALUES ?",
+        [rows.map((m, i) => [itemId, m.group, m.name, m.priceDelta, i])]
+      );
+    }
+  }
+}
+
+// Add an item to an event's menu on an open transaction; returns its id
+async function insertItem(conn, eventId, item) {
+  item = await checkItemRefs(conn, eventId, item);
   const { tab, category, name, dataName, price, color, orderIndex } = item;
-  const [res] = await pool.query(`INSERT INTO items (tab, category, name, dataName, price, color, orderIndex) VALUES (?, ?, ?, ?, ?, ?, ?)`, [tab, category, name, dataName, price || 0, color || 'gray-600', orderIndex || 0]);
-  return { id: res.insertId, tab, category, name, dataName, price: Number(price || 0), color, orderIndex };
+  const stockQty = optionalCount(item.stockQty);
+  const [res] = await conn.query(
+    `INSERT INTO items (eventId, tab, category, name, dataName, price, color, orderIndex, active, stockQty, lowStockThreshold, ticketCount, imageUrl) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [eventId, tab, category, name, dataName, price || 0, color || 'gray-600', orderIndex || 0, item.active !== false ? 1 : 0,
+      stockQty, optionalCount(item.lowStockThreshold), optionalCount(item.ticketCount) || null, item.imageUrl || null]
+  );
+  if (stockQty != null) {
+    await conn.query(`INSERT INTO stock_movements (itemId, delta, balanceAfter, reason) VALUES (?, ?, ?, 'initial')`, [res.insertId, stockQty, stockQty]);
+  }
+  await replaceItemDetails(conn, res.insertId, item);
+  return res.insertId;
 }
 
-export async function updateItem(id, item) {
+// Rewrite an item on an open transaction; returns its eventId, or null when it doesn't exist
+async function rewriteItem(conn, id, item) {
+  const [rows] = await conn.query("SELECT id, eventId FROM items WHERE id = ? FOR UPDATE", [id]);
+  if (!rows.length) return null;
+  item = await checkItemRefs(conn, rows[0].eventId, item, id);
   const { tab, category, name, dataName, price, color, orderIndex } = item;
-  await pool.query(`UPDATE items SET tab=?, category=?, name=?, dataName=?, price=?, color=?, orderIndex=? WHERE id=?`, [tab, category, name, dataName, price || 0, color || 'gray-600', orderIndex || 0, id]);
-  return { id, tab, category, name, dataName, price: Number(price || 0), color, orderIndex };
+  await conn.query(
+    `UPDATE items SET tab=?, category=?, name=?, dataName=?, price=?, color=?, orderIndex=?, active=?, lowStockThreshold=?, ticketCount=?, imageUrl=? WHERE id=?`,
+    [tab, category, name, dataName, price || 0, color || 'gray-600', orderIndex || 0, item.active !== false ? 1 : 0,
+      optionalCount(item.lowStockThreshold), optionalCount(item.ticketCount) || null, item.imageUrl || null, id]
+  );
+  await replaceItemDetails(conn, id, item);
+  return rows[0].eventId;
 }
 
-export async function deleteItem(id) {
-  await pool.query(`DELETE FROM items WHERE id = ?`, [id]);
-  return { id };
+// Items that are part of a bundle can't be deleted until the bundle drops them
+async function removeItem(conn, id) {
+  const [bundles] = await conn.query(
+    "SELECT b.name FROM item_components c JOIN items b ON b.id = c.bundleId WHERE c.componentId = ?",
+    [id]
+  );
+  if (bundles.length) throw componentInUseError(bundles.map((b) => `'${b.name}'`));
+  await conn.query(`DELETE FROM item_components WHERE bundleId = ?`, [id]);
+  await conn.query(`DELETE FROM item_modifiers WHERE itemId = ?`, [id]);
+  await conn.query(`DELETE FROM items WHERE id = ?`, [id]);
 }
 
-// ----------------------
-// Admin auth (simple password+salt)
-// ----------------------
-export async function validateAdminPassword(password) {
-  // read admin_hash and admin_salt from meta_text
+// New items go into the given event's menu, or the active event's when none is given.
+// A stockQty starts stock tracking (logged as the 'initial' movement).
+export async function createItem(item) {
+  const eventId = item.eventId ? Number(item.eventId) : (await getActiveEvent())?.id;
+  if (!eventId) throw new ValidationError([{ code: 'no_active_event', message: 'No event is open to add the item to' }]);
+
+  const conn = await pool.getConnection();
+  let id;
+  try {
+    await conn.beginTransaction();
+    id = await insertItem(conn, eventId, item);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return getItem(id);
+}
+
+// Stock levels are not edited here; use adjustStock so every change is logged.
+// Components and modifiers are replaced when given. Returns null when the item doesn't exist.
+export async function updateItem(id, item) {
+  const conn = await pool.getConnection();
   try {
-    const adminHashRow = await pool.query(`SELECT value FROM meta_text WHERE id = 'admin_hash'`).then(r => r[0]);
-    const adminSaltRow = await pool.query(`SELECT value FROM meta_text WHERE id = 'admin_salt'`).then(r => r[0]);
-    const storedHash = adminHashRow && adminHashRow[0] ? adminHashRow[0].value : null;
-    const storedSalt = adminSaltRow && adminSaltRow[0] ? adminSaltRow[0].value : null;
-    if (!storedHash || !storedSalt) return false;
-  const derived = crypto.pbkdf2Sync(password, storedSalt, 100000, 64, 'sha512').toString('hex');
-  // constant time comparison
-  return crypto.timingSafeEqual(Buffer.from(derived,'hex'), Buffer.from(storedHash,'hex'));
+    await conn.beginTransaction();
+    if ((await rewriteItem(conn, id, item)) == null) {
+      await conn.rollback();
+      return null;
+    }
+    await conn.commit();
   } catch (err) {
-    // meta_text table missing or other DB error
-    console.error('Admin password validation error:', err.message);
-    return false;
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
   }
+  return getItem(id);
 }
 
-export function createAdminToken() {
-  const token = crypto.randomBytes(24).toString('hex');
-  const expiry = Date.now() + ADMIN_TOKEN_TTL;
-  adminTokens.set(token, expiry);
-  return token;
+/**
+ * Change one event's menu in a single transaction (see validateItemBatch):
+ * missing tabs and categories are added, then the operations run in order,
+ * then `order` renumbers the menu. Nothing is saved if any step fails (or with
+ * dryRun); a failed operation's errors carry its index. Returns the tabs,
+ * categories and item ids added, updated and deleted, with the resulting menu
+ * unless it was a dry run.
+ */
+export async function bulkUpdateItems({ eventId, tabs = [], categories = [], operations = [], order, dryRun = false } = {}) {
+  const errs = validateItemBatch({ tabs, categories, operations, order });
+  if (errs.length) throw new ValidationError(errs);
+  eventId = eventId ? Number(eventId) : (await getActiveEvent())?.id;
+  if (!eventId) throw new ValidationError([{ code: 'no_active_event', message: 'No event is open to change the menu of' }]);
+
+  const result = { eventId, tabs: [], categories: [], created: [], updated: [], deleted: [] };
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [events] = await conn.query("SELECT id FROM events WHERE id = ?", [eventId]);
+    if (!events.length) throw new ValidationError([{ code: 'unknown_event', message: `Event ${eventId} does not exist` }]);
+
+    for (const t of tabs) {
+      const [res] = await conn.query(
+        "INSERT IGNORE INTO menu_tabs (slug, label, fulfillment, active, sortOrder) SELECT ?, ?, ?, 1, COALESCE(MAX(sortOrder) + 1, 0) FROM menu_tabs",
+        [t.slug, t.label.trim(), t.fulfillment ?? false]
+      );
+      if (res.affectedRows) result.tabs.push(t.slug);
+    }
+    for (const c of categories) {
+      const [known] = await conn.query("SELECT id FROM menu_tabs WHERE slug = ?", [c.tab]);
+      if (!known.length) throw unknownTabError(c.tab);
+      const [res] = await conn.query(
+        "INSERT IGNORE INTO menu_categories (tab, name, sortOrder) SELECT ?, ?, COALESCE(MAX(sortOrder) + 1, 0) FROM menu_categories WHERE tab = ?",
+        [c.tab, c.name.trim(), c.tab]
+      );
+      if (res.affectedRows) result.categories.push({ tab: c.tab, name: c.name.trim() });
+    }
+
+    for (const [index, o] of operations.entries()) {
+      try {
+        if (o.op === 'create') {
+          result.created.push(await insertItem(conn, eventId, o.item));
+          continue;
+        }
+        const [rows] = await conn.query("SELECT eventId FROM items WHERE id = ?", [Number(o.id)]);
+        if (!rows.length || rows[0].eventId !== eventId) throw notOnMenuError(o.id);
+        if (o.op === 'update') {
+          await rewriteItem(conn, Number(o.id), o.item);
+          result.updated.push(Number(o.id));
+        } else {
+          await removeItem(conn, Number(o.id));
+          result.deleted.push(Number(o.id));
+        }
+      } catch (err) {
+        throw err instanceof ValidationError ? operationError(err, index) : err;
+      }
+    }
+
+    if (order) {
+      const [menu] = await conn.query("SELECT id FROM items WHERE eventId = ? FOR UPDATE", [eventId]);
+      const orderErrs = menuOrderErrors(order, menu.map((r) => r.id));
+      if (orderErrs.length) throw new ValidationError(orderErrs);
+      for (const [position, id] of order.entries()) {
+        await conn.query("UPDATE items SET orderIndex = ? WHERE id = ?", [position + 1, id]);
+      }
+    }
+    if (dryRun) await conn.rollback();
+    else await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  if (dryRun) return { ...result, dryRun };
+  return { ...result, dryRun, items: await getItems({ includeInactive: true, eventId }) };
 }
 
-export function validateAdminToken(token) {
-  const exp = adminTokens.get(token);
-  if (!exp) return false;
-  if (Date.now() > exp) { adminTokens.delete(token); return false; }
-  // extend TTL on use
-  adminTokens.set(token, Date.now() + ADMIN_TOKEN_TTL);
-  return true;
+// ----------------------
+// Inventory
+// ----------------------
+/**
+ * Change an item's stock and log the movement.
+ *  - restock: add a positive quantity
+ *  - adjust:  add a signed quantity (spoilage, miscount...); a reason is required
+ *  - set:     set an absolute count (starts tracking an untracked item)
+ *  - untrack: stop tracking stock for the item
+ * Returns the updated { id, stockQty, lowStockThreshold } or null when the item doesn't exist.
+ */
+export async function adjustStock(itemId, { action, quantity, reason }) {
+  const { qty, note } = validateStockChange({ action, quantity, reason });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT id, stockQty FROM items WHERE id = ? FOR UPDATE", [itemId]);
+    if (!rows.length) {
+      await conn.rollback();
+      return null;
+    }
+    const { next, delta } = applyStockChange(action, rows[0].stockQty, qty);
+
+    await conn.query("UPDATE items SET stockQty = ? WHERE id = ?", [next, itemId]);
+    await conn.query(
+      "INSERT INTO stock_movements (itemId, delta, balanceAfter, reason, note) VALUES (?, ?, ?, ?, ?)",
+      [itemId, delta, next, action, note || null]
+    );
+    await conn.commit();
+
+    const [updated] = await pool.query("SELECT id, stockQty, lowStockThreshold FROM items WHERE id = ?", [itemId]);
+    return updated[0];
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
 }
 
-export function revokeAdminToken(token) {
-  if (!token) return false;
-  return adminTokens.delete(token);
+export async function getStockMovements(itemId, { limit = 50 } = {}) {
+  const [rows] = await pool.query(
+    "SELECT id, delta, balanceAfter, reason, note, orderId, createdAt FROM stock_movements WHERE itemId = ? ORDER BY id DESC LIMIT ?",
+    [itemId, limit]
+  );
+  return rows;
 }
 
-// Check whether admin credentials have been configured (meta_text.admin_hash exists)
-export async function isAdminConfigured() {
+export async function deleteItem(id) {
+  const conn = await pool.getConnection();
   try {
-    const [rows] = await pool.query(`SELECT value FROM meta_text WHERE id = 'admin_hash'`);
-    return Array.isArray(rows) && rows.length > 0;
+    await conn.beginTransaction();
+    await removeItem(conn, id);
+    await conn.commit();
+    return { id };
   } catch (err) {
-    // meta_text may not exist yet; treat as not configured
-    return false;
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// ----------------------
+// Reports
+// ----------------------
+/**
+ * End-of-day sales summary. Figures are net of refunds and discounts (both are
+ * negative lines), with gross sales, discounts and comps in the totals. Void orders are excluded from sales figures but still appear in
+ * the payment breakdown (by status) so they can be accounted for.
+ * Range is [from, to); eventId null means all events.
+ */
+export async function getSalesSummary({ from, to, eventId } = {}) {
+  const { fromDate, toDate } = parseOrderFilters({ from, to });
+
+  const where = [];
+  const params = [];
+  if (eventId) { where.push('o.eventId = ?'); params.push(eventId); }
+  if (fromDate) { where.push('o.timestamp >= ?'); params.push(fromDate); }
+  if (toDate) { where.push('o.timestamp < ?'); params.push(toDate); }
+  const orderFilter = where.length ? where.join(' AND ') : '1 = 1';
+
+  // Units and revenue per item; friendly name/tab/category come from the order's event menu
+  const [itemRows] = await pool.query(`
+    SELECT t.item AS dataName,
+      MAX(i.name) AS name, MAX(i.tab) AS tab, MAX(i.category) AS category,
+      SUM(t.quantity) AS units, SUM(t.total) AS revenue
+    FROM transactions t
+    JOIN orders o ON o.orderId = t.orderId
+    LEFT JOIN items i ON i.dataName = t.item AND i.eventId = o.eventId
+    WHERE ${orderFilter} AND o.status <> 'void'
+    GROUP BY t.item
+    ORDER BY revenue DESC
+  `, params);
+
+  const items = itemRows.map(r => ({
+    dataName: r.dataName,
+    name: r.name || r.dataName,
+    tab: r.tab || 'other',
+    category: r.category || 'Uncategorized',
+    units: Number(r.units || 0),
+    revenue: parseFloat(r.revenue || 0),
+  }));
+
+  // What each discount and comp took off
+  const [discountRows] = await pool.query(`
+    SELECT t.discountId, MAX(t.label) AS name, t.type, COUNT(DISTINCT t.orderId) AS orders, -SUM(t.total) AS amount
+    FROM transactions t
+    JOIN orders o ON o.orderId = t.orderId
+    WHERE ${orderFilter} AND o.status <> 'void' AND t.type IN ('discount', 'comp')
+    GROUP BY t.discountId, t.type
+  `, params);
+  const discounts = discountRows.map(r => ({
+    discountId: r.discountId,
+    name: r.name,
+    type: r.type,
+    orders: Number(r.orders),
+    amount: parseFloat(r.amount || 0),
+  }));
+
+  // Every order's payments, for the breakdown by payment method and status
+  const [orderRows] = await pool.query(`
+    SELECT o.orderId, o.status, o.totalAmount, o.refundedAmount, o.paymentType
+    FROM orders o
+    WHERE ${orderFilter}
+  `, params);
+  const paymentsByOrder = await getOrderPayments(orderRows.map(r => r.orderId));
+  const orders = orderRows.map(r => ({
+    status: r.status,
+    totalAmount: parseFloat(r.totalAmount),
+    refundedAmount: parseFloat(r.refundedAmount),
+    payments: paymentsByOrder.get(r.orderId) || legacyPayments(r),
+  }));
+
+  // Net sales per cashier (orders from before user accounts have no cashier)
+  const [cashierRows] = await pool.query(`
+    SELECT o.cashierId, MAX(u.displayName) AS name, COUNT(*) AS orders, SUM(o.totalAmount - o.refundedAmount) AS total
+    FROM orders o
+    LEFT JOIN users u ON u.id = o.cashierId
+    WHERE ${orderFilter} AND o.status <> 'void'
+    GROUP BY o.cashierId
+    ORDER BY total DESC
+  `, params);
+  const cashiers = cashierRows.map(r => ({
+    cashierId: r.cashierId,
+    name: r.name || (r.cashierId ? `User ${r.cashierId}` : 'Unknown'),
+    orders: Number(r.orders),
+    total: parseFloat(r.total || 0),
+  }));
+
+  return buildSalesSummary({ fromDate, toDate, eventId, items, orders, cashiers, discounts });
+}
+
+// ----------------------
+// Export / import
+// ----------------------
+/**
+ * Stream order lines for export, one row per transaction line with the order
+ * fields repeated (orders without lines produce a single row with null item
+ * columns). Rows arrive ordered by order, then line. Filters: eventId,
+ * paymentType and a [from, to) date range.
+ */
+export function streamOrderLines({ eventId, paymentType, from, to } = {}) {
+  const { fromDate, toDate } = parseOrderFilters({ from, to });
+
+  const where = [];
+  const params = [];
+  if (eventId) { where.push('o.eventId = ?'); params.push(eventId); }
+  if (paymentType) { where.push(PAID_WITH); params.push(paymentType); }
+  if (fromDate) { where.push('o.timestamp >= ?'); params.push(fromDate); }
+  if (toDate) { where.push('o.timestamp < ?'); params.push(toDate); }
+
+  // The promise pool wraps a callback pool whose queries can be streamed row by row
+  return pool.pool.query(`
+    SELECT o.orderId, o.eventId, e.name AS eventName, o.timestamp, o.paymentType, o.status, o.statusNote,
+      o.totalAmount, o.refundedAmount, t.item, i.name AS itemName, t.quantity, t.total AS lineTotal, t.type AS lineType,
+      t.label AS discountName, t.reason AS lineReason, u.displayName AS cashierName,
+      (SELECT JSON_ARRAYAGG(JSON_OBJECT('method', p.method, 'amount', p.amount, 'tendered', p.tendered, 'changeDue', p.changeDue) ORDER BY p.id)
+        FROM order_payments p WHERE p.orderId = o.orderId) AS payments
+    FROM orders o
+    LEFT JOIN events e ON e.id = o.eventId
+    LEFT JOIN users u ON u.id = o.cashierId
+    LEFT JOIN transactions t ON t.orderId = o.orderId
+    LEFT JOIN items i ON i.dataName = t.item AND i.eventId = o.eventId
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY o.id ASC, t.id ASC
+  `, params).stream();
+}
+
+/**
+ * Merge previously recorded orders (JSON export shape, e.g. from the Firestore
+ * backend) into an event. Totals are kept as recorded rather than re-priced.
+ * Order ids that already exist are skipped, so re-running an import is safe.
+ * With dryRun the work is rolled back and only the counts are returned.
+ */
+export async function importOrders(orders, { eventId, idPrefix = '', dryRun = false } = {}) {
+  const errs = validateImportOrders(orders, idPrefix);
+  if (errs.length) throw new ValidationError(errs);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [eventRows] = await conn.query("SELECT id FROM events WHERE id = ?", [eventId]);
+    if (!eventRows.length) throw new ValidationError([{ code: 'unknown_event', message: `Event ${eventId} does not exist` }]);
+
+    const ids = orders.map((o) => idPrefix + String(o.orderId));
+    const [existingRows] = await conn.query("SELECT orderId FROM orders WHERE orderId IN (?)", [ids]);
+    const existing = new Set(existingRows.map((r) => r.orderId));
+    const methods = await paymentMethodsByName(conn);
+    const isCash = (name) => methods.has(name) ? methods.get(name).isCash : name === 'Cash';
+
+    const skipped = [];
+    let imported = 0;
+    for (const o of orders) {
+      const orderId = idPrefix + String(o.orderId);
+      if (existing.has(orderId)) {
+        skipped.push(orderId);
+        continue;
+      }
+      await conn.query(
+        "INSERT INTO orders (orderId, eventId, totalAmount, refundedAmount, paymentType, status, statusNote, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        [orderId, eventId, Number(o.totalAmount), Number(o.refundedAmount || 0), o.paymentType, o.status, o.statusNote || null, new Date(o.timestamp)]
+      );
+      await insertPayments(conn, orderId, (o.payments || legacyPayments(o)).map((p) => ({
+        method: p.method, amount: Number(p.amount), isCash: isCash(p.method),
+        tendered: p.tendered != null ? Number(p.tendered) : null, changeDue: p.changeDue != null ? Number(p.changeDue) : null,
+      })));
+      for (const line of o.items) {
+        const type = ORDER_LINE_TYPES.includes(line.type) ? line.type : 'sale';
+        await conn.query(
+          "INSERT INTO transactions (orderId, item, quantity, total, type, label, reason) VALUES (?, ?, ?, ?, ?, ?, ?)",
+          [orderId, line.name, Number(line.qty), Number(line.total), type, line.discount || null, line.reason || null]
+        );
+      }
+      imported++;
+    }
+
+    if (dryRun) await conn.rollback();
+    else await conn.commit();
+    return { imported, skipped, dryRun };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// ----------------------
+// Cash drawer sessions
+// ----------------------
+// Expected cash is the float plus the cash share of the session's non-void
+// orders. Refunds come out of the cash share first (see allocateRefund).
+const CASH_NET = `
+  SELECT o.drawerSessionId, o.orderId, GREATEST(SUM(p.amount) - MAX(o.refundedAmount), 0) AS cashNet
+  FROM orders o
+  JOIN order_payments p ON p.orderId = o.orderId AND p.isCash = 1
+  WHERE o.status <> 'void'
+`;
+
+const DRAWER_SELECT = `
+  SELECT s.id, s.eventId, s.openedBy, s.openingFloat, s.openedAt, s.closedBy, s.closedAt,
+    s.countedAmount, s.denominations, s.expectedCash, s.overShort, s.notes,
+    COUNT(c.orderId) AS cashOrders,
+    COALESCE(SUM(c.cashNet), 0) AS cashSales
+  FROM drawer_sessions s
+  LEFT JOIN (${CASH_NET} GROUP BY o.orderId, o.drawerSessionId) c ON c.drawerSessionId = s.id
+`;
+
+function normalizeDrawerSession(r) {
+  const openingFloatCents = toCents(r.openingFloat);
+  const cashSalesCents = toCents(r.cashSales);
+  return {
+    id: r.id,
+    eventId: r.eventId,
+    openedBy: r.openedBy,
+    openedAt: r.openedAt,
+    openingFloat: fromCents(openingFloatCents),
+    closedBy: r.closedBy,
+    closedAt: r.closedAt,
+    notes: r.notes,
+    cashOrders: Number(r.cashOrders),
+    cashSales: fromCents(cashSalesCents),
+    // Closed sessions report the figures frozen at close; open ones are live
+    expectedCash: r.expectedCash != null ? parseFloat(r.expectedCash) : fromCents(openingFloatCents + cashSalesCents),
+    countedAmount: r.countedAmount != null ? parseFloat(r.countedAmount) : null,
+    denominations: r.denominations ? JSON.parse(r.denominations) : null,
+    overShort: r.overShort != null ? parseFloat(r.overShort) : null,
+    open: !r.closedAt,
+  };
+}
+
+export async function getDrawerSession(id) {
+  const [rows] = await pool.query(`${DRAWER_SELECT} WHERE s.id = ? GROUP BY s.id`, [id]);
+  return rows.length ? normalizeDrawerSession(rows[0]) : null;
+}
+
+export async function getOpenDrawerSession() {
+  const [rows] = await pool.query(`${DRAWER_SELECT} WHERE s.closedAt IS NULL GROUP BY s.id ORDER BY s.id DESC LIMIT 1`);
+  return rows.length ? normalizeDrawerSession(rows[0]) : null;
+}
+
+// Past and current sessions, newest first
+export async function getDrawerSessions({ limit = 50 } = {}) {
+  const [rows] = await pool.query(`${DRAWER_SELECT} GROUP BY s.id ORDER BY s.id DESC LIMIT ?`, [limit]);
+  return rows.map(normalizeDrawerSession);
+}
+
+export async function openDrawerSession({ openingFloat, openedBy, notes } = {}) {
+  validateDrawerOpen({ openingFloat, openedBy });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    // FOR UPDATE (a full scan, closedAt isn't indexed) serializes opens from two tablets
+    const [openRows] = await conn.query("SELECT id FROM drawer_sessions WHERE closedAt IS NULL FOR UPDATE");
+    if (openRows.length) {
+      throw new ValidationError([{ code: 'drawer_already_open', message: `Drawer session #${openRows[0].id} is still open; close it first` }]);
+    }
+    const [eventRows] = await conn.query("SELECT id FROM events WHERE active = 1 ORDER BY id DESC LIMIT 1");
+    const [res] = await conn.query(
+      "INSERT INTO drawer_sessions (eventId, openedBy, openingFloat, notes) VALUES (?, ?, ?, ?)",
+      [eventRows.length ? eventRows[0].id : null, openedBy.trim().slice(0, 100), fromCents(toCents(openingFloat)), notes ? String(notes).slice(0, 255) : null]
+    );
+    await conn.commit();
+    return getDrawerSession(res.insertId);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Close a session with a counted amount, either given directly or as a
+ * denomination breakdown. Expected cash and over/short are frozen on the row.
+ * Returns null when the session does not exist.
+ */
+export async function closeDrawerSession(id, { countedAmount, denominations, closedBy, notes } = {}) {
+  const countedCents = validateDrawerClose({ countedAmount, denominations, closedBy });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT id, openingFloat, closedAt, notes FROM drawer_sessions WHERE id = ? FOR UPDATE", [id]);
+    if (!rows.length) {
+      await conn.rollback();
+      return null;
+    }
+    if (rows[0].closedAt) throw new ValidationError([{ code: 'drawer_closed', message: `Drawer session #${id} is already closed` }]);
+
+    const [salesRows] = await conn.query(
+      `SELECT COALESCE(SUM(c.cashNet), 0) AS cashSales FROM (${CASH_NET} AND o.drawerSessionId = ? GROUP BY o.orderId, o.drawerSessionId) c`,
+      [id]
+    );
+    const expectedCents = toCents(rows[0].openingFloat) + toCents(salesRows[0].cashSales);
+    const combinedNotes = [rows[0].notes, notes].filter(Boolean).join(' | ').slice(0, 255) || null;
+    await conn.query(
+      `UPDATE drawer_sessions SET closedAt = NOW(), closedBy = ?, countedAmount = ?, denominations = ?, expectedCash = ?, overShort = ?, notes = ? WHERE id = ?`,
+      [closedBy.trim().slice(0, 100), fromCents(countedCents), denominations ? JSON.stringify(denominations) : null,
+        fromCents(expectedCents), fromCents(countedCents - expectedCents), combinedNotes, id]
+    );
+    await conn.commit();
+    return getDrawerSession(id);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// ----------------------
+// Raffle drawing
+// ----------------------
+/**
+ * Draw a winner for an event. Eligible tickets belong to paid orders, aren't
+ * voided, and aren't on an order that has already won (one prize per order).
+ * Pass a seed (e.g. announced to the room beforehand) or let the server pick
+ * one; either way it is logged with the draw.
+ */
+export async function drawRaffleWinner(eventId, { prize, seed, by } = {}) {
+  const draw = validateDrawRequest({ prize, seed });
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    // The event lock keeps two draws from getting the same number or winner
+    const [eventRows] = await conn.query("SELECT id FROM events WHERE id = ? FOR UPDATE", [eventId]);
+    if (!eventRows.length) throw new ValidationError([{ code: 'unknown_event', message: `Event ${eventId} does not exist` }]);
+
+    const [numberRows] = await conn.query(
+      "SELECT COALESCE(MAX(drawNumber), 0) + 1 AS next FROM raffle_draws WHERE eventId = ?",
+      [eventId]
+    );
+    const drawNumber = Number(numberRows[0].next);
+    const [ranges] = await conn.query(`
+      SELECT rt.firstTicket, rt.lastTicket, rt.orderId
+      FROM raffle_tickets rt
+      JOIN orders o ON o.orderId = rt.orderId
+      WHERE rt.eventId = ? AND rt.voided = 0 AND o.status = 'paid'
+        AND rt.orderId NOT IN (SELECT orderId FROM raffle_draws WHERE eventId = ? AND voided = 0)
+      ORDER BY rt.firstTicket
+    `, [eventId, eventId]);
+
+    const winner = pickTicket(ranges, draw.seed, eventId, drawNumber);
+    if (!winner) throw new ValidationError([NO_ELIGIBLE_TICKETS]);
+
+    const [res] = await conn.query(
+      "INSERT INTO raffle_draws (eventId, drawNumber, prize, seed, poolSize, ticketNumber, orderId, drawnBy) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      [eventId, drawNumber, draw.prize, draw.seed, winner.poolSize, winner.ticketNumber, winner.orderId,
+        by ? String(by).trim().slice(0, 100) : null]
+    );
+    await conn.commit();
+    const [rows] = await pool.query("SELECT * FROM raffle_draws WHERE id = ?", [res.insertId]);
+    return { ...rows[0], voided: !!rows[0].voided };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Tickets issued and draws made for an event (draws newest first)
+export async function getRaffleSummary(eventId) {
+  const [[counts]] = await pool.query(`
+    SELECT COALESCE(SUM(lastTicket - firstTicket + 1), 0) AS issued,
+      COALESCE(SUM(CASE WHEN voided = 1 THEN lastTicket - firstTicket + 1 ELSE 0 END), 0) AS voided
+    FROM raffle_tickets WHERE eventId = ?
+  `, [eventId]);
+  const [draws] = await pool.query(
+    "SELECT id, drawNumber, prize, seed, poolSize, ticketNumber, orderId, drawnBy, voided, createdAt FROM raffle_draws WHERE eventId = ? ORDER BY drawNumber DESC",
+    [eventId]
+  );
+  return {
+    eventId,
+    ticketsIssued: Number(counts.issued),
+    ticketsVoided: Number(counts.voided),
+    draws: draws.map((d) => ({ ...d, voided: !!d.voided })),
+  };
+}
+
+// ----------------------
+// Events
+// ----------------------
+const normalizeEvent = (r) => ({ ...r, active: !!r.active });
+
+export async function getActiveEvent() {
+  const [rows] = await pool.query(`SELECT id, name, startDate, endDate, active, orderCounter, createdAt, closedAt FROM events WHERE active = 1 ORDER BY id DESC LIMIT 1`);
+  return rows.length ? normalizeEvent(rows[0]) : null;
+}
+
+export async function getEvent(id) {
+  const [rows] = await pool.query(`SELECT id, name, startDate, endDate, active, orderCounter, createdAt, closedAt FROM events WHERE id = ?`, [id]);
+  return rows.length ? normalizeEvent(rows[0]) : null;
+}
+
+// All events, newest first, with order counts and non-void net sales totals
+export async function getEvents() {
+  const [rows] = await pool.query(`
+    SELECT e.id, e.name, e.startDate, e.endDate, e.active, e.orderCounter, e.createdAt, e.closedAt,
+      COUNT(o.id) AS orderCount,
+      COALESCE(SUM(CASE WHEN o.status <> 'void' THEN o.totalAmount - o.refundedAmount ELSE 0 END), 0) AS totalSales
+    FROM events e
+    LEFT JOIN orders o ON o.eventId = e.id
+    GROUP BY e.id
+    ORDER BY e.id DESC
+  `);
+  return rows.map(r => ({ ...normalizeEvent(r), totalSales: parseFloat(r.totalSales) }));
+}
+
+// Create an event. Pass copyItemsFrom (an event id) to start from another event's menu.
+// Stock counts are not copied; the new menu starts untracked.
+export async function createEvent({ name, startDate, endDate, copyItemsFrom }) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [res] = await conn.query(
+      `INSERT INTO events (name, startDate, endDate) VALUES (?, ?, ?)`,
+      [name.trim(), startDate || null, endDate || null]
+    );
+    if (copyItemsFrom) {
+      await conn.query(`
+        INSERT INTO items (eventId, tab, category, name, dataName, price, color, orderIndex, active, lowStockThreshold, ticketCount, imageUrl)
+        SELECT ?, tab, category, name, dataName, price, color, orderIndex, active, lowStockThreshold, ticketCount, imageUrl FROM items WHERE eventId = ?
+      `, [res.insertId, copyItemsFrom]);
+      // Bundles and modifiers follow their items, matched by dataName
+      await conn.query(`
+        INSERT IGNORE INTO item_components (bundleId, componentId, qty)
+        SELECT nb.id, nc.id, c.qty FROM item_components c
+        JOIN items ob ON ob.id = c.bundleId AND ob.eventId = ?
+        JOIN items oc ON oc.id = c.componentId
+        JOIN items nb ON nb.eventId = ? AND nb.dataName = ob.dataName
+        JOIN items nc ON nc.eventId = ? AND nc.dataName = oc.dataName
+      `, [copyItemsFrom, res.insertId, res.insertId]);
+      await conn.query(`
+        INSERT INTO item_modifiers (itemId, groupName, name, priceDelta, sortOrder)
+        SELECT ni.id, m.groupName, m.name, m.priceDelta, m.sortOrder FROM item_modifiers m
+        JOIN items oi ON oi.id = m.itemId AND oi.eventId = ?
+        JOIN items ni ON ni.eventId = ? AND ni.dataName = oi.dataName
+      `, [copyItemsFrom, res.insertId]);
+    }
+    await conn.commit();
+    return getEvent(res.insertId);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function updateEvent(id, { name, startDate, endDate }) {
+  await pool.query(`UPDATE events SET name = ?, startDate = ?, endDate = ? WHERE id = ?`, [name.trim(), startDate || null, endDate || null, id]);
+  return getEvent(id);
+}
+
+// Make an event the one the POS sells into. Any other open event is closed.
+export async function openEvent(id) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query(`SELECT id FROM events WHERE id = ? FOR UPDATE`, [id]);
+    if (!rows.length) {
+      await conn.rollback();
+      return null;
+    }
+    await conn.query(`UPDATE events SET active = 0, closedAt = NOW() WHERE active = 1 AND id <> ?`, [id]);
+    await conn.query(`UPDATE events SET active = 1, closedAt = NULL WHERE id = ?`, [id]);
+    await conn.commit();
+    return getEvent(id);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function closeEvent(id) {
+  await pool.query(`UPDATE events SET active = 0, closedAt = COALESCE(closedAt, NOW()) WHERE id = ?`, [id]);
+  return getEvent(id);
+}
+
+// ----------------------
+// Users and sessions
+// ----------------------
+const USER_COLUMNS = 'id, username, displayName, role, active, createdAt, lastLoginAt';
+const normalizeUser = (r) => ({ ...r, active: !!r.active });
+
+export async function countUsers() {
+  const [rows] = await pool.query("SELECT COUNT(*) AS c FROM users");
+  return Number(rows[0].c);
+}
+
+export async function getUsers() {
+  const [rows] = await pool.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY active DESC, username`);
+  return rows.map(normalizeUser);
+}
+
+export async function getUser(id) {
+  const [rows] = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+  return rows.length ? normalizeUser(rows[0]) : null;
+}
+
+export async function createUser(user) {
+  const errs = validateUserFields(user, { isNew: true });
+  if (errs.length) throw new ValidationError(errs);
+  const { hash, salt } = hashPassword(String(user.password));
+  try {
+    const [res] = await pool.query(
+      "INSERT INTO users (username, displayName, role, passwordHash, passwordSalt) VALUES (?, ?, ?, ?, ?)",
+      [user.username, String(user.displayName).trim().slice(0, 100), user.role, hash, salt]
+    );
+    return getUser(res.insertId);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw duplicateUsernameError(user.username);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Update a user's name, role, active flag or password. Deactivating a user or
+ * changing their role/password signs them out everywhere. The last active
+ * admin can't be demoted or deactivated. Returns null when the user doesn't exist.
+ */
+export async function updateUser(id, changes) {
+  const errs = validateUserFields(changes);
+  if (errs.length) throw new ValidationError(errs);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT id, role, active FROM users WHERE id = ? FOR UPDATE", [id]);
+    if (!rows.length) {
+      await conn.rollback();
+      return null;
+    }
+    const current = rows[0];
+    const losesAdmin = current.role === 'admin' && current.active
+      && ((changes.role !== undefined && changes.role !== 'admin') || changes.active === false);
+    if (losesAdmin) {
+      const [admins] = await conn.query("SELECT COUNT(*) AS c FROM users WHERE role = 'admin' AND active = 1 FOR UPDATE");
+      if (Number(admins[0].c) <= 1) {
+        throw new ValidationError([LAST_ADMIN]);
+      }
+    }
+
+    const sets = [];
+    const params = [];
+    if (changes.displayName !== undefined) { sets.push('displayName = ?'); params.push(String(changes.displayName).trim().slice(0, 100)); }
+    if (changes.role !== undefined) { sets.push('role = ?'); params.push(changes.role); }
+    if (changes.active !== undefined) { sets.push('active = ?'); params.push(changes.active ? 1 : 0); }
+    if (changes.password !== undefined) {
+      const { hash, salt } = hashPassword(String(changes.password));
+      sets.push('passwordHash = ?', 'passwordSalt = ?');
+      params.push(hash, salt);
+    }
+    if (sets.length) await conn.query(`UPDATE users SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+    await conn.commit();
+
+    if (changes.active === false || changes.role !== undefined || changes.password !== undefined) await revokeUserSessions(id);
+    return getUser(id);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Check a username/password pair; returns the user (and records the login) or null
+export async function authenticateUser(username, password) {
+  const [rows] = await pool.query(
+    `SELECT ${USER_COLUMNS}, passwordHash, passwordSalt FROM users WHERE username = ?`,
+    [String(username || '').trim().toLowerCase()]
+  );
+  if (!rows.length || !rows[0].active) return null;
+  const { passwordHash, passwordSalt, ...user } = rows[0];
+  if (!verifyPassword(String(password), passwordSalt, passwordHash)) return null;
+  await pool.query("UPDATE users SET lastLoginAt = NOW() WHERE id = ?", [user.id]);
+  return normalizeUser(user);
+}
+
+export async function changeOwnPassword(id, currentPassword, newPassword) {
+  const [rows] = await pool.query("SELECT passwordHash, passwordSalt FROM users WHERE id = ?", [id]);
+  if (!rows.length || !verifyPassword(String(currentPassword || ''), rows[0].passwordSalt, rows[0].passwordHash)) {
+    throw new ValidationError([WRONG_PASSWORD]);
+  }
+  const errs = validateUserFields({ password: newPassword });
+  if (errs.length) throw new ValidationError(errs);
+  const { hash, salt } = hashPassword(String(newPassword));
+  await pool.query("UPDATE users SET passwordHash = ?, passwordSalt = ? WHERE id = ?", [hash, salt, id]);
+}
+
+// Sessions live in the database so they survive restarts and are shared by
+// every instance. The cookie holds the token; the table holds its SHA-256.
+
+export async function createSession(userId, { ip, userAgent } = {}) {
+  const token = newSessionToken();
+  await pool.query(
+    "INSERT INTO user_sessions (tokenHash, userId, ip, userAgent, expiresAt) VALUES (?, ?, ?, ?, NOW() + INTERVAL ? SECOND)",
+    [hashToken(token), userId, ip ? String(ip).slice(0, 45) : null, userAgent ? String(userAgent).slice(0, 255) : null, SESSION_TTL_SECONDS]
+  );
+  return token;
+}
+
+// The signed-in (active) user for a token, with the session's id as sessionId, or null
+export async function getSessionUser(token) {
+  if (!token) return null;
+  const [rows] = await pool.query(`
+    SELECT s.id AS sessionId, TIMESTAMPDIFF(SECOND, s.lastSeenAt, NOW()) AS idleSeconds,
+      ${USER_COLUMNS.split(', ').map((c) => `u.${c}`).join(', ')}
+    FROM user_sessions s
+    JOIN users u ON u.id = s.userId
+    WHERE s.tokenHash = ? AND s.expiresAt > NOW() AND u.active = 1
+  `, [hashToken(token)]);
+  if (!rows.length) return null;
+  const { idleSeconds, ...user } = rows[0];
+  // extend TTL on use
+  if (Number(idleSeconds) >= SESSION_TOUCH_SECONDS) {
+    await pool.query(
+      "UPDATE user_sessions SET lastSeenAt = NOW(), expiresAt = NOW() + INTERVAL ? SECOND WHERE id = ?",
+      [SESSION_TTL_SECONDS, user.sessionId]
+    );
+  }
+  return normalizeUser(user);
+}
+
+export async function revokeSession(token) {
+  if (!token) return false;
+  const [res] = await pool.query("DELETE FROM user_sessions WHERE tokenHash = ?", [hashToken(token)]);
+  return res.affectedRows > 0;
+}
+
+export async function revokeSessionById(id) {
+  const [res] = await pool.query("DELETE FROM user_sessions WHERE id = ?", [id]);
+  return res.affectedRows > 0;
+}
+
+export async function revokeUserSessions(userId) {
+  const [res] = await pool.query("DELETE FROM user_sessions WHERE userId = ?", [userId]);
+  return res.affectedRows;
+}
+
+// Sign out everyone (or one user), optionally keeping the caller's own session.
+// Returns how many sessions were ended.
+export async function revokeAllSessions({ userId = null, exceptSessionId = null } = {}) {
+  const where = [];
+  const params = [];
+  if (userId != null) { where.push('userId = ?'); params.push(userId); }
+  if (exceptSessionId != null) { where.push('id <> ?'); params.push(exceptSessionId); }
+  const [res] = await pool.query(
+    `DELETE FROM user_sessions${where.length ? ' WHERE ' + where.join(' AND ') : ''}`,
+    params
+  );
+  return res.affectedRows;
+}
+
+// Unexpired sessions, most recently used first
+export async function getActiveSessions() {
+  const [rows] = await pool.query(`
+    SELECT s.id, s.userId, u.username, u.displayName, u.role, s.ip, s.userAgent, s.createdAt, s.lastSeenAt, s.expiresAt
+    FROM user_sessions s
+    JOIN users u ON u.id = s.userId
+    WHERE s.expiresAt > NOW()
+    ORDER BY s.lastSeenAt DESC
+  `);
+  return rows;
+}
+
+// ----------------------
+// Login lockout
+// ----------------------
+// When the IP is locked out, the time the lock ends; otherwise null
+export async function getLoginLock(ip) {
+  const [rows] = await pool.query(
+    "SELECT lockedUntil FROM login_attempts WHERE ip = ? AND lockedUntil > NOW()",
+    [String(ip).slice(0, 45)]
+  );
+  return rows.length ? rows[0].lockedUntil : null;
+}
+
+/**
+ * Count a failed sign-in. The upsert restarts the count once the window has
+ * passed and sets the lock when the count reaches MAX_LOGIN_ATTEMPTS, in one
+ * statement so concurrent requests (or instances) can't both slip under it.
+ */
+export async function recordFailedLogin(ip) {
+  await pool.query(`
+    INSERT INTO login_attempts (ip, count, firstAt) VALUES (?, 1, NOW())
+    ON DUPLICATE KEY UPDATE
+      count = IF(firstAt < NOW() - INTERVAL ? SECOND, 1, count + 1),
+      firstAt = IF(count = 1, NOW(), firstAt),
+      lockedUntil = IF(count >= ?, NOW() + INTERVAL ? SECOND, lockedUntil)
+  `, [String(ip).slice(0, 45), ATTEMPT_WINDOW_SECONDS, MAX_LOGIN_ATTEMPTS, LOCK_SECONDS]);
+}
+
+export async function clearLoginAttempts(ip) {
+  await pool.query("DELETE FROM login_attempts WHERE ip = ?", [String(ip).slice(0, 45)]);
+}
+
+// Drop expired sessions and stale attempt records; run periodically
+export async function cleanupExpiredAuth() {
+  const [sessions] = await pool.query("DELETE FROM user_sessions WHERE expiresAt <= NOW()");
+  const [attempts] = await pool.query(
+    "DELETE FROM login_attempts WHERE firstAt < NOW() - INTERVAL ? SECOND AND (lockedUntil IS NULL OR lockedUntil <= NOW())",
+    [ATTEMPT_WINDOW_SECONDS]
+  );
+  return { sessions: sessions.affectedRows, loginAttempts: attempts.affectedRows };
+}
+
+// ----------------------
+// Settings
+// ----------------------
+// Every setting, with defaults for the ones never saved
+export async function getSettings() {
+  const [rows] = await pool.query("SELECT name, value FROM settings");
+  const saved = Object.fromEntries(rows.filter((r) => r.name in DEFAULT_SETTINGS).map((r) => [r.name, JSON.parse(r.value)]));
+  return { ...DEFAULT_SETTINGS, ...saved };
+}
+
+// Save some settings (the rest keep their values) and return them all
+export async function updateSettings(changes, updatedBy) {
+  const values = validateSettings(changes);
+  const by = updatedBy ? String(updatedBy).trim().slice(0, 100) : null;
+  for (const [name, value] of Object.entries(values)) {
+    await pool.query(
+      "INSERT INTO settings (name, value, updatedBy) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE value = VALUES(value), updatedBy = VALUES(updatedBy)",
+      [name, JSON.stringify(value), by]
+    );
+  }
+  return getSettings();
+}
+
+// ----------------------
+// Payment methods
+// ----------------------
+const normalizePaymentMethod = (r) => ({
+  ...r, settlesImmediately: !!r.settlesImmediately, isCash: !!r.isCash, enabled: !!r.enabled,
+});
+
+export async function getPaymentMethods({ includeDisabled = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT * FROM payment_methods ${includeDisabled ? '' : 'WHERE enabled = 1'} ORDER BY sortOrder, id`
+  );
+  return rows.map(normalizePaymentMethod);
+}
+
+async function getPaymentMethod(id) {
+  const [rows] = await pool.query("SELECT * FROM payment_methods WHERE id = ?", [id]);
+  return rows.length ? normalizePaymentMethod(rows[0]) : null;
+}
+
+// Every method, disabled ones included: name -> row
+async function paymentMethodsByName(conn) {
+  const [rows] = await conn.query("SELECT * FROM payment_methods");
+  return new Map(rows.map((r) => [r.name, normalizePaymentMethod(r)]));
+}
+
+export async function createPaymentMethod(method) {
+  const errs = validatePaymentMethodFields(method, { isNew: true });
+  if (errs.length) throw new ValidationError(errs);
+  const name = String(method.name).trim();
+  try {
+    const [res] = await pool.query(
+      "INSERT INTO payment_methods (name, settlesImmediately, isCash, enabled, sortOrder) VALUES (?, ?, ?, ?, ?)",
+      [name, method.settlesImmediately ?? true, method.isCash ?? false, method.enabled ?? true, method.sortOrder ?? 0]
+    );
+    return getPaymentMethod(res.insertId);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw duplicatePaymentMethodError(name);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Change a payment method's flags or position. Orders already taken keep the
+ * status they were given. The last enabled method can't be disabled.
+ * Returns null when the method doesn't exist.
+ */
+export async function updatePaymentMethod(id, changes) {
+  const errs = validatePaymentMethodFields(changes);
+  if (errs.length) throw new ValidationError(errs);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT id, enabled FROM payment_methods WHERE id = ? FOR UPDATE", [id]);
+    if (!rows.length) {
+      await conn.rollback();
+      return null;
+    }
+    if (rows[0].enabled && changes.enabled === false) {
+      const [enabled] = await conn.query("SELECT COUNT(*) AS c FROM payment_methods WHERE enabled = 1 FOR UPDATE");
+      if (Number(enabled[0].c) <= 1) {
+        throw new ValidationError([LAST_PAYMENT_METHOD]);
+      }
+    }
+
+    const sets = [];
+    const params = [];
+    for (const field of ['settlesImmediately', 'isCash', 'enabled', 'sortOrder']) {
+      if (changes[field] !== undefined) { sets.push(`${field} = ?`); params.push(changes[field]); }
+    }
+    if (sets.length) await conn.query(`UPDATE payment_methods SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+    await conn.commit();
+    return getPaymentMethod(id);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// ----------------------
+// Discounts
+// ----------------------
+const DISCOUNT_COLUMNS = ['name', 'type', 'scope', 'value', 'quantity', 'itemDataName', 'tab', 'category', 'startTime', 'endTime', 'automatic', 'enabled', 'sortOrder'];
+
+const normalizeDiscount = (r) => ({ ...r, value: parseFloat(r.value), automatic: !!r.automatic, enabled: !!r.enabled });
+
+export async function getDiscounts({ includeDisabled = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT * FROM discounts ${includeDisabled ? '' : 'WHERE enabled = 1'} ORDER BY sortOrder, id`
+  );
+  return rows.map(normalizeDiscount);
+}
+
+async function getDiscount(id, conn = pool) {
+  const [rows] = await conn.query("SELECT * FROM discounts WHERE id = ?", [id]);
+  return rows.length ? normalizeDiscount(rows[0]) : null;
+}
+
+// Every discount, disabled ones included: id -> row
+async function discountsById(conn) {
+  const [rows] = await conn.query("SELECT * FROM discounts");
+  return new Map(rows.map((r) => [r.id, normalizeDiscount(r)]));
+}
+
+export async function createDiscount(discount) {
+  const errs = validateDiscountFields(discount);
+  if (errs.length) throw new ValidationError(errs);
+  const fields = discountFields(discount);
+  try {
+    const [res] = await pool.query(
+      `INSERT INTO discounts (${DISCOUNT_COLUMNS.join(', ')}) VALUES (?)`,
+      [DISCOUNT_COLUMNS.map((c) => fields[c])]
+    );
+    return getDiscount(res.insertId);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw duplicateDiscountError(fields.name);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Change a discount. Orders already taken keep what they got off, under the
+ * name the discount had then. Returns null when the discount doesn't exist.
+ */
+export async function updateDiscount(id, changes) {
+  const current = await getDiscount(id);
+  if (!current) return null;
+  const merged = { ...current };
+  for (const field of DISCOUNT_COLUMNS) {
+    if (changes[field] !== undefined) merged[field] = changes[field];
+  }
+  const errs = validateDiscountFields(merged);
+  if (errs.length) throw new ValidationError(errs);
+  const fields = discountFields(merged);
+  try {
+    await pool.query(
+      `UPDATE discounts SET ${DISCOUNT_COLUMNS.map((c) => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...DISCOUNT_COLUMNS.map((c) => fields[c]), id]
+    );
+    return getDiscount(id);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw duplicateDiscountError(fields.name);
+    }
+    throw err;
+  }
+}
+
+// ----------------------
+// Tabs and categories
+// ----------------------
+const normalizeTab = (r) => ({ ...r, fulfillment: !!r.fulfillment, active: !!r.active });
+
+// Every tab, hidden ones included, each with its categories, in sortOrder
+export async function getTabs() {
+  const [tabs] = await pool.query("SELECT * FROM menu_tabs ORDER BY sortOrder, id");
+  const [categories] = await pool.query("SELECT id, tab, name, sortOrder FROM menu_categories ORDER BY sortOrder, id");
+  return tabs.map((t) => ({ ...normalizeTab(t), categories: categories.filter((c) => c.tab === t.slug) }));
+}
+
+async function getTab(id) {
+  return (await getTabs()).find((t) => t.id === Number(id)) || null;
+}
+
+async function getCategory(id) {
+  const [rows] = await pool.query("SELECT id, tab, name, sortOrder FROM menu_categories WHERE id = ?", [id]);
+  return rows.length ? rows[0] : null;
+}
+
+export async function createTab(tab) {
+  const errs = validateTabFields(tab, { isNew: true });
+  if (errs.length) throw new ValidationError(errs);
+  try {
+    const [res] = await pool.query(
+      "INSERT INTO menu_tabs (slug, label, fulfillment, active, sortOrder) VALUES (?, ?, ?, ?, ?)",
+      [tab.slug, tab.label.trim(), tab.fulfillment ?? false, tab.active ?? true, tab.sortOrder ?? 0]
+    );
+    return getTab(res.insertId);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw duplicateTabError(tab.slug);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Change a tab's label, flags or position. The last visible tab can't be
+ * hidden. Returns null when the tab doesn't exist.
+ */
+export async function updateTab(id, changes) {
+  const errs = validateTabFields(changes);
+  if (errs.length) throw new ValidationError(errs);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT id, active FROM menu_tabs WHERE id = ? FOR UPDATE", [id]);
+    if (!rows.length) {
+      await conn.rollback();
+      return null;
+    }
+    if (rows[0].active && changes.active === false) {
+      const [visible] = await conn.query("SELECT COUNT(*) AS c FROM menu_tabs WHERE active = 1 FOR UPDATE");
+      if (Number(visible[0].c) <= 1) {
+        throw new ValidationError([LAST_TAB]);
+      }
+    }
+
+    const sets = [];
+    const params = [];
+    if (changes.label !== undefined) { sets.push('label = ?'); params.push(changes.label.trim()); }
+    for (const field of ['fulfillment', 'active', 'sortOrder']) {
+      if (changes[field] !== undefined) { sets.push(`${field} = ?`); params.push(changes[field]); }
+    }
+    if (sets.length) await conn.query(`UPDATE menu_tabs SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+    await conn.commit();
+    return getTab(id);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function createCategory(category) {
+  const errs = validateCategoryFields(category, { isNew: true });
+  if (errs.length) throw new ValidationError(errs);
+  const name = category.name.trim();
+  const [tabs] = await pool.query("SELECT id FROM menu_tabs WHERE slug = ?", [category.tab]);
+  if (!tabs.length) throw unknownTabError(category.tab);
+  try {
+    const [res] = await pool.query(
+      "INSERT INTO menu_categories (tab, name, sortOrder) VALUES (?, ?, ?)",
+      [category.tab, name, category.sortOrder ?? 0]
+    );
+    return getCategory(res.insertId);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw duplicateCategoryError(name);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Rename or move a category within its tab. A rename carries over to the items
+ * in it, in every event. Returns null when the category doesn't exist.
+ */
+export async function updateCategory(id, changes) {
+  const errs = validateCategoryFields(changes);
+  if (errs.length) throw new ValidationError(errs);
+  const name = changes.name !== undefined ? changes.name.trim() : undefined;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT id, tab, name FROM menu_categories WHERE id = ? FOR UPDATE", [id]);
+    if (!rows.length) {
+      await conn.rollback();
+      return null;
+    }
+    const current = rows[0];
+    if (name !== undefined && name !== current.name) {
+      await conn.query("UPDATE menu_categories SET name = ? WHERE id = ?", [name, id]);
+      await conn.query("UPDATE items SET category = ? WHERE tab = ? AND category = ?", [name, current.tab, current.name]);
+    }
+    if (changes.sortOrder !== undefined) {
+      await conn.query("UPDATE menu_categories SET sortOrder = ? WHERE id = ?", [changes.sortOrder, id]);
+    }
+    await conn.commit();
+    return getCategory(id);
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw duplicateCategoryError(name);
+    }
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Only empty categories (no items in any event) can be deleted. Returns null when it doesn't exist.
+export async function deleteCategory(id) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query("SELECT id, tab, name FROM menu_categories WHERE id = ? FOR UPDATE", [id]);
+    if (!rows.length) {
+      await conn.rollback();
+      return null;
+    }
+    const [used] = await conn.query("SELECT COUNT(*) AS c FROM items WHERE tab = ? AND category = ?", [rows[0].tab, rows[0].name]);
+    if (Number(used[0].c) > 0) {
+      throw new ValidationError([CATEGORY_IN_USE]);
+    }
+    await conn.query("DELETE FROM menu_categories WHERE id = ?", [id]);
+    await conn.commit();
+    return { id };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
   }
 }
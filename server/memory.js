@@ -0,0 +1,56 @@
+// memory.js
+// The in-memory storage backend (STORAGE_BACKEND=memory): the whole POS with
+// no database server, for trying it out or testing. Nothing survives a restart.
+import { createDocStoreBackend, matchesWhere, pastCursor, compareForFind } from "./docstore.js";
+
+const collections = new Map();
+
+function collection(name) {
+  if (!collections.has(name)) collections.set(name, new Map());
+  return collections.get(name);
+}
+
+// Documents are copied in and out so callers can't change stored data by accident
+const raw = {
+  async get(col, id) {
+    const doc = collection(col).get(String(id));
+    return doc ? structuredClone(doc) : null;
+  },
+  async find(col, where = {}, options = {}) {
+    const { limit, orderBy } = options;
+    const found = [];
+    for (const [id, doc] of collection(col)) {
+      if (limit && !orderBy && found.length >= limit) break;
+      if (matchesWhere(doc, where) && pastCursor(doc, options)) found.push({ id, data: doc });
+    }
+    if (orderBy) {
+      const compare = compareForFind(options);
+      found.sort((a, b) => compare(a.data, b.data));
+    }
+    return found.slice(0, limit || found.length).map(({ id, data }) => ({ id, data: structuredClone(data) }));
+  },
+  set(col, id, doc) {
+    collection(col).set(String(id), structuredClone(doc));
+  },
+  delete(col, id) {
+    collection(col).delete(String(id));
+  },
+};
+
+// Transactions run one at a time, which makes each one atomic and isolated
+let queue = Promise.resolve();
+
+const store = {
+  name: 'memory',
+  runTransaction(fn) {
+    const result = queue.then(() => fn(raw));
+    queue = result.catch(() => {});
+    return result;
+  },
+  async ping() {
+    return { database: 'in-memory' };
+  },
+  async close() {},
+};
+
+export default createDocStoreBackend(store);
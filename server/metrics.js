@@ -0,0 +1,118 @@
+// metrics.js
+// Prometheus metrics for GET /metrics, in the text exposition format. Values
+// are kept in this process, so with several server instances each one is
+// scraped on its own; counters start again from zero on a restart, which
+// Prometheus' rate() expects.
+
+const metrics = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// The labels of one series, in the metric's label order, as a map key
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((n) => labels[n] ?? ''));
+const seriesLabels = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((v, i) => [labelNames[i], v]));
+
+// A value that only goes up: counter('pos_x_total', 'Help', ['result']).inc({ result: 'ok' })
+export function counter(name, help, labelNames = []) {
+  // A counter without labels reads 0 before its first increment
+  const values = new Map(labelNames.length ? [] : [[seriesKey(labelNames, {}), 0]]);
+  metrics.push({
+    name, help, type: 'counter',
+    lines: () => [...values].map(([key, value]) => `${name}${labelText(seriesLabels(labelNames, key))} ${value}`),
+  });
+  return {
+    inc(labels = {}, by = 1) {
+      const key = seriesKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+  };
+}
+
+// A value read when scraped: collect() returns [{ labels, value }], or nothing to skip the metric
+export function gauge(name, help, collect) {
+  metrics.push({
+    name, help, type: 'gauge',
+    lines: () => (collect() || []).map(({ labels = {}, value }) => `${name}${labelText(labels)} ${value}`),
+  });
+}
+
+// Observations counted into cumulative buckets (upper bounds, ascending) with their sum
+export function histogram(name, help, labelNames = [], buckets) {
+  const series = new Map();
+  metrics.push({
+    name, help, type: 'histogram',
+    lines: () => [...series].flatMap(([key, s]) => {
+      const labels = seriesLabels(labelNames, key);
+      return [
+        ...buckets.map((le, i) => `${name}_bucket${labelText({ ...labels, le })} ${s.counts[i]}`),
+        `${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${s.count}`,
+        `${name}_sum${labelText(labels)} ${s.sum}`,
+        `${name}_count${labelText(labels)} ${s.count}`,
+      ];
+    }),
+  });
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      const s = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+      series.set(key, s);
+    },
+  };
+}
+
+// Every metric in the exposition format (served as text/plain; version=0.0.4)
+export function renderMetrics() {
+  const out = [];
+  for (const m of metrics) {
+    const lines = m.lines();
+    if (!lines.length && m.type === 'gauge') continue;
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...lines);
+  }
+  return out.join('\n') + '\n';
+}
+
+// ----------------------
+// The server's metrics
+// ----------------------
+const httpDuration = histogram(
+  'http_request_duration_seconds',
+  'Time to respond to an HTTP request, by route',
+  ['method', 'route', 'status'],
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+
+// created, replayed (an offline register sent it again), rejected (400) or failed (500)
+export const ordersSubmitted = counter('pos_orders_submitted_total', 'Orders submitted at checkout, by result', ['result']);
+export const loginFailures = counter('pos_login_failures_total', 'Sign-ins refused for a wrong username or password');
+export const loginLockouts = counter('pos_login_lockouts_total', 'Times an address was locked out after too many failed sign-ins');
+export const loginBlocked = counter('pos_login_blocked_total', 'Sign-ins refused because the address was locked out');
+
+gauge('process_uptime_seconds', 'Seconds since the server started', () => [{ value: Math.round(process.uptime()) }]);
+gauge('process_resident_memory_bytes', 'Resident memory of the server process', () => [{ value: process.memoryUsage().rss }]);
+gauge('nodejs_heap_used_bytes', 'V8 heap in use', () => [{ value: process.memoryUsage().heapUsed }]);
+
+/**
+ * Express middleware recording each response's latency under its route
+ * pattern (/api/orders/:orderId, not every order id). Static files served
+ * and everything else no route answered are grouped, and the live stream is
+ * left out since it stays open for as long as a register is connected.
+ */
+export function requestMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const served = (req.method === 'GET' || req.method === 'HEAD') && res.statusCode < 400;
+    const route = req.route ? req.baseUrl + req.route.path : served ? 'static' : 'unmatched';
+    if (route === '/api/stream') return;
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+  });
+  next();
+}
@@ -0,0 +1,62 @@
+// migrate.js
+// Schema migrations for the MariaDB backend from the command line (the server
+// applies pending ones itself when it starts; see migrations/index.js).
+//
+//   node server/migrate.js status
+//   node server/migrate.js up [--to <version>]
+//   node server/migrate.js down [--steps <n>] [--force]
+//
+// `down` undoes the latest migrations and may drop data, so it is meant for
+// development and refuses to run with NODE_ENV=production unless --force is given.
+import dotenv from "dotenv";
+dotenv.config();
+
+const { pool } = await import("./db.js");
+const { getMigrationStatus, migrateUp, migrateDown } = await import("./migrations/index.js");
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const pad = (version) => String(version).padStart(3, '0');
+// Progress as plain lines: "🔧 Applying migration: 003_discounts"
+const printLog = (msg, fields = {}) => {
+  const values = Object.values(fields);
+  console.log(`🔧 ${msg}${values.length ? ': ' + values.join(', ') : ''}`);
+};
+const command = process.argv[2] || 'status';
+
+try {
+  if (command === 'status') {
+    const status = await getMigrationStatus(pool);
+    for (const s of status) {
+      const state = s.missing ? 'applied, file missing'
+        : s.changed ? 'applied, file changed since'
+        : s.applied ? `applied ${new Date(s.appliedAt).toISOString()}`
+        : 'pending';
+      console.log(`${s.missing || s.changed ? '⚠️ ' : s.applied ? '✅' : '⏳'} ${pad(s.version)} ${s.name.padEnd(28)} ${state}`);
+    }
+    const pending = status.filter((s) => !s.applied).length;
+    console.log(pending ? `${pending} pending` : 'Up to date');
+  } else if (command === 'up') {
+    const to = argValue('--to', null);
+    const { applied, version } = await migrateUp(pool, { to: to != null ? Number(to) : undefined, log: printLog });
+    console.log(applied.length ? `✅ Applied ${applied.map(pad).join(', ')}; schema at version ${version}` : `✅ Nothing to apply; schema at version ${version}`);
+  } else if (command === 'down') {
+    if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+      throw new Error('Refusing to undo migrations with NODE_ENV=production (add --force if you really mean it)');
+    }
+    const steps = Number(argValue('--steps', 1));
+    if (!Number.isInteger(steps) || steps < 1) throw new Error('--steps must be a positive whole number');
+    const undone = await migrateDown(pool, { steps, log: printLog });
+    console.log(undone.length ? `✅ Undid ${undone.map(pad).join(', ')}` : 'Nothing to undo');
+  } else {
+    throw new Error(`Unknown command '${command}' (expected status, up or down)`);
+  }
+} catch (err) {
+  console.error('❌ Migration failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,393 @@
+// 001_initial_schema.js
+// The schema as it stood when migrations were introduced. Databases from before
+// then already have some or all of it, so every step checks first (IF NOT
+// EXISTS, or a look at the table) and this migration brings any of them up to date.
+
+// This file's checksum before it reported through log; databases that ran it
+// then are up to date
+export const previousChecksums = ['eb7b4eb42634eb9f3436a39d5bdc41de8637457da4dbd24d0c5378da374585ac'];
+
+// Child tables first, so foreign keys don't block the drops
+const TABLES = [
+  'settings', 'order_payments', 'payment_methods', 'stock_movements', 'raffle_draws', 'raffle_tickets',
+  'menu_categories', 'menu_tabs', 'item_modifiers', 'item_components', 'items', 'transactions', 'order_audit',
+  'order_status_log', 'drawer_sessions', 'orders', 'login_attempts', 'user_sessions', 'users', 'events',
+];
+
+export async function up(conn, { log }) {
+  // Create events table (each tournament gets its own orders, menu and order numbers)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      startDate DATE NULL,
+      endDate DATE NULL,
+      active TINYINT(1) NOT NULL DEFAULT 0,
+      orderCounter INT NOT NULL DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closedAt DATETIME NULL
+    )
+  `);
+
+  // Create users table (per-person logins; role is cashier, manager or admin)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(50) NOT NULL UNIQUE,
+      displayName VARCHAR(100) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'cashier',
+      passwordHash VARCHAR(128) NOT NULL,
+      passwordSalt VARCHAR(128) NOT NULL,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      lastLoginAt DATETIME NULL
+    )
+  `);
+
+  // Signed-in sessions. Only a SHA-256 of the token is stored, so a copy of
+  // the database can't be used to sign in.
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tokenHash CHAR(64) NOT NULL UNIQUE,
+      userId INT NOT NULL,
+      ip VARCHAR(45) NULL,
+      userAgent VARCHAR(255) NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      lastSeenAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expiresAt DATETIME NOT NULL,
+      INDEX idx_user_sessions_user (userId),
+      INDEX idx_user_sessions_expires (expiresAt),
+      FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Failed sign-ins per client IP, for the login lockout
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      ip VARCHAR(45) PRIMARY KEY,
+      count INT NOT NULL DEFAULT 0,
+      firstAt DATETIME NOT NULL,
+      lockedUntil DATETIME NULL
+    )
+  `);
+
+  // Create orders table
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS orders (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId VARCHAR(10) NOT NULL UNIQUE,
+      totalAmount DECIMAL(10,2),
+      paymentType VARCHAR(50),
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      status VARCHAR(50)
+    )
+  `);
+
+  await conn.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS statusNote VARCHAR(255) NULL`);
+  await conn.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS statusUpdatedAt DATETIME NULL`);
+  await conn.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS eventId INT NULL`);
+  await conn.query(`ALTER TABLE orders ADD INDEX IF NOT EXISTS idx_orders_event (eventId)`);
+  await conn.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS drawerSessionId INT NULL`);
+  await conn.query(`ALTER TABLE orders ADD INDEX IF NOT EXISTS idx_orders_drawer (drawerSessionId)`);
+  // Client-generated key so an offline order replayed twice is only recorded once
+  await conn.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS idempotencyKey VARCHAR(64) NULL`);
+  await conn.query(`ALTER TABLE orders ADD UNIQUE INDEX IF NOT EXISTS uq_orders_idempotency (idempotencyKey)`);
+  // The signed-in user who rang the order up
+  await conn.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS cashierId INT NULL`);
+  await conn.query(`ALTER TABLE orders ADD INDEX IF NOT EXISTS idx_orders_cashier (cashierId)`);
+  // Sum of refund lines; net sales are totalAmount - refundedAmount
+  await conn.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS refundedAmount DECIMAL(10,2) NOT NULL DEFAULT 0`);
+  // Stand ticket state for concession orders (see FULFILLMENT_STATUSES); NULL = nothing to prepare
+  await conn.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS fulfillmentStatus VARCHAR(20) NULL`);
+  await conn.query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS fulfillmentUpdatedAt DATETIME NULL`);
+  await conn.query(`ALTER TABLE orders ADD INDEX IF NOT EXISTS idx_orders_fulfillment (eventId, fulfillmentStatus)`);
+  // Now the methods an order was paid with ("Cash + Venmo"); the amounts are in order_payments
+  await conn.query(`ALTER TABLE orders MODIFY COLUMN paymentType VARCHAR(150)`);
+
+  // Create cash drawer sessions (a till from opening float to counted close)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS drawer_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      eventId INT NULL,
+      openedBy VARCHAR(100),
+      openingFloat DECIMAL(10,2) NOT NULL DEFAULT 0,
+      openedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closedBy VARCHAR(100),
+      closedAt DATETIME NULL,
+      countedAmount DECIMAL(10,2) NULL,
+      denominations TEXT NULL,
+      expectedCash DECIMAL(10,2) NULL,
+      overShort DECIMAL(10,2) NULL,
+      notes VARCHAR(255)
+    )
+  `);
+
+  // Create order status log (one row per payment status change, e.g. Venmo reconciliation)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS order_status_log (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId VARCHAR(10) NOT NULL,
+      fromStatus VARCHAR(50),
+      toStatus VARCHAR(50) NOT NULL,
+      note VARCHAR(255),
+      changedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (orderId) REFERENCES orders(orderId)
+    )
+  `);
+  await conn.query(`ALTER TABLE order_status_log ADD COLUMN IF NOT EXISTS changedBy VARCHAR(100) NULL`);
+
+  // Create order audit trail (voids, refunds and edits made after checkout)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS order_audit (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId VARCHAR(10) NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      amount DECIMAL(10,2) NULL,
+      reason VARCHAR(255),
+      actor VARCHAR(100),
+      details TEXT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_order_audit_order (orderId)
+    )
+  `);
+
+  // Create transactions table
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS transactions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId VARCHAR(10),
+      item VARCHAR(100),
+      quantity INT,
+      total DECIMAL(10,2),
+      FOREIGN KEY (orderId) REFERENCES orders(orderId)
+    )
+  `);
+  // Refunds are stored as negative 'refund' lines pointing at the sale line they reverse
+  await conn.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS type VARCHAR(10) NOT NULL DEFAULT 'sale'`);
+  await conn.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS refundOf INT NULL`);
+  await conn.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reason VARCHAR(255) NULL`);
+  await conn.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS createdBy VARCHAR(100) NULL`);
+  await conn.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS createdAt DATETIME NULL`);
+  // Options picked for the line (a JSON array of modifier names)
+  await conn.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS modifiers TEXT NULL`);
+
+  // Create items table (for admin-managed sale items)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tab VARCHAR(50) NOT NULL,
+      category VARCHAR(100) NOT NULL,
+      name VARCHAR(200) NOT NULL,
+      dataName VARCHAR(200),
+      price DECIMAL(10,2) DEFAULT 0,
+      color VARCHAR(50),
+      orderIndex INT DEFAULT 0,
+      active TINYINT(1) NOT NULL DEFAULT 1
+    )
+  `);
+
+  // Columns added after the first release (MariaDB supports IF NOT EXISTS here)
+  await conn.query(`ALTER TABLE items ADD COLUMN IF NOT EXISTS active TINYINT(1) NOT NULL DEFAULT 1`);
+  await conn.query(`ALTER TABLE items ADD COLUMN IF NOT EXISTS eventId INT NULL`);
+  await conn.query(`ALTER TABLE items ADD INDEX IF NOT EXISTS idx_items_event (eventId)`);
+  // Inventory: NULL stockQty means the item's stock is not tracked
+  await conn.query(`ALTER TABLE items ADD COLUMN IF NOT EXISTS stockQty INT NULL`);
+  await conn.query(`ALTER TABLE items ADD COLUMN IF NOT EXISTS lowStockThreshold INT NULL`);
+  // Raffle packages: tickets issued per unit sold (NULL = not a raffle package).
+  // The stock raffle packages get their counts the first time the column is added.
+  const [ticketCol] = await conn.query(`SHOW COLUMNS FROM items LIKE 'ticketCount'`);
+  if (!ticketCol.length) {
+    await conn.query(`ALTER TABLE items ADD COLUMN ticketCount INT NULL`);
+    await conn.query(`
+      UPDATE items SET ticketCount = CASE dataName
+        WHEN 'single_ticket' THEN 1 WHEN '6pack_ticket' THEN 6 WHEN '14pack_ticket' THEN 14 WHEN '30pack_ticket' THEN 30 END
+      WHERE dataName IN ('single_ticket', '6pack_ticket', '14pack_ticket', '30pack_ticket')
+    `);
+  }
+  await conn.query(`ALTER TABLE events ADD COLUMN IF NOT EXISTS ticketCounter INT NOT NULL DEFAULT 0`);
+  // Picture shown on the register's item card
+  await conn.query(`ALTER TABLE items ADD COLUMN IF NOT EXISTS imageUrl VARCHAR(500) NULL`);
+
+  // Create bundle components table (the items a bundle is made of)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS item_components (
+      bundleId INT NOT NULL,
+      componentId INT NOT NULL,
+      qty INT NOT NULL DEFAULT 1,
+      PRIMARY KEY (bundleId, componentId),
+      INDEX idx_item_components_component (componentId)
+    )
+  `);
+
+  // Create item modifiers table (options such as a size or flavor, with a price delta)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS item_modifiers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      itemId INT NOT NULL,
+      groupName VARCHAR(50) NOT NULL,
+      name VARCHAR(50) NOT NULL,
+      priceDelta DECIMAL(10,2) NOT NULL DEFAULT 0,
+      sortOrder INT NOT NULL DEFAULT 0,
+      INDEX idx_item_modifiers_item (itemId)
+    )
+  `);
+
+  // Create menu tabs table (admin-managed; see SEED_TABS)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS menu_tabs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      slug VARCHAR(50) NOT NULL UNIQUE,
+      label VARCHAR(50) NOT NULL,
+      fulfillment BOOLEAN NOT NULL DEFAULT FALSE,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      sortOrder INT NOT NULL DEFAULT 0
+    )
+  `);
+
+  // Create menu categories table (per tab; items name theirs)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS menu_categories (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tab VARCHAR(50) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      sortOrder INT NOT NULL DEFAULT 0,
+      UNIQUE KEY uq_menu_categories_tab_name (tab, name)
+    )
+  `);
+
+  // Create raffle ticket ranges (one row per package sold, numbered per event)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS raffle_tickets (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      eventId INT NOT NULL,
+      orderId VARCHAR(10) NOT NULL,
+      transactionId INT NULL,
+      item VARCHAR(100),
+      firstTicket INT NOT NULL,
+      lastTicket INT NOT NULL,
+      voided TINYINT(1) NOT NULL DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_raffle_tickets_event_first (eventId, firstTicket),
+      INDEX idx_raffle_tickets_order (orderId)
+    )
+  `);
+
+  // Create raffle draw log (each winner with the seed that picked it)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS raffle_draws (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      eventId INT NOT NULL,
+      drawNumber INT NOT NULL,
+      prize VARCHAR(200),
+      seed VARCHAR(128) NOT NULL,
+      poolSize INT NOT NULL,
+      ticketNumber INT NOT NULL,
+      orderId VARCHAR(10) NOT NULL,
+      drawnBy VARCHAR(100),
+      voided TINYINT(1) NOT NULL DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_raffle_draws_event_number (eventId, drawNumber)
+    )
+  `);
+
+  // Create stock movement log (every change to a tracked item's stock, with a reason)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      itemId INT NOT NULL,
+      delta INT NOT NULL,
+      balanceAfter INT NULL,
+      reason VARCHAR(50) NOT NULL,
+      note VARCHAR(255),
+      orderId VARCHAR(10) NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_stock_movements_item (itemId)
+    )
+  `);
+
+  // Create payment methods table (admin-managed; see SEED_PAYMENT_METHODS)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS payment_methods (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(30) NOT NULL UNIQUE,
+      settlesImmediately BOOLEAN NOT NULL DEFAULT TRUE,
+      isCash BOOLEAN NOT NULL DEFAULT FALSE,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      sortOrder INT NOT NULL DEFAULT 0
+    )
+  `);
+
+  // Create order payments table (one row per tender; split orders have several)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS order_payments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId VARCHAR(10) NOT NULL,
+      method VARCHAR(30) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      isCash BOOLEAN NOT NULL DEFAULT FALSE,
+      tendered DECIMAL(10,2) NULL,
+      changeDue DECIMAL(10,2) NULL,
+      INDEX idx_order_payments_order (orderId)
+    )
+  `);
+  // Orders from before split tender were paid in full with their paymentType
+  const [backfill] = await conn.query(`
+    INSERT INTO order_payments (orderId, method, amount, isCash)
+    SELECT o.orderId, COALESCE(o.paymentType, 'Unknown'), COALESCE(o.totalAmount, 0), o.paymentType <=> 'Cash'
+    FROM orders o
+    WHERE NOT EXISTS (SELECT 1 FROM order_payments p WHERE p.orderId = o.orderId)
+  `);
+  if (backfill.affectedRows) log('Recorded payments for earlier orders', { orders: backfill.affectedRows });
+
+  // Create settings table (admin-configurable values such as the Venmo handle; see DEFAULT_SETTINGS)
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS settings (
+      name VARCHAR(50) PRIMARY KEY,
+      value TEXT NOT NULL,
+      updatedBy VARCHAR(100) NULL,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  // First start with events: create a default event and move any existing
+  // orders and items into it. Its order numbers continue from the global
+  // counter kept in the old 'meta' table (dropped by migration 002).
+  const [eventCountRows] = await conn.query(`SELECT COUNT(*) as c FROM events`);
+  if (eventCountRows[0].c === 0) {
+    const [metaTable] = await conn.query(`SHOW TABLES LIKE 'meta'`);
+    const [counterRows] = metaTable.length ? await conn.query(`SELECT count FROM meta WHERE id = 'counter'`) : [[]];
+    const legacyCount = counterRows.length ? counterRows[0].count : 0;
+    const [eventRes] = await conn.query(
+      `INSERT INTO events (name, startDate, active, orderCounter) VALUES (?, CURDATE(), 1, ?)`,
+      ['Default Event', legacyCount]
+    );
+    await conn.query(`UPDATE orders SET eventId = ? WHERE eventId IS NULL`, [eventRes.insertId]);
+    await conn.query(`UPDATE items SET eventId = ? WHERE eventId IS NULL`, [eventRes.insertId]);
+    log('Created default event');
+  }
+
+  // A database from before user accounts keeps its shared admin password (from
+  // the old 'meta_text' table) as the admin user, unless ADMIN_PASSWORD is set:
+  // then that account is created when the database is seeded.
+  const [userCountRows] = await conn.query(`SELECT COUNT(*) as c FROM users`);
+  const [legacyTable] = await conn.query(`SHOW TABLES LIKE 'meta_text'`);
+  if (!process.env.ADMIN_PASSWORD && userCountRows[0].c === 0 && legacyTable.length) {
+    const adminUsername = (process.env.ADMIN_USERNAME || 'admin').toLowerCase();
+    const [legacy] = await conn.query(`SELECT id, value FROM meta_text WHERE id IN ('admin_hash', 'admin_salt')`);
+    const legacyHash = legacy.find((r) => r.id === 'admin_hash');
+    const legacySalt = legacy.find((r) => r.id === 'admin_salt');
+    if (legacyHash && legacySalt) {
+      await conn.query(
+        `INSERT INTO users (username, displayName, role, passwordHash, passwordSalt) VALUES (?, 'Admin', 'admin', ?, ?)`,
+        [adminUsername, legacyHash.value, legacySalt.value]
+      );
+      log('Moved the shared admin password to a user', { username: adminUsername });
+    }
+  }
+}
+
+// Drops everything, data included (development only; see migrate.js)
+export async function down(conn) {
+  for (const table of TABLES) await conn.query(`DROP TABLE IF EXISTS ${table}`);
+}
@@ -0,0 +1,13 @@
+// 002_drop_legacy_meta.js
+// The first release kept its order counter in 'meta' and the shared admin
+// password in 'meta_text' (with placeholder 'admin_hash'/'admin_salt' rows in
+// the integer 'meta' table). Events and user accounts replaced both, and 001
+// carries their values over, so the tables go.
+
+export async function up(conn) {
+  await conn.query(`DROP TABLE IF EXISTS meta_text`);
+  await conn.query(`DROP TABLE IF EXISTS meta`);
+}
+
+// Nothing reads the old tables any more, so there is nothing to put back
+export async function down() {}
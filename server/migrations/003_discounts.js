@@ -0,0 +1,36 @@
+// 003_discounts.js
+// Admin-defined discounts and comps (see "Discounts" in domain.js). What an
+// order got off is stored as 'discount' and 'comp' lines in transactions: the
+// discount's id and its name at the time, and the sale line it reduces.
+
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS discounts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(50) NOT NULL UNIQUE,
+      type VARCHAR(10) NOT NULL,
+      scope VARCHAR(10) NOT NULL,
+      value DECIMAL(10,2) NOT NULL DEFAULT 0,
+      quantity INT NOT NULL DEFAULT 1,
+      itemDataName VARCHAR(200) NULL,
+      tab VARCHAR(50) NULL,
+      category VARCHAR(100) NULL,
+      startTime CHAR(5) NULL,
+      endTime CHAR(5) NULL,
+      automatic BOOLEAN NOT NULL DEFAULT FALSE,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      sortOrder INT NOT NULL DEFAULT 0
+    )
+  `);
+  await conn.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS discountId INT NULL`);
+  await conn.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS label VARCHAR(50) NULL`);
+  await conn.query(`ALTER TABLE transactions ADD COLUMN IF NOT EXISTS appliesTo INT NULL`);
+}
+
+// The discount lines stay behind as plain lines of their type
+export async function down(conn) {
+  await conn.query(`ALTER TABLE transactions DROP COLUMN IF EXISTS appliesTo`);
+  await conn.query(`ALTER TABLE transactions DROP COLUMN IF EXISTS label`);
+  await conn.query(`ALTER TABLE transactions DROP COLUMN IF EXISTS discountId`);
+  await conn.query(`DROP TABLE IF EXISTS discounts`);
+}
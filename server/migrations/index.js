@@ -0,0 +1,172 @@
+// migrations/index.js
+// Versioned schema changes for the MariaDB backend (the document stores have
+// no schema). Each NNN_name.js file in this directory exports up(conn, { log })
+// and optionally down(conn, { log }); they are applied in version order and
+// recorded in schema_version with a SHA-256 of the file, so a migration edited
+// after it ran is caught instead of silently skipped. A file reworded without
+// changing what it does lists its old checksums in `previousChecksums`.
+//
+// log(msg, fields) reports progress: the server's structured log when it
+// migrates on start, plain lines from the migrate.js CLI.
+//
+// MariaDB commits DDL as it goes, so a migration can't be rolled back when it
+// fails halfway. Write each step so that running it again finishes the job
+// (IF NOT EXISTS and friends), then fix the cause and start the server again.
+import { createHash } from "crypto";
+import { readdir, readFile } from "fs/promises";
+import { log as serverLog } from "../log.js";
+
+const DIR = new URL('./', import.meta.url);
+const FILE_RE = /^(\d{3})_([a-z0-9_]+)\.js$/;
+// Seconds to wait for another server (or the CLI) that is already migrating
+const LOCK_TIMEOUT_SECONDS = 60;
+
+/**
+ * The migrations on disk, oldest first: { version, name, checksum,
+ * previousChecksums, up, down }.
+ * Line endings are normalized before hashing so a checkout with CRLFs matches.
+ */
+export async function loadMigrations() {
+  const files = (await readdir(DIR)).filter((f) => FILE_RE.test(f)).sort();
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(FILE_RE);
+    const source = (await readFile(new URL(file, DIR), 'utf8')).replace(/\r\n/g, '\n');
+    const mod = await import(new URL(file, DIR));
+    if (typeof mod.up !== 'function') throw new Error(`Migration ${file} doesn't export up()`);
+    if (migrations.some((m) => m.version === Number(version))) throw new Error(`Two migrations are numbered ${version}`);
+    migrations.push({
+      version: Number(version),
+      name,
+      checksum: createHash('sha256').update(source).digest('hex'),
+      previousChecksums: mod.previousChecksums || [],
+      up: mod.up,
+      down: typeof mod.down === 'function' ? mod.down : null,
+    });
+  }
+  return migrations;
+}
+
+const label = (m) => `${String(m.version).padStart(3, '0')}_${m.name}`;
+const logInfo = (msg, fields) => serverLog.info(msg, fields);
+
+async function ensureVersionTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      durationMs INT NULL
+    )
+  `);
+}
+
+// Run fn(conn) holding the database's migration lock, so two servers starting
+// together don't both apply the same migration
+async function withLock(pool, fn) {
+  const conn = await pool.getConnection();
+  try {
+    const [[{ locked }]] = await conn.query(
+      `SELECT GET_LOCK(CONCAT(DATABASE(), '.schema_version'), ?) AS locked`,
+      [LOCK_TIMEOUT_SECONDS]
+    );
+    if (locked !== 1) throw new Error(`Another process has been migrating the database for over ${LOCK_TIMEOUT_SECONDS}s`);
+    try {
+      await ensureVersionTable(conn);
+      return await fn(conn);
+    } finally {
+      await conn.query(`SELECT RELEASE_LOCK(CONCAT(DATABASE(), '.schema_version'))`);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Every migration on disk and every one the database has applied, by version:
+ * { version, name, applied, appliedAt, changed (file differs from what ran),
+ * revised (ran as one of its previousChecksums), missing (applied but no
+ * longer on disk) }.
+ */
+async function statusOf(conn, migrations) {
+  const [rows] = await conn.query(`SELECT version, name, checksum, appliedAt FROM schema_version ORDER BY version`);
+  const applied = new Map(rows.map((r) => [r.version, r]));
+  const status = migrations.map((m) => {
+    const row = applied.get(m.version);
+    const revised = !!row && m.previousChecksums.includes(row.checksum);
+    return {
+      version: m.version, name: m.name, applied: !!row, appliedAt: row ? row.appliedAt : null,
+      changed: !!row && row.checksum !== m.checksum && !revised, revised, missing: false,
+    };
+  });
+  for (const row of rows) {
+    if (!migrations.some((m) => m.version === row.version)) {
+      status.push({ version: row.version, name: row.name, applied: true, appliedAt: row.appliedAt, changed: false, revised: false, missing: true });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
+
+export async function getMigrationStatus(pool) {
+  const migrations = await loadMigrations();
+  return withLock(pool, (conn) => statusOf(conn, migrations));
+}
+
+/**
+ * Apply the pending migrations in order, up to and including `to` when given.
+ * Refuses to run when an applied migration's file has changed or is gone,
+ * since the schema would no longer match the code. Returns the versions
+ * applied and the schema version the database is now at.
+ */
+export async function migrateUp(pool, { to, log = logInfo } = {}) {
+  const migrations = await loadMigrations();
+  return withLock(pool, async (conn) => {
+    const status = await statusOf(conn, migrations);
+    const changed = status.filter((s) => s.changed);
+    if (changed.length) {
+      throw new Error(`Migration ${changed.map(label).join(', ')} changed after it was applied; put the file back and add a new migration instead`);
+    }
+    const missing = status.filter((s) => s.missing);
+    if (missing.length) throw new Error(`Migration ${missing.map(label).join(', ')} was applied but isn't on disk; is this an older release?`);
+    // Files reworded since they ran are recorded as they are now
+    for (const m of migrations.filter((x) => status.find((s) => s.version === x.version).revised)) {
+      await conn.query(`UPDATE schema_version SET checksum = ? WHERE version = ?`, [m.checksum, m.version]);
+    }
+
+    const pending = migrations.filter((m) => !status.find((s) => s.version === m.version).applied && (to == null || m.version <= to));
+    for (const m of pending) {
+      const started = Date.now();
+      log('Applying migration', { migration: label(m) });
+      await m.up(conn, { log });
+      await conn.query(
+        `INSERT INTO schema_version (version, name, checksum, durationMs) VALUES (?, ?, ?, ?)`,
+        [m.version, m.name, m.checksum, Date.now() - started]
+      );
+    }
+    const versions = [...status.filter((s) => s.applied), ...pending].map((m) => m.version);
+    return { applied: pending.map((m) => m.version), version: Math.max(0, ...versions) };
+  });
+}
+
+/**
+ * Undo the latest `steps` applied migrations with their down(). For
+ * development: a down step may drop data. Returns the versions undone.
+ */
+export async function migrateDown(pool, { steps = 1, log = logInfo } = {}) {
+  const migrations = await loadMigrations();
+  return withLock(pool, async (conn) => {
+    const applied = (await statusOf(conn, migrations)).filter((s) => s.applied).reverse().slice(0, steps);
+    const undone = [];
+    for (const s of applied) {
+      const m = migrations.find((x) => x.version === s.version);
+      if (!m) throw new Error(`Migration ${label(s)} isn't on disk, so it can't be undone`);
+      if (!m.down) throw new Error(`Migration ${label(m)} has no down()`);
+      log('Undoing migration', { migration: label(m) });
+      await m.down(conn, { log });
+      await conn.query(`DELETE FROM schema_version WHERE version = ?`, [m.version]);
+      undone.push(m.version);
+    }
+    return undone;
+  });
+}
@@ -0,0 +1,185 @@
+// receipt.js
+// Customer receipts for GET /api/orders/:orderId/receipt: printable HTML (a
+// full page or a 58mm/80mm thermal roll) and plain text for copying or sharing.
+
+export const RECEIPT_FORMATS = ['html', 'text'];
+export const RECEIPT_LAYOUTS = ['page', '58mm', '80mm'];
+
+// Characters per line of the plain-text receipt
+const TEXT_WIDTH = { page: 40, '58mm': 32, '80mm': 48 };
+const STATUS_LABELS = { paid: 'Paid', pending: 'Unpaid', void: 'Void' };
+
+const money = (amount) => '$' + Number(amount).toFixed(2);
+// On the event's clock (the timeZone setting), wherever the server runs
+const when = (timestamp, timeZone) => new Date(timestamp).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone });
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Everything printed on a receipt, from an order (as getOrder returns it), its
+ * event, that event's items (for friendly names) and the event's time zone.
+ */
+export function buildReceipt(order, { organization, event, items = [], timeZone }) {
+  const names = new Map(items.map((i) => [i.dataName, i.name]));
+  const friendly = (dataName) => names.get(dataName) || dataName;
+  const refunded = Number(order.refundedAmount) > 0;
+  return {
+    organization,
+    eventName: event ? event.name : null,
+    orderId: order.orderId,
+    timestamp: order.timestamp,
+    time: when(order.timestamp, timeZone),
+    cashierName: order.cashierName,
+    paymentType: order.paymentType,
+    // Split orders list each payment; cash shows what was handed over and the change
+    payments: (order.payments || []).map((p) => ({ method: p.method, amount: p.amount, tendered: p.tendered, changeDue: p.changeDue })),
+    status: STATUS_LABELS[order.status] || order.status,
+    // Options picked at the register follow the item name: "Coffee (Large, Oat milk)"
+    lines: order.items.map((l) => ({
+      name: friendly(l.name) + (l.modifiers && l.modifiers.length ? ` (${l.modifiers.join(', ')})` : ''),
+      qty: l.qty,
+      price: l.price,
+      total: l.total,
+    })),
+    // Discounted orders print the subtotal and what each discount or comp took off
+    subtotal: order.discounts && order.discounts.length ? order.subtotal : null,
+    discounts: (order.discounts || []).map((d) => ({ name: d.name, amount: d.amount })),
+    // Tickets taken back by a void or refund stay listed, marked so they aren't kept for the draw
+    tickets: (order.tickets || []).map((t) => ({
+      name: friendly(t.item),
+      range: t.firstTicket === t.lastTicket ? `#${t.firstTicket}` : `#${t.firstTicket}-${t.lastTicket}`,
+      voided: !!t.voided,
+    })),
+    totalAmount: order.totalAmount,
+    refundedAmount: refunded ? order.refundedAmount : null,
+    netAmount: refunded ? order.netAmount : null,
+  };
+}
+
+// Left and right text on one line, the left side cut to fit
+function textRow(left, right, width) {
+  const room = width - right.length - 1;
+  const cut = left.length > room ? left.slice(0, room - 1) + '…' : left;
+  return cut + ' '.repeat(width - cut.length - right.length) + right;
+}
+
+// Per-payment detail rows, only worth printing for split or cash-tendered orders
+function paymentRows(receipt) {
+  const rows = [];
+  const detailed = receipt.payments.length > 1 || receipt.payments.some((p) => p.tendered != null);
+  if (!detailed) return rows;
+  for (const p of receipt.payments) {
+    rows.push([p.method, money(p.amount)]);
+    if (p.tendered != null) rows.push(['Tendered', money(p.tendered)], ['Change', money(p.changeDue)]);
+  }
+  return rows;
+}
+
+const center = (text, width) => ' '.repeat(Math.max(0, Math.floor((width - text.length) / 2))) + text;
+
+export function receiptToText(receipt, { layout = 'page' } = {}) {
+  const width = TEXT_WIDTH[layout];
+  const rule = '-'.repeat(width);
+  const out = [center(receipt.organization, width)];
+  if (receipt.eventName) out.push(center(receipt.eventName, width));
+  out.push(rule, `Order #${receipt.orderId}`, receipt.time);
+  if (receipt.cashierName) out.push(`Cashier: ${receipt.cashierName}`);
+  out.push(rule);
+  for (const l of receipt.lines) out.push(textRow(`${l.qty} x ${l.name}`, money(l.total), width));
+  out.push(rule);
+  if (receipt.subtotal != null) {
+    out.push(textRow('Subtotal', money(receipt.subtotal), width));
+    for (const d of receipt.discounts) out.push(textRow(d.name, '-' + money(d.amount), width));
+  }
+  out.push(textRow('TOTAL', money(receipt.totalAmount), width));
+  if (receipt.refundedAmount != null) {
+    out.push(textRow('Refunded', '-' + money(receipt.refundedAmount), width), textRow('NET', money(receipt.netAmount), width));
+  }
+  out.push(textRow('Payment', `${receipt.paymentType} (${receipt.status})`, width));
+  for (const p of paymentRows(receipt)) out.push(textRow('  ' + p[0], p[1], width));
+  if (receipt.tickets.length) {
+    out.push(rule, 'Raffle tickets:');
+    for (const t of receipt.tickets) out.push(`  ${t.name} ${t.range}${t.voided ? ' VOID' : ''}`);
+  }
+  out.push(rule, center('Thank you!', width));
+  return out.join('\n') + '\n';
+}
+
+const LAYOUT_CSS = {
+  page: `body { max-width: 380px; margin: 24px auto; font-family: system-ui, sans-serif; font-size: 14px; }`,
+  '58mm': `@page { size: 58mm auto; margin: 0; }
+    body { width: 54mm; margin: 0 auto; padding: 2mm 0; font-family: monospace; font-size: 11px; }`,
+  '80mm': `@page { size: 80mm auto; margin: 0; }
+    body { width: 74mm; margin: 0 auto; padding: 3mm 0; font-family: monospace; font-size: 12px; }`,
+};
+
+/**
+ * A standalone receipt page. The toolbar (hidden when printing) switches
+ * layouts and links to the text version; print=true opens the print dialog.
+ */
+export function receiptToHtml(receipt, { layout = 'page', print = false } = {}) {
+  const row = (left, right, cls = '') => `<tr class="${cls}"><td>${escapeHtml(left)}</td><td class="r">${escapeHtml(right)}</td></tr>`;
+  const base = `/api/orders/${encodeURIComponent(receipt.orderId)}/receipt`;
+  const layoutLinks = RECEIPT_LAYOUTS
+    .map((l) => l === layout ? `<b>${l}</b>` : `<a href="${base}?layout=${l}" data-layout="${l}">${l}</a>`)
+    .join(' · ');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Receipt #${escapeHtml(receipt.orderId)}</title>
+  <style>
+    ${LAYOUT_CSS[layout]}
+    h1 { font-size: 1.3em; margin: 0; text-align: center; }
+    .center { text-align: center; }
+    .muted { color: #555; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 1px 0; vertical-align: top; }
+    .r { text-align: right; white-space: nowrap; padding-left: 6px; }
+    .total td { font-weight: bold; border-top: 1px dashed #000; padding-top: 3px; }
+    hr { border: 0; border-top: 1px dashed #000; }
+    .toolbar { font-family: system-ui, sans-serif; font-size: 13px; margin-bottom: 12px; }
+    @media print { .toolbar { display: none; } }
+  </style>
+</head>
+<body>
+  <div class="toolbar">
+    <button onclick="window.print()">Print</button>
+    ${layoutLinks} · <a href="${base}?format=text&layout=${layout}">Text</a>
+  </div>
+  <h1>${escapeHtml(receipt.organization)}</h1>
+  ${receipt.eventName ? `<div class="center">${escapeHtml(receipt.eventName)}</div>` : ''}
+  <hr>
+  <div>Order #${escapeHtml(receipt.orderId)}</div>
+  <div class="muted">${escapeHtml(receipt.time)}</div>
+  ${receipt.cashierName ? `<div class="muted">Cashier: ${escapeHtml(receipt.cashierName)}</div>` : ''}
+  <hr>
+  <table>
+    ${receipt.lines.map((l) => row(`${l.qty} × ${l.name}`, money(l.total))).join('\n    ')}
+    ${receipt.subtotal != null ? row('Subtotal', money(receipt.subtotal), 'total') + receipt.discounts.map((d) => row(d.name, '-' + money(d.amount))).join('') : ''}
+    ${row('Total', money(receipt.totalAmount), 'total')}
+    ${receipt.refundedAmount != null ? row('Refunded', '-' + money(receipt.refundedAmount)) + row('Net', money(receipt.netAmount), 'total') : ''}
+    ${row('Payment', `${receipt.paymentType} (${receipt.status})`)}
+    ${paymentRows(receipt).map(([left, right]) => row(left, right, 'muted')).join('\n    ')}
+  </table>
+  ${receipt.tickets.length ? `<hr><div>Raffle tickets:</div>
+  <ul>${receipt.tickets.map((t) => t.voided
+    ? `<li><s>${escapeHtml(t.name)} ${escapeHtml(t.range)}</s> VOID</li>`
+    : `<li>${escapeHtml(t.name)} ${escapeHtml(t.range)}</li>`).join('')}</ul>` : ''}
+  <hr>
+  <div class="center">Thank you!</div>
+  <script>
+    // The register's Reprint buttons open the layout picked here last
+    document.querySelectorAll('[data-layout]').forEach((a) => a.addEventListener('click', () => {
+      localStorage.setItem('receiptLayout', a.dataset.layout);
+    }));
+    ${print ? 'window.addEventListener("load", () => window.print());' : ''}
+  </script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,43 @@
+// storage.js
+// The storage backend the server runs on, picked by STORAGE_BACKEND:
+//   mariadb   (default) MariaDB via DB_* settings
+//   firestore Firestore via FIREBASE_* settings
+//   memory    in-process only, nothing is kept across restarts
+// Every backend exports the same functions; the rules they share live in domain.js.
+import dotenv from "dotenv";
+dotenv.config();
+
+export {
+  ORDER_STATUSES, FULFILLMENT_STATUSES, ValidationError, validateOrderFields, priceOrderLines, formatOrderId, checkStock,
+  validateItemFields, STOCK_ACTIONS, validateImportOrders, DENOMINATIONS, countDenominations, pickTicket,
+  validateEventFields, ROLES, roleAtLeast, hashPassword, validateUserFields, MAX_LOGIN_ATTEMPTS, DEFAULT_SETTINGS,
+  validateSettings, venmoPaymentUrl, parseOrderQuery,
+} from "./domain.js";
+
+const BACKENDS = {
+  mariadb: () => import("./mariadb.js"),
+  firestore: async () => (await import("./firestore.js")).default,
+  memory: async () => (await import("./memory.js")).default,
+};
+
+export const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'mariadb').trim().toLowerCase();
+if (!BACKENDS[STORAGE_BACKEND]) {
+  throw new Error(`Unknown STORAGE_BACKEND '${STORAGE_BACKEND}' (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+}
+
+// Only the chosen backend is loaded, so e.g. the memory backend needs no database settings
+const backend = await BACKENDS[STORAGE_BACKEND]();
+
+export const {
+  initialize, checkHealth, close, getPoolStats, submitOrder, getOrder, getOrders, getOrderPage, setOrderStatus, getOrderStatusHistory,
+  setFulfillmentStatus, voidOrder, refundOrderLines, updateOrderPayment, getOrderAudit, getItems, createItem, updateItem,
+  bulkUpdateItems, adjustStock, getStockMovements, deleteItem, getSalesSummary, streamOrderLines, importOrders,
+  getDrawerSession, getOpenDrawerSession, getDrawerSessions,
+  openDrawerSession, closeDrawerSession, drawRaffleWinner, getRaffleSummary, getActiveEvent, getEvent, getEvents,
+  createEvent, updateEvent, openEvent, closeEvent, countUsers, getUsers, getUser, createUser, updateUser,
+  authenticateUser, changeOwnPassword, createSession, getSessionUser, revokeSession, revokeSessionById,
+  revokeUserSessions, revokeAllSessions, getActiveSessions, getLoginLock, recordFailedLogin, clearLoginAttempts,
+  cleanupExpiredAuth, getSettings, updateSettings, getPaymentMethods, createPaymentMethod, updatePaymentMethod,
+  getDiscounts, createDiscount, updateDiscount,
+  getTabs, createTab, updateTab, createCategory, updateCategory, deleteCategory,
+} = backend;
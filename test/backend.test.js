@@ -0,0 +1,128 @@
+// Checkout, refunds, voids and raffle draws against the in-memory backend,
+// which shares its order logic (docstore.js) with Firestore
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import backend from "../server/memory.js";
+import { parseOrderQuery } from "../server/domain.js";
+
+const by = 'tester';
+const order = (items, payments, extra = {}) => backend.submitOrder({ items, payments, ...extra });
+// Orders as the order list shows them, with their line ids
+const listed = async ({ orderId, eventId }) => (await backend.getOrders({ eventId })).find((o) => o.orderId === orderId);
+
+before(() => backend.initialize());
+
+describe('checkout', () => {
+  test('prices from the menu and splits the tender', async () => {
+    const placed = await order([{ name: 'candy_bar', qty: 2, price: 0.01 }], [{ method: 'Venmo', amount: 2 }, { method: 'Cash', tendered: 5 }]);
+    assert.equal(placed.totalAmount, 6);
+    assert.equal(placed.paymentType, 'Venmo + Cash');
+    // Venmo doesn't settle until it's reconciled
+    assert.equal(placed.status, 'pending');
+    assert.deepEqual(placed.payments.map((p) => [p.method, p.amount, p.changeDue]), [['Venmo', 2, null], ['Cash', 4, 1]]);
+  });
+
+  test('a retried order with the same key is stored once', async () => {
+    const first = await order([{ name: 'candy_bar', qty: 1 }], [{ method: 'Cash' }]);
+    const key = { idempotencyKey: 'retry-key-0001' };
+    const a = await backend.submitOrder({ items: [{ name: 'candy_bar', qty: 1 }], payments: [{ method: 'Cash' }] }, key);
+    const b = await backend.submitOrder({ items: [{ name: 'candy_bar', qty: 1 }], payments: [{ method: 'Cash' }] }, key);
+    assert.notEqual(a.orderId, first.orderId);
+    assert.equal(b.orderId, a.orderId);
+    assert.equal(b.replayed, true);
+  });
+
+  test('takes picked discounts off the server-side price', async () => {
+    const d = await backend.createDiscount({ name: 'Candy deal', type: 'amount', value: 1, scope: 'item', itemDataName: 'candy_bar' });
+    const placed = await order([{ name: 'candy_bar', qty: 1 }], [{ method: 'Cash' }], { discounts: [{ id: d.id }] });
+    assert.equal(placed.totalAmount, 2);
+    assert.equal(placed.discounts[0].amount, 1);
+    await backend.updateDiscount(d.id, { enabled: false });
+  });
+
+  test('rejects a split that does not cover the total', async () => {
+    await assert.rejects(order([{ name: 'candy_bar', qty: 1 }], [{ method: 'Cash', amount: 1 }, { method: 'Venmo', amount: 1 }]), (err) => {
+      assert.equal(err.name, 'ValidationError');
+      assert.equal(err.details[0].code, 'payment_mismatch');
+      return true;
+    });
+  });
+});
+
+describe('refunds and voids', () => {
+  test('a refund comes off the line and voids the package tickets', async () => {
+    const placed = await order([{ name: '6pack_ticket', qty: 2 }, { name: 'candy_bar', qty: 1 }], [{ method: 'Cash' }]);
+    const tickets = (await listed(placed)).items.find((l) => l.name === '6pack_ticket');
+    const refund = await backend.refundOrderLines(placed.orderId, { lines: [{ transactionId: tickets.id, qty: 1 }], reason: 'Changed mind', by });
+    assert.equal(refund.amount, 5);
+    assert.equal(refund.order.refundedAmount, 5);
+    assert.deepEqual(refund.order.tickets.map((t) => t.voided), [false, true]);
+    await assert.rejects(
+      backend.refundOrderLines(placed.orderId, { lines: [{ transactionId: tickets.id, qty: 2 }], reason: 'Again', by }),
+      { name: 'ValidationError' }
+    );
+  });
+
+  test('a void is final and voids every ticket', async () => {
+    const placed = await order([{ name: 'single_ticket', qty: 3 }], [{ method: 'Cash' }]);
+    const voided = await backend.voidOrder(placed.orderId, { reason: 'Rang up twice', by });
+    assert.equal(voided.status, 'void');
+    const { tickets } = await backend.getOrder(placed.orderId);
+    assert.ok(tickets.length && tickets.every((t) => t.voided));
+    await assert.rejects(backend.voidOrder(placed.orderId, { reason: 'Again', by }), { name: 'ValidationError' });
+  });
+});
+
+describe('raffle draws', () => {
+  test('only draw paid, unvoided tickets, one prize per order', async () => {
+    const event = await backend.getActiveEvent();
+    // A paid order, one not yet paid for, and the voided and refunded ones above
+    await order([{ name: 'single_ticket', qty: 2 }], [{ method: 'Cash' }]);
+    await order([{ name: 'single_ticket', qty: 2 }], [{ method: 'Venmo' }]);
+    const eligible = new Set((await backend.getOrders({ eventId: event.id }))
+      .filter((o) => o.status === 'paid' && o.tickets.some((t) => !t.voided))
+      .map((o) => o.orderId));
+    assert.equal(eligible.size, 2);
+
+    const winners = [];
+    for (let i = 0; i < eligible.size; i++) {
+      winners.push((await backend.drawRaffleWinner(event.id, { prize: `Prize ${i + 1}`, seed: `seed-${i}`, by })).orderId);
+    }
+    assert.deepEqual(new Set(winners), eligible);
+    await assert.rejects(backend.drawRaffleWinner(event.id, { prize: 'One too many', seed: 'seed-x', by }), { name: 'ValidationError' });
+  });
+});
+
+describe('order list', () => {
+  test('pages newest first with totals on the first page', async () => {
+    const { eventId } = await order([{ name: 'candy_bar', qty: 1 }], [{ method: 'Cash' }]);
+    const all = await backend.getOrders({ eventId });
+    const pageAfter = (cursor) => {
+      const { paged, ...filters } = parseOrderQuery({ limit: 3, cursor });
+      return backend.getOrderPage({ ...filters, eventId });
+    };
+    const first = await pageAfter();
+    assert.equal(first.orders.length, 3);
+    assert.equal(first.totals.orders, all.length);
+    assert.deepEqual(first.orders.map((o) => o.orderId), all.slice(0, 3).map((o) => o.orderId));
+
+    const seen = [...first.orders];
+    let page = first;
+    while (page.nextCursor) {
+      page = await pageAfter(page.nextCursor);
+      assert.equal(page.totals, null);
+      seen.push(...page.orders);
+    }
+    assert.deepEqual(seen.map((o) => o.orderId), all.map((o) => o.orderId));
+  });
+
+  test('finds orders by their number, not any id containing it', async () => {
+    const { id: eventId } = await backend.getActiveEvent();
+    while ((await backend.getOrders({ eventId })).length < 10) await order([{ name: 'candy_bar', qty: 1 }], [{ method: 'Cash' }]);
+    const found = async (q) => (await backend.getOrders({ ...parseOrderQuery({ q }), eventId })).map((o) => o.orderId);
+    assert.deepEqual(await found('1'), [`${eventId}-0001`]);
+    assert.deepEqual(await found('#0010'), [`${eventId}-0010`]);
+    assert.deepEqual(await found(`${eventId}-10`), [`${eventId}-0010`]);
+    assert.deepEqual(await found('nope'), []);
+  });
+});
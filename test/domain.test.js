@@ -0,0 +1,207 @@
+// The pricing, discount and payment rules in domain.js, without a backend
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateOrderFields, MAX_QTY, priceOrderLines, applyDiscounts, discountInWindow, pricingTime, planPayments, allocateRefund, cashNetCents,
+  correctedPayments, planRefund, allocateTickets, mergeTicketRanges, pickTicket, SEED_PAYMENT_METHODS, DEFAULT_SETTINGS, venmoPaymentUrl,
+} from "../server/domain.js";
+import { csvRow, parseCsv, fromCsvValue } from "../server/csv.js";
+
+const item = (dataName, price, extra = {}) => ({
+  dataName, name: dataName, price, active: true, tab: 'concessions', category: 'Candy', modifiers: [], components: [], ...extra,
+});
+const catalog = new Map([
+  item('candy_bar', 3),
+  item('coffee', 2.5, { category: 'Drinks', modifiers: [{ group: 'Size', name: 'Large', priceDelta: 0.75 }, { group: 'Size', name: 'Small', priceDelta: 0 }] }),
+  item('single_ticket', 1, { tab: 'raffles', category: 'Raffles', ticketCount: 1 }),
+  item('retired', 4, { active: false }),
+].map((i) => [i.dataName, i]));
+const methods = new Map(SEED_PAYMENT_METHODS.map((m, i) => [m.name, { id: i + 1, enabled: true, ...m }]));
+
+const discount = (fields) => ({
+  id: 1, name: 'Discount', scope: 'order', quantity: 1, itemDataName: null, tab: null, category: null,
+  startTime: null, endTime: null, automatic: false, enabled: true, sortOrder: 0, ...fields,
+});
+const byId = (...list) => new Map(list.map((d) => [d.id, d]));
+
+describe('pricing', () => {
+  test('quantities are whole numbers up to MAX_QTY', () => {
+    const codes = (qty) => validateOrderFields({ items: [{ name: 'candy_bar', qty }], paymentType: 'Cash' }).map((e) => e.code);
+    assert.deepEqual(codes(MAX_QTY), []);
+    for (const qty of [0, -1, 1.5, 'two', MAX_QTY + 1, 1e300]) assert.deepEqual(codes(qty), ['invalid_quantity'], `qty ${qty}`);
+  });
+
+  test('prices lines from the catalog, not the browser', () => {
+    const { lines, totalCents, errors } = priceOrderLines([{ name: 'candy_bar', qty: 2, price: 0.01 }], catalog);
+    assert.deepEqual(errors, []);
+    assert.equal(totalCents, 600);
+    assert.deepEqual(lines, [{ name: 'candy_bar', qty: 2, price: 3, total: 6, modifiers: [] }]);
+  });
+
+  test('adds modifier price deltas and allows one option per group', () => {
+    const { lines } = priceOrderLines([{ name: 'coffee', qty: 2, modifiers: ['Large'] }], catalog);
+    assert.equal(lines[0].price, 3.25);
+    assert.equal(lines[0].total, 6.5);
+    const { errors } = priceOrderLines([{ name: 'coffee', qty: 1, modifiers: ['Large', 'Small'] }], catalog);
+    assert.equal(errors[0].code, 'conflicting_modifiers');
+  });
+
+  test('rejects unknown and inactive items', () => {
+    const { errors } = priceOrderLines([{ name: 'nope', qty: 1 }, { name: 'retired', qty: 1 }], catalog);
+    assert.deepEqual(errors.map((e) => e.code), ['unknown_item', 'inactive_item']);
+  });
+});
+
+describe('discounts', () => {
+  const { lines } = priceOrderLines([{ name: 'candy_bar', qty: 2 }, { name: 'coffee', qty: 1 }], catalog);
+
+  test('takes the best item or category discount, then the order-wide one', () => {
+    const discounts = byId(
+      discount({ id: 1, name: 'Candy 50%', type: 'percent', value: 50, scope: 'category', tab: 'concessions', category: 'Candy' }),
+      discount({ id: 2, name: '$1 off', type: 'amount', value: 1 }),
+    );
+    const result = applyDiscounts(lines, [{ id: 1 }, { id: 2 }], discounts, catalog);
+    assert.deepEqual(result.errors, []);
+    // $3 off the candy, then $1 off the $5.50 left
+    assert.equal(result.discountCents, 400);
+  });
+
+  test('an order-wide discount is shared out to exactly its amount', () => {
+    const pennies = new Map([['penny', item('penny', 0.01)]]);
+    const { lines: four } = priceOrderLines([1, 2, 3, 4].map(() => ({ name: 'penny', qty: 1 })), pennies);
+    const discounts = byId(discount({ name: 'Half off order', type: 'percent', value: 50 }));
+    // Half of each 1¢ line rounds up on its own; the order still only gets 2¢ off
+    const result = applyDiscounts(four, [{ id: 1 }], discounts, pennies);
+    assert.equal(result.discountCents, 2);
+    assert.ok(result.lines.every((l) => l.amount > 0 && l.amount <= 0.01));
+  });
+
+  test('promo prices cover whole groups only', () => {
+    const { lines: tickets } = priceOrderLines([{ name: 'single_ticket', qty: 7 }], catalog);
+    const discounts = byId(discount({ type: 'price', value: 2, quantity: 3, scope: 'item', itemDataName: 'single_ticket' }));
+    // Two groups of 3 for $2 each; the 7th ticket pays $1
+    assert.equal(applyDiscounts(tickets, [{ id: 1 }], discounts, catalog).discountCents, 200);
+  });
+
+  test('comps need a reason', () => {
+    const discounts = byId(discount({ name: 'Staff', type: 'comp', value: 0 }));
+    assert.equal(applyDiscounts(lines, [{ id: 1 }], discounts, catalog).errors[0].code, 'missing_comp_reason');
+    const comped = applyDiscounts(lines, [{ id: 1, reason: 'Referee' }], discounts, catalog);
+    assert.equal(comped.discountCents, 850);
+    assert.equal(comped.lines[0].type, 'comp');
+  });
+
+  test('windows are read in the event time zone', () => {
+    const happyHour = discount({ startTime: '17:00', endTime: '19:00' });
+    const at = new Date('2026-06-01T23:30:00Z');
+    assert.equal(discountInWindow(happyHour, at, 'America/Chicago'), true);
+    assert.equal(discountInWindow(happyHour, at, 'UTC'), false);
+    // A window ending before it starts runs past midnight
+    assert.equal(discountInWindow(discount({ startTime: '22:00', endTime: '02:00' }), new Date('2026-06-01T01:00:00Z'), 'UTC'), true);
+  });
+
+  test('automatic discounts apply inside their window without being picked', () => {
+    const discounts = byId(discount({ type: 'percent', value: 10, automatic: true, startTime: '17:00', endTime: '19:00' }));
+    assert.equal(applyDiscounts(lines, [], discounts, catalog, new Date('2026-06-01T18:00:00Z'), 'UTC').discountCents, 85);
+    assert.equal(applyDiscounts(lines, [], discounts, catalog, new Date('2026-06-01T20:00:00Z'), 'UTC').discountCents, 0);
+  });
+
+  test('only recent offline replays are priced at the time they were rung up', () => {
+    const now = new Date('2026-06-01T20:00:00Z');
+    const anHourAgo = '2026-06-01T19:00:00Z';
+    assert.equal(pricingTime({ createdAt: anHourAgo }, now), now);
+    assert.equal(pricingTime({ idempotencyKey: 'key-0001', createdAt: anHourAgo }, now).toISOString(), '2026-06-01T19:00:00.000Z');
+    assert.equal(pricingTime({ idempotencyKey: 'key-0001', createdAt: '2026-06-01T10:00:00Z' }, now), now);
+  });
+});
+
+describe('split tender', () => {
+  test('cash covers what the other payments leave and gets change', () => {
+    const { payments, status, paymentType, errors } = planPayments(
+      { payments: [{ method: 'Venmo', amount: 4 }, { method: 'Cash', tendered: 10 }] }, 1000, methods
+    );
+    assert.deepEqual(errors, []);
+    assert.equal(paymentType, 'Venmo + Cash');
+    assert.equal(status, 'pending');
+    assert.deepEqual(payments.map((p) => [p.method, p.amount, p.changeDue]), [['Venmo', 4, null], ['Cash', 6, 4]]);
+  });
+
+  test('payments must add up to the total', () => {
+    const { errors } = planPayments({ payments: [{ method: 'Cash', amount: 3 }, { method: 'Venmo', amount: 3 }] }, 1000, methods);
+    assert.equal(errors[0].code, 'payment_mismatch');
+  });
+
+  test('a fully comped order owes nothing, so it is paid', () => {
+    assert.equal(planPayments({ payments: [{ method: 'Venmo' }] }, 0, methods).status, 'paid');
+  });
+});
+
+describe('refunds', () => {
+  const payments = [{ method: 'Venmo', amount: 4, isCash: false }, { method: 'Cash', amount: 6, isCash: true }];
+
+  test('come out of the cash share first', () => {
+    assert.deepEqual(allocateRefund(payments, 7), [100, 600]);
+    assert.equal(cashNetCents(payments, 2), 400);
+  });
+
+  test('stop at what is left on a line', () => {
+    const sales = new Map([[1, { item: 'candy_bar', quantity: 2, total: 6, refundedQty: 1, refundedTotal: 3 }]]);
+    assert.deepEqual(planRefund('1-0001', new Map([[1, 1]]), sales).map((r) => r.amount), [3]);
+    assert.throws(() => planRefund('1-0001', new Map([[1, 2]]), sales), { name: 'ValidationError' });
+  });
+
+  test('a corrected payment type records the balance still owed', () => {
+    const venmo = methods.get('Venmo');
+    const { payments: corrected, status } = correctedPayments({ totalAmount: 10, refundedAmount: 4 }, venmo);
+    assert.deepEqual(corrected.map((p) => p.amount), [4, 6]);
+    assert.equal(status, 'pending');
+    // The refund still comes off the share that was handed back
+    assert.deepEqual(allocateRefund(corrected, 4), [400, 0]);
+    assert.equal(correctedPayments({ totalAmount: 10, refundedAmount: 10 }, venmo).status, 'paid');
+  });
+});
+
+describe('raffle tickets', () => {
+  test('each unit sold gets its own block, after the quantity is checked', () => {
+    const { counter, packages, tickets } = allocateTickets(10, [{ name: 'candy_bar', qty: 1 }, { name: 'single_ticket', qty: 3 }], catalog);
+    assert.equal(counter, 13);
+    assert.deepEqual(packages.map((p) => [p.lineIndex, p.firstTicket, p.lastTicket]), [[1, 11, 11], [1, 12, 12], [1, 13, 13]]);
+    assert.deepEqual(tickets, [{ item: 'single_ticket', firstTicket: 11, lastTicket: 13, voided: false }]);
+    assert.throws(() => allocateTickets(0, [{ name: 'single_ticket', qty: 1e9 }], catalog), { name: 'ValidationError' });
+  });
+
+  test('ranges keep voided packages apart from live ones', () => {
+    const rows = [
+      { orderId: 'A', transactionId: 1, item: 't', firstTicket: 1, lastTicket: 6, voided: 0 },
+      { orderId: 'A', transactionId: 1, item: 't', firstTicket: 7, lastTicket: 12, voided: 1 },
+    ];
+    assert.deepEqual(mergeTicketRanges(rows).get('A').map((r) => [r.firstTicket, r.lastTicket, r.voided]), [[1, 6, false], [7, 12, true]]);
+  });
+
+  test('draws can be re-run from the seed', () => {
+    const ranges = [{ firstTicket: 1, lastTicket: 6, orderId: 'A' }, { firstTicket: 7, lastTicket: 20, orderId: 'B' }];
+    const first = pickTicket(ranges, 'seed', 1, 1);
+    assert.equal(first.poolSize, 20);
+    assert.deepEqual(pickTicket(ranges, 'seed', 1, 1), first);
+  });
+});
+
+describe('settings', () => {
+  test('a fresh install pays no Venmo account until one is set', () => {
+    const order = { orderId: '1-0001', eventName: 'Cup', amount: 5 };
+    assert.equal(DEFAULT_SETTINGS.venmoHandle, '');
+    assert.equal(venmoPaymentUrl(DEFAULT_SETTINGS, order), null);
+    assert.equal(
+      venmoPaymentUrl({ ...DEFAULT_SETTINGS, venmoHandle: 'our-club' }, order),
+      'https://venmo.com/?txn=pay&recipients=our-club&amount=5.00&note=Tournament_1-0001'
+    );
+  });
+});
+
+describe('csv', () => {
+  test('neutralises formulas but not numbers', () => {
+    const line = csvRow(['=HYPERLINK("x")', '-3.00', '@cashier', 'Bob']);
+    assert.equal(line, `"'=HYPERLINK(""x"")",-3.00,'@cashier,Bob\r\n`);
+    assert.deepEqual(parseCsv(line)[0].map(fromCsvValue), ['=HYPERLINK("x")', '-3.00', '@cashier', 'Bob']);
+  });
+});
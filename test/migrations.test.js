@@ -0,0 +1,84 @@
+// The schema_version bookkeeping in migrations/index.js, against a stand-in
+// connection that keeps schema_version in memory, counts one row in every
+// other table (so there is nothing to seed) and accepts every other query
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadMigrations, migrateUp, migrateDown } from "../server/migrations/index.js";
+
+function fakePool(applied = []) {
+  const rows = applied.map((r) => ({ appliedAt: new Date(), ...r }));
+  const conn = {
+    async query(sql, params = []) {
+      if (/GET_LOCK/.test(sql)) return [[{ locked: 1 }]];
+      if (/^\s*SELECT version, name, checksum/.test(sql)) return [[...rows].sort((a, b) => a.version - b.version)];
+      if (/^\s*INSERT INTO schema_version/.test(sql)) {
+        const [version, name, checksum] = params;
+        rows.push({ version, name, checksum, appliedAt: new Date() });
+      } else if (/^\s*UPDATE schema_version/.test(sql)) {
+        rows.find((r) => r.version === params[1]).checksum = params[0];
+      } else if (/^\s*DELETE FROM schema_version/.test(sql)) {
+        rows.splice(rows.findIndex((r) => r.version === params[0]), 1);
+      } else if (/COUNT\(\*\)/.test(sql)) {
+        return [[{ c: 1 }]];
+      }
+      return [[]];
+    },
+    release() {},
+  };
+  return { rows, getConnection: async () => conn };
+}
+
+const quiet = () => {};
+
+describe('migrations', async () => {
+  const migrations = await loadMigrations();
+  const recorded = (m, checksum = m.checksum) => ({ version: m.version, name: m.name, checksum });
+
+  test('are numbered in order and hashed', () => {
+    assert.deepEqual(migrations.map((m) => m.version), migrations.map((_, i) => i + 1));
+    for (const m of migrations) assert.match(m.checksum, /^[0-9a-f]{64}$/);
+  });
+
+  test('a new database gets every migration, recorded with its checksum', async () => {
+    const pool = fakePool();
+    const lines = [];
+    const result = await migrateUp(pool, { log: (msg, fields) => lines.push([msg, fields]) });
+    assert.deepEqual(result.applied, migrations.map((m) => m.version));
+    assert.equal(result.version, migrations.length);
+    assert.deepEqual(pool.rows.map((r) => r.checksum), migrations.map((m) => m.checksum));
+    assert.deepEqual(lines.filter(([msg]) => msg === 'Applying migration').map(([, f]) => f.migration), migrations.map((m) => `${String(m.version).padStart(3, '0')}_${m.name}`));
+  });
+
+  test('only pending migrations run, up to `to`', async () => {
+    const pool = fakePool([recorded(migrations[0])]);
+    assert.deepEqual((await migrateUp(pool, { to: 2, log: quiet })).applied, [2]);
+    assert.deepEqual((await migrateUp(pool, { log: quiet })).applied, migrations.slice(2).map((m) => m.version));
+    assert.deepEqual((await migrateUp(pool, { log: quiet })).applied, []);
+  });
+
+  test('a migration edited after it ran is refused', async () => {
+    const pool = fakePool([recorded(migrations[0], 'f'.repeat(64))]);
+    await assert.rejects(migrateUp(pool, { log: quiet }), /001_initial_schema changed after it was applied/);
+    assert.equal(pool.rows.length, 1);
+  });
+
+  test('a reworded migration is accepted and its checksum updated', async () => {
+    const old = migrations.find((m) => m.previousChecksums.length);
+    assert.ok(old, 'a migration lists previousChecksums');
+    const pool = fakePool(migrations.map((m) => recorded(m, m === old ? m.previousChecksums[0] : m.checksum)));
+    assert.deepEqual((await migrateUp(pool, { log: quiet })).applied, []);
+    assert.equal(pool.rows.find((r) => r.version === old.version).checksum, old.checksum);
+  });
+
+  test('an applied migration missing from disk is refused', async () => {
+    const pool = fakePool([...migrations.map((m) => recorded(m)), { version: 999, name: 'from_the_future', checksum: '0'.repeat(64) }]);
+    await assert.rejects(migrateUp(pool, { log: quiet }), /999_from_the_future was applied but isn't on disk/);
+  });
+
+  test('down undoes the latest migrations', async () => {
+    const pool = fakePool(migrations.map((m) => recorded(m)));
+    const last = migrations[migrations.length - 1];
+    assert.deepEqual(await migrateDown(pool, { steps: 1, log: quiet }), [last.version]);
+    assert.deepEqual(pool.rows.map((r) => r.version), migrations.slice(0, -1).map((m) => m.version));
+  });
+});